@@ -9,13 +9,19 @@
 
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
 import InputCommand from './inputcommand';
+import NonBreakingSpaceCommand from './nonbreakingspacecommand';
 
 import injectUnsafeKeystrokesHandling from './utils/injectunsafekeystrokeshandling';
 import injectTypingMutationsHandling from './utils/injecttypingmutationshandling';
 
+import env from '@ckeditor/ckeditor5-utils/src/env';
+
 /**
  * Handles text input coming from the keyboard or other input methods.
  *
+ * It also registers the `'nonBreakingSpace'` command ({@link module:typing/nonbreakingspacecommand~NonBreakingSpaceCommand})
+ * bound to <kbd>Ctrl</kbd>+<kbd>Shift</kbd>+<kbd>Space</kbd> (<kbd>Option</kbd>+<kbd>Space</kbd> on macOS).
+ *
  * @extends module:core/plugin~Plugin
  */
 export default class Input extends Plugin {
@@ -36,6 +42,10 @@ export default class Input extends Plugin {
 		const inputCommand = new InputCommand( editor, editor.config.get( 'typing.undoStep' ) || 20 );
 
 		editor.commands.add( 'input', inputCommand );
+		editor.commands.add( 'nonBreakingSpace', new NonBreakingSpaceCommand( editor ) );
+
+		// The keystroke is cancelled, so the browser does not insert its own space.
+		editor.keystrokes.set( env.isMac ? 'Alt+Space' : 'Ctrl+Shift+Space', 'nonBreakingSpace' );
 
 		injectUnsafeKeystrokesHandling( editor );
 		injectTypingMutationsHandling( editor );
@@ -0,0 +1,43 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/nonbreakingspacecommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+
+/**
+ * The non-breaking space command. Inserts the no-break space (`\u00A0`) at the selection. It is registered by
+ * the {@link module:typing/input~Input input feature} as `'nonBreakingSpace'`:
+ *
+ *		editor.execute( 'nonBreakingSpace' );
+ *
+ * The space is inserted by the {@link module:typing/inputcommand~InputCommand input command}, so it uses the typing
+ * change buffer and joins the current typing undo step.
+ *
+ * @extends module:core/command~Command
+ */
+export default class NonBreakingSpaceCommand extends Command {
+	/**
+	 * @inheritDoc
+	 */
+	refresh() {
+		const model = this.editor.model;
+		const inputCommand = this.editor.commands.get( 'input' );
+
+		this.isEnabled = !!inputCommand && inputCommand.isEnabled &&
+			model.schema.checkChild( model.document.selection.getFirstPosition(), '$text' );
+	}
+
+	/**
+	 * Executes the command. It replaces the content of the selection with the no-break space.
+	 *
+	 * @fires execute
+	 */
+	execute() {
+		this.editor.execute( 'input', { text: '\u00A0' } );
+	}
+}
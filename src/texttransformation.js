@@ -8,8 +8,42 @@
  */
 
 import Plugin from '@ckeditor/ckeditor5-core/src/plugin';
+import Collection from '@ckeditor/ckeditor5-utils/src/collection';
+import TextTransformationCommand from './texttransformationcommand';
 import TextWatcher from './textwatcher';
-import { escapeRegExp } from 'lodash-es';
+import { DEFAULT_AUTOCORRECT_DICTIONARIES, createAutocorrectTransformation } from './texttransformation/autocorrect';
+import {
+	DEFAULT_CAPITALIZATION_EXCEPTIONS,
+	createBlockCapitalizationTransformation,
+	createSentenceCapitalizationTransformation
+} from './texttransformation/autocapitalize';
+import {
+	DEFAULT_EMOJI_SHORTCODES,
+	DEFAULT_EMOTICONS,
+	createEmojiShortcodesTransformation,
+	createEmoticonsTransformation
+} from './texttransformation/emoji';
+import { DEFAULT_LATEX_SYMBOLS, createLatexSymbolsTransformation } from './texttransformation/latexsymbols';
+import { createApostropheTransformation } from './texttransformation/apostrophe';
+import { createQuotesTransformation } from './texttransformation/quotes';
+import { LETTERS, resolveLanguage } from './texttransformation/utils';
+import { DEFAULT_ORPHANS, createOrphansTransformation } from './texttransformation/orphans';
+import {
+	createAddSpaceAfterPunctuationTransformation,
+	createCollapseSpacesTransformation,
+	createRemoveSpaceBeforePunctuationTransformation
+} from './texttransformation/whitespace';
+import {
+	createSpaceAfterGuillemetTransformation,
+	createSpaceBeforePunctuationTransformation
+} from './texttransformation/frenchspacing';
+import TransformationMatcher from './utils/transformationmatcher';
+import compileTransformation from './utils/compiletransformation';
+import validateTransformation from './utils/validatetransformation';
+import { parseTransformationRules, serializeTransformation } from './utils/transformationrules';
+import { getReplacedTextAttributes, mergeAttributes, replaceText } from './utils/utils';
+import { castArray, escapeRegExp, flatten } from 'lodash-es';
+import log from '@ckeditor/ckeditor5-utils/src/log';
 
 // All named transformations.
 const TRANSFORMATIONS = {
@@ -19,33 +53,111 @@ const TRANSFORMATIONS = {
 	trademark: { from: '(tm)', to: '™' },
 
 	// Mathematical:
-	oneHalf: { from: '1/2', to: '½' },
-	oneThird: { from: '1/3', to: '⅓' },
-	twoThirds: { from: '2/3', to: '⅔' },
-	oneForth: { from: '1/4', to: '¼' },
-	threeQuarters: { from: '3/4', to: '¾' },
+	// The fractions are transformed after the next character is typed, so they are not transformed in e.g. `1/25` or `1/2/3`.
+	oneHalf: createFractionTransformation( '1/2', '½' ),
+	oneThird: createFractionTransformation( '1/3', '⅓' ),
+	twoThirds: createFractionTransformation( '2/3', '⅔' ),
+	oneForth: createFractionTransformation( '1/4', '¼' ),
+	threeQuarters: createFractionTransformation( '3/4', '¾' ),
 	lessThanOrEqual: { from: '<=', to: '≤' },
 	greaterThanOrEqual: { from: '>=', to: '≥' },
 	notEqual: { from: '!=', to: '≠' },
 	arrowLeft: { from: '<-', to: '←' },
 	arrowRight: { from: '->', to: '→' },
 
+	// Extended symbols:
+	soundRecordingCopyright: { from: '(p)', to: '℗' },
+	euro: { from: '(e)', to: '€' },
+	careOf: { from: 'c/o', to: '℅', wordBoundary: true },
+
+	// Extended mathematical:
+	// A lone `0` directly before `x` starts a hexadecimal number, e.g. `0x3`.
+	multiplication: { from: /([1-9] ?|\d\d ?|0 )(x)( ?\d)$/, to: [ null, '×', null ] },
+	plusMinus: { from: '+-', to: '±' },
+	perMille: { from: 'o/oo', to: '‰' },
+	degree: { from: /(\d)(\^o)$/, to: [ null, '°' ] },
+	// The prime is typed over the already transformed one, so `5''` gives `5″` as well.
+	prime: { from: /(\d)(')$/, to: [ null, '′' ] },
+	doublePrime: { from: /(\d)("|′')$/, to: [ null, '″' ] },
+
+	// Fractions:
+	oneFifth: createFractionTransformation( '1/5', '⅕' ),
+	twoFifths: createFractionTransformation( '2/5', '⅖' ),
+	threeFifths: createFractionTransformation( '3/5', '⅗' ),
+	fourFifths: createFractionTransformation( '4/5', '⅘' ),
+	oneSixth: createFractionTransformation( '1/6', '⅙' ),
+	fiveSixths: createFractionTransformation( '5/6', '⅚' ),
+	oneSeventh: createFractionTransformation( '1/7', '⅐' ),
+	oneEighth: createFractionTransformation( '1/8', '⅛' ),
+	threeEighths: createFractionTransformation( '3/8', '⅜' ),
+	fiveEighths: createFractionTransformation( '5/8', '⅝' ),
+	sevenEighths: createFractionTransformation( '7/8', '⅞' ),
+	oneNinth: createFractionTransformation( '1/9', '⅑' ),
+	oneTenth: createFractionTransformation( '1/10', '⅒' ),
+
+	// Extended arrows:
+	// The `<=` and `<-` parts may have been already transformed by the `lessThanOrEqual` and `arrowLeft` transformations.
+	arrowLeftRight: { from: /(<->|←>)$/, to: [ '↔' ] },
+	arrowRightDouble: { from: /(^|[^<])(=>)$/, to: [ null, '⇒' ] },
+	arrowLeftRightDouble: { from: /(<=>|≤>)$/, to: [ '⇔' ] },
+
 	// Typography:
 	horizontalEllipsis: { from: '...', to: '…' },
 	enDash: { from: /(^| )(--)( )$/, to: [ null, '–', null ] },
 	emDash: { from: /(^| )(---)( )$/, to: [ null, '—', null ] },
+	apostrophe: createApostropheTransformation(),
+
+	// French spacing:
+	frenchSpaceBeforePunctuation: createSpaceBeforePunctuationTransformation(),
+	frenchSpaceAfterGuillemet: createSpaceAfterGuillemetTransformation(),
+
+	// Whitespace:
+	removeSpaceBeforePunctuation: createRemoveSpaceBeforePunctuationTransformation(),
+	addSpaceAfterPunctuation: createAddSpaceAfterPunctuationTransformation(),
+
+	// Capitalization:
+	capitalizeBlocks: createBlockCapitalizationTransformation(),
+
 	// Quotations:
 	// English, US
-	quotesPrimary: { from: buildQuotesRegExp( '"' ), to: [ null, '“', null, '”' ] },
-	quotesSecondary: { from: buildQuotesRegExp( '\'' ), to: [ null, '‘', null, '’' ] },
+	quotesPrimary: createQuotesTransformation( '"', [ '“', '”' ], [ '‘', '’' ] ),
+	quotesSecondary: createQuotesTransformation( '\'', [ '‘', '’' ], [ '“', '”' ] ),
 
 	// English, UK
-	quotesPrimaryEnGb: { from: buildQuotesRegExp( '\'' ), to: [ null, '‘', null, '’' ] },
-	quotesSecondaryEnGb: { from: buildQuotesRegExp( '"' ), to: [ null, '“', null, '”' ] },
+	quotesPrimaryEnGb: createQuotesTransformation( '\'', [ '‘', '’' ], [ '“', '”' ] ),
+	quotesSecondaryEnGb: createQuotesTransformation( '"', [ '“', '”' ], [ '‘', '’' ] ),
 
 	// Polish
-	quotesPrimaryPl: { from: buildQuotesRegExp( '"' ), to: [ null, '„', null, '”' ] },
-	quotesSecondaryPl: { from: buildQuotesRegExp( '\'' ), to: [ null, '‚', null, '’' ] }
+	quotesPrimaryPl: createQuotesTransformation( '"', [ '„', '”' ], [ '‚', '’' ] ),
+	quotesSecondaryPl: createQuotesTransformation( '\'', [ '‚', '’' ], [ '„', '”' ] ),
+
+	// German
+	quotesPrimaryDe: createQuotesTransformation( '"', [ '„', '“' ], [ '‚', '‘' ] ),
+	quotesSecondaryDe: createQuotesTransformation( '\'', [ '‚', '‘' ], [ '„', '“' ] ),
+
+	// French (with narrow no-break spaces inside the guillemets)
+	quotesPrimaryFr: createQuotesTransformation( '"', [ '«\u202f', '\u202f»' ], [ '“', '”' ] ),
+	quotesSecondaryFr: createQuotesTransformation( '\'', [ '“', '”' ], [ '«\u202f', '\u202f»' ] ),
+
+	// Swiss
+	quotesPrimaryCh: createQuotesTransformation( '"', [ '«', '»' ], [ '‹', '›' ] ),
+	quotesSecondaryCh: createQuotesTransformation( '\'', [ '‹', '›' ], [ '«', '»' ] ),
+
+	// Czech
+	quotesPrimaryCs: createQuotesTransformation( '"', [ '„', '“' ], [ '‚', '‘' ] ),
+	quotesSecondaryCs: createQuotesTransformation( '\'', [ '‚', '‘' ], [ '„', '“' ] ),
+
+	// Russian
+	quotesPrimaryRu: createQuotesTransformation( '"', [ '«', '»' ], [ '„', '“' ] ),
+	quotesSecondaryRu: createQuotesTransformation( '\'', [ '„', '“' ], [ '«', '»' ] ),
+
+	// Swedish
+	quotesPrimarySv: createQuotesTransformation( '"', [ '”', '”' ], [ '’', '’' ] ),
+	quotesSecondarySv: createQuotesTransformation( '\'', [ '’', '’' ], [ '”', '”' ] ),
+
+	// Japanese
+	quotesPrimaryJa: createQuotesTransformation( '"', [ '「', '」' ], [ '『', '』' ] ),
+	quotesSecondaryJa: createQuotesTransformation( '\'', [ '『', '』' ], [ '「', '」' ] )
 };
 
 // Transformation groups.
@@ -56,10 +168,66 @@ const TRANSFORMATION_GROUPS = {
 		'lessThanOrEqual', 'greaterThanOrEqual', 'notEqual',
 		'arrowLeft', 'arrowRight'
 	],
-	typography: [ 'horizontalEllipsis', 'enDash', 'emDash' ],
-	quotes: [ 'quotesPrimary', 'quotesSecondary' ]
+	typography: [ 'horizontalEllipsis', 'enDash', 'emDash', 'apostrophe' ],
+	quotesEn: [ 'quotesPrimary', 'quotesSecondary' ],
+	quotesEnGb: [ 'quotesPrimaryEnGb', 'quotesSecondaryEnGb' ],
+	quotesPl: [ 'quotesPrimaryPl', 'quotesSecondaryPl' ],
+	quotesDe: [ 'quotesPrimaryDe', 'quotesSecondaryDe' ],
+	quotesFr: [ 'quotesPrimaryFr', 'quotesSecondaryFr' ],
+	quotesCh: [ 'quotesPrimaryCh', 'quotesSecondaryCh' ],
+	quotesCs: [ 'quotesPrimaryCs', 'quotesSecondaryCs' ],
+	quotesRu: [ 'quotesPrimaryRu', 'quotesSecondaryRu' ],
+	quotesSv: [ 'quotesPrimarySv', 'quotesSecondarySv' ],
+	quotesJa: [ 'quotesPrimaryJa', 'quotesSecondaryJa' ],
+	autocorrect: [ 'misspellings' ],
+	autoCapitalize: [ 'capitalizeBlocks', 'capitalizeSentences' ],
+	extendedSymbols: [ 'soundRecordingCopyright', 'euro', 'careOf' ],
+	extendedMathematical: [ 'multiplication', 'plusMinus', 'perMille', 'degree', 'prime', 'doublePrime' ],
+	fractions: [
+		'oneFifth', 'twoFifths', 'threeFifths', 'fourFifths', 'oneSixth', 'fiveSixths', 'oneSeventh',
+		'oneEighth', 'threeEighths', 'fiveEighths', 'sevenEighths', 'oneNinth', 'oneTenth'
+	],
+	extendedArrows: [ 'arrowLeftRight', 'arrowRightDouble', 'arrowLeftRightDouble' ],
+	frenchSpacing: [ 'frenchSpaceBeforePunctuation', 'frenchSpaceAfterGuillemet' ],
+	orphans: [ 'orphanWords' ],
+	whitespace: [ 'collapseSpaces', 'removeSpaceBeforePunctuation', 'addSpaceAfterPunctuation' ],
+	emoji: [ 'emojiShortcodes' ],
+	emoticons: [ 'emojiEmoticons' ],
+	latexSymbols: [ 'latexCommands' ]
 };
 
+// Transformation groups which depend on the content language. Each group maps a content language to the transformation group
+// (or the list of transformations) used for the content in that language. See `typing.transformations.languageGroups`.
+const LANGUAGE_GROUPS = {
+	quotes: {
+		en: 'quotesEn',
+		'en-gb': 'quotesEnGb',
+		pl: 'quotesPl',
+		de: 'quotesDe',
+		'de-ch': 'quotesCh',
+		fr: 'quotesFr',
+		'fr-ch': 'quotesCh',
+		cs: 'quotesCs',
+		ru: 'quotesRu',
+		sv: 'quotesSv',
+		ja: 'quotesJa'
+	}
+};
+
+// The content language used when neither the content nor the editor configuration defines it. It is also used
+// for languages which are not defined in a language group.
+const DEFAULT_LANGUAGE = 'en';
+
+// The maximum length of the end of the text which the transformations are matched against. Thanks to that, the time of matching
+// does not grow with the length of the paragraph. It is long enough to find the quotations opened in a long sentence.
+const MATCHED_TEXT_LENGTH = 1000;
+
+// Names of the elements in which the transformations are not applied by default.
+const DEFAULT_DISALLOWED_ELEMENTS = [ 'codeBlock' ];
+
+// Text attributes which prevent applying the transformations by default.
+const DEFAULT_DISALLOWED_ATTRIBUTES = [ 'code' ];
+
 // Set of default transformations provided by the feature.
 const DEFAULT_TRANSFORMATIONS = [
 	'symbols',
@@ -71,6 +239,11 @@ const DEFAULT_TRANSFORMATIONS = [
 /**
  * The text transformation plugin.
  *
+ * It applies the transformations while the user types. It also registers the `'transformText'` command
+ * ({@link module:typing/texttransformationcommand~TextTransformationCommand}) which applies them to the existing content
+ * and the `'preventOrphans'` command which applies the `orphanWords` transformation to the existing content, even if
+ * the `orphans` group is not enabled.
+ *
  * @extends module:core/plugin~Plugin
  */
 export default class TextTransformation extends Plugin {
@@ -89,9 +262,102 @@ export default class TextTransformation extends Plugin {
 
 		editor.config.define( 'typing', {
 			transformations: {
-				include: DEFAULT_TRANSFORMATIONS
+				include: DEFAULT_TRANSFORMATIONS,
+				languageGroups: LANGUAGE_GROUPS,
+				disallowIn: DEFAULT_DISALLOWED_ELEMENTS,
+				disallowAttributes: DEFAULT_DISALLOWED_ATTRIBUTES,
+				autocorrect: DEFAULT_AUTOCORRECT_DICTIONARIES,
+				capitalizationExceptions: DEFAULT_CAPITALIZATION_EXCEPTIONS,
+				orphans: DEFAULT_ORPHANS
 			}
 		} );
+
+		/**
+		 * The list of active transformations. Each transformation is a
+		 * {@link module:typing/texttransformation~TextTransformationDescription} with an additional `name` property.
+		 * Transformations added through the configuration without a name get a unique one.
+		 *
+		 * The collection fires `add` and `remove` events, so it can be used to observe which transformations are active.
+		 * Use {@link #enable}, {@link #disable}, {@link #add} and {@link #remove} methods to change it.
+		 *
+		 * @readonly
+		 * @member {module:utils/collection~Collection} #transformations
+		 */
+		this.transformations = new Collection( { idProperty: 'name' } );
+
+		/**
+		 * All transformations known to the plugin by their names. It contains the predefined transformations
+		 * and the ones registered with {@link #add}.
+		 *
+		 * @private
+		 * @member {Map.<String,module:typing/texttransformation~TextTransformationDescription>} #_definitions
+		 */
+		this._definitions = new Map( Object.entries( Object.assign(
+			{},
+			TRANSFORMATIONS,
+			createConfigurableTransformations( editor.config.get( 'typing.transformations' ) )
+		) ) );
+
+		/**
+		 * Language groups by their names. See {@link module:typing/texttransformation~TextTransformationConfig#languageGroups}.
+		 *
+		 * @private
+		 * @member {Object} #_languageGroups
+		 */
+		this._languageGroups = editor.config.get( 'typing.transformations.languageGroups' );
+
+		/**
+		 * The transformations enabled through a language group. They are applied only to the content in the languages
+		 * they are defined for in that group. Keys are the transformation names and values are objects with the `group` name
+		 * and the `languages` for which the transformation is used.
+		 *
+		 * @private
+		 * @member {Map.<String,Object>} #_languageRestrictions
+		 */
+		this._languageRestrictions = new Map();
+
+		/**
+		 * The definitions from which the active transformations were created. The keys are the active (compiled) transformations.
+		 * The definitions are used to {@link #exportRules export the rules}.
+		 *
+		 * @private
+		 * @member {WeakMap.<Object,module:typing/texttransformation~TextTransformationDescription>} #_sourceDefinitions
+		 */
+		this._sourceDefinitions = new WeakMap();
+
+		/**
+		 * The matcher of the active transformations. It finds all transformations matching the text before the selection at once.
+		 *
+		 * @private
+		 * @member {module:typing/utils/transformationmatcher~TransformationMatcher} #_matcher
+		 */
+		this._matcher = new TransformationMatcher();
+
+		/**
+		 * The matchers of the transformations used by their names in {@link #findReplacements}. The keys are the names joined
+		 * with a comma. The matchers are dropped when a transformation is added or removed.
+		 *
+		 * @private
+		 * @member {Map.<String,module:typing/utils/transformationmatcher~TransformationMatcher>} #_namedMatchers
+		 */
+		this._namedMatchers = new Map();
+
+		/**
+		 * The text watcher shared by all active transformations. It is created when the plugin is initialized.
+		 *
+		 * @private
+		 * @member {module:typing/textwatcher~TextWatcher|null} #_watcher
+		 */
+		this._watcher = null;
+
+		/**
+		 * The last transformation applied while typing. It is kept until the next change in the document
+		 * (or its selection), so the transformation can be reverted with <kbd>Backspace</kbd> right after it was applied.
+		 *
+		 * @private
+		 * @member {Object|null} #_lastTransformation
+		 */
+		this._lastTransformation = null;
 	}
 
 	/**
@@ -99,67 +365,689 @@ export default class TextTransformation extends Plugin {
 	 */
 	init() {
 		const editor = this.editor;
+
+		this.listenTo( this.transformations, 'add', ( evt, transformation ) => {
+			this._matcher.add( transformation );
+		} );
+
+		this.listenTo( this.transformations, 'remove', ( evt, transformation ) => {
+			this._matcher.remove( transformation );
+		} );
+
+		const config = editor.config.get( 'typing.transformations' );
+
+		for ( const transformation of config.include.concat( config.extra || [] ) ) {
+			if ( typeof transformation == 'string' ) {
+				this._warnIfUnknown( transformation );
+				this.enable( transformation );
+			} else if ( transformation.name ) {
+				// A named transformation overrides the properties of the known transformation with the same name (if there is one).
+				this.add( transformation.name, Object.assign( {}, this._definitions.get( transformation.name ), transformation ) );
+			} else {
+				this._addTransformation( transformation );
+			}
+		}
+
+		// The rules are complete definitions, so the named ones replace the known transformations instead of overriding them.
+		for ( const rule of parseTransformationRules( config.rules || [], editor ) ) {
+			if ( rule.name ) {
+				this.add( rule.name, rule );
+			} else {
+				this._addTransformation( rule );
+			}
+		}
+
+		// Disable 'remove' transformations after all others were enabled as they might be set in a group.
+		for ( const name of config.remove || [] ) {
+			this._warnIfUnknown( name );
+			this.disable( name );
+		}
+
+		this._watcher = this._createWatcher();
+
+		this._enableRevertOnBackspace();
+
+		editor.commands.add( 'transformText', new TextTransformationCommand( editor ) );
+		editor.commands.add( 'preventOrphans', new TextTransformationCommand( editor, [ 'orphanWords' ] ) );
+	}
+
+	/**
+	 * @inheritDoc
+	 */
+	destroy() {
+		if ( this._watcher ) {
+			this._watcher.destroy();
+		}
+
+		super.destroy();
+	}
+
+	/**
+	 * Registers a named transformation and enables it. If a transformation with the same name already exists, it is replaced.
+	 *
+	 *		const textTransformation = editor.plugins.get( 'TextTransformation' );
+	 *
+	 *		textTransformation.add( 'cke', { from: 'CKE', to: 'CKEditor' } );
+	 *
+	 * The definition is validated first and the {@link module:utils/ckeditorerror~CKEditorError} is thrown if the transformation
+	 * cannot be applied safely, see {@link module:typing/utils/validatetransformation~validateTransformation}.
+	 *
+	 * @param {String} name The name of the transformation.
+	 * @param {module:typing/texttransformation~TextTransformationDescription} definition The transformation definition.
+	 */
+	add( name, definition ) {
+		validateTransformation( compileTransformation( definition, this.editor ), this.editor );
+
+		this.disable( name );
+
+		this._definitions.set( name, definition );
+		this._namedMatchers.clear();
+
+		this.enable( name );
+	}
+
+	/**
+	 * Disables a named transformation and removes it from the transformations known to the plugin. It can be used
+	 * for the predefined transformations, too. After that it is no longer possible to {@link #enable} it.
+	 *
+	 * @param {String} name The name of the transformation.
+	 */
+	remove( name ) {
+		this.disable( name );
+
+		this._definitions.delete( name );
+		this._namedMatchers.clear();
+	}
+
+	/**
+	 * Enables a named transformation or all transformations from a named group. Unknown names are ignored.
+	 *
+	 *		const textTransformation = editor.plugins.get( 'TextTransformation' );
+	 *
+	 *		// Enable a single transformation.
+	 *		textTransformation.enable( 'copyright' );
+	 *
+	 *		// Enable all transformations from the group.
+	 *		textTransformation.enable( 'mathematical' );
+	 *
+	 * The transformations from a {@link module:typing/texttransformation~TextTransformationConfig#languageGroups language group}
+	 * (e.g. `quotes`) are applied only to the content in the languages they are defined for.
+	 *
+	 * @param {String} nameOrGroup The name of the transformation or the group.
+	 */
+	enable( nameOrGroup ) {
+		const languageGroup = this._languageGroups[ nameOrGroup ];
+
+		if ( languageGroup ) {
+			for ( const [ language, transformations ] of Object.entries( languageGroup ) ) {
+				for ( const name of expandGroupsAndRemoveDuplicates( castArray( transformations ) ) ) {
+					// A transformation which was enabled on its own stays active for all languages.
+					if ( this._enableTransformation( name ) || this._languageRestrictions.has( name ) ) {
+						this._restrictToLanguage( name, nameOrGroup, language );
+					}
+				}
+			}
+
+			return;
+		}
+
+		for ( const name of expandGroupsAndRemoveDuplicates( [ nameOrGroup ] ) ) {
+			this._enableTransformation( name );
+		}
+	}
+
+	/**
+	 * Disables a named transformation or all transformations from a named group. The transformations can be enabled again
+	 * using {@link #enable}.
+	 *
+	 * @param {String} nameOrGroup The name of the transformation or the group.
+	 */
+	disable( nameOrGroup ) {
+		const languageGroup = this._languageGroups[ nameOrGroup ];
+		const groups = languageGroup ? Object.values( languageGroup ).map( group => castArray( group ) ) : [ [ nameOrGroup ] ];
+
+		for ( const name of expandGroupsAndRemoveDuplicates( flatten( groups ) ) ) {
+			this._languageRestrictions.delete( name );
+
+			if ( this.transformations.has( name ) ) {
+				this.transformations.remove( name );
+			}
+		}
+	}
+
+	/**
+	 * Returns the active transformations as the {@link module:typing/texttransformation~TextTransformationRule rules}
+	 * which can be serialized to JSON, e.g. to store them on the server and load them later through
+	 * {@link module:typing/texttransformation~TextTransformationConfig#rules `config.typing.transformations.rules`}.
+	 *
+	 *		const textTransformation = editor.plugins.get( 'TextTransformation' );
+	 *
+	 *		const json = JSON.stringify( textTransformation.exportRules() );
+	 *
+	 * The transformations which use a function as `to` (e.g. the quotes or the autocorrect ones) cannot be serialized,
+	 * so they are skipped.
+	 *
+	 * @returns {Array.<module:typing/texttransformation~TextTransformationRule>}
+	 */
+	exportRules() {
+		const rules = [];
+
+		for ( const transformation of this.transformations ) {
+			const rule = serializeTransformation( this._sourceDefinitions.get( transformation ) );
+
+			if ( rule ) {
+				rules.push( rule );
+			}
+		}
+
+		return rules;
+	}
+
+	/**
+	 * Finds the parts of the text which the transformations replace when the last character of the text is typed. Only
+	 * the first applicable transformation which replaces anything (in the order of precedence of the matches, see
+	 * {@link module:typing/utils/transformationmatcher~TransformationMatcher#match}) is used, the same way as while typing.
+	 * The transformations which change the model with a callback are skipped, as they are applied only while typing.
+	 *
+	 *		const textTransformation = editor.plugins.get( 'TextTransformation' );
+	 *		const paragraph = editor.model.document.getRoot().getChild( 0 );
+	 *		const position = editor.model.createPositionAt( paragraph, 'end' );
+	 *
+	 *		// The paragraph contains `Foo (c)`.
+	 *		textTransformation.findReplacements( 'Foo (c)', position, position.nodeBefore );
+	 *		// -> [ { index: 4, from: '(c)', to: '©' } ]
+	 *
+	 * It is used by the {@link module:typing/texttransformationcommand~TextTransformationCommand text transformation command}
+	 * to transform the existing content.
+	 *
+	 * @param {String} text The text typed so far.
+	 * @param {module:engine/model/position~Position} position The position at the end of the text. It is used to check the content
+	 * language and the context of the transformations.
+	 * @param {module:engine/model/documentselection~DocumentSelection|module:engine/model/item~Item} item The selection or
+	 * the text at the end of the text whose attributes are checked.
+	 * @param {Array.<String>} [names] The names of the transformations to use. They are used even if they are not active.
+	 * If not set, the active transformations are used.
+	 * @returns {Array.<Object>} The replaced parts. Each part has the `index` at which it starts in the text, the replaced text (`from`),
+	 * the replacement (`to`) and the `attributes` to set on the replacement (if the transformation returned a descriptor).
+	 * The array is empty if nothing is replaced.
+	 */
+	findReplacements( text, position, item, names ) {
+		const matcher = names ? this._getNamedMatcher( names ) : this._matcher;
+
+		return this._findFirstReplacements( matchTextEnd( matcher, text ), position, item, true );
+	}
+
+	/**
+	 * Logs a warning if the name used in the configuration is neither a known transformation nor a group.
+	 *
+	 * @private
+	 * @param {String} nameOrGroup
+	 */
+	_warnIfUnknown( nameOrGroup ) {
+		if ( this._definitions.has( nameOrGroup ) || TRANSFORMATION_GROUPS[ nameOrGroup ] || this._languageGroups[ nameOrGroup ] ) {
+			return;
+		}
+
+		/**
+		 * The name used in
+		 * {@link module:typing/texttransformation~TextTransformationConfig#include `config.typing.transformations.include`},
+		 * {@link module:typing/texttransformation~TextTransformationConfig#extra `extra`} or
+		 * {@link module:typing/texttransformation~TextTransformationConfig#remove `remove`} is neither a known transformation
+		 * nor a group, so it is ignored. Check the spelling of the name (the names are case-sensitive) and make sure that
+		 * the transformation defined in the configuration has the `name` property set.
+		 *
+		 * @error text-transformation-unknown-name
+		 * @param {String} name The unknown name.
+		 */
+		log.warn(
+			'text-transformation-unknown-name: The text transformation or the group with given name does not exist.',
+			{ name: nameOrGroup }
+		);
+	}
+
+	/**
+	 * Enables a known transformation if it is not active yet.
+	 *
+	 * @private
+	 * @param {String} name The name of the transformation.
+	 * @returns {Boolean} Whether the transformation was enabled.
+	 */
+	_enableTransformation( name ) {
+		if ( !this._definitions.has( name ) || this.transformations.has( name ) ) {
+			return false;
+		}
+
+		this._addTransformation( Object.assign( {}, this._definitions.get( name ), { name } ) );
+
+		return true;
+	}
+
+	/**
+	 * Compiles and validates the transformation and adds it to the active {@link #transformations}.
+	 *
+	 * @private
+	 * @param {module:typing/texttransformation~TextTransformationDescription} definition
+	 */
+	_addTransformation( definition ) {
+		const transformation = compileTransformation( definition, this.editor );
+
+		validateTransformation( transformation, this.editor );
+
+		this._sourceDefinitions.set( transformation, definition );
+		this.transformations.add( transformation );
+	}
+
+	/**
+	 * Returns the matcher of the known transformations with given names (even if they are not active).
+	 *
+	 * @private
+	 * @param {Array.<String>} names
+	 * @returns {module:typing/utils/transformationmatcher~TransformationMatcher}
+	 */
+	_getNamedMatcher( names ) {
+		const key = names.join( ',' );
+
+		if ( !this._namedMatchers.has( key ) ) {
+			const matcher = new TransformationMatcher();
+
+			for ( const name of names.filter( name => this._definitions.has( name ) ) ) {
+				matcher.add( Object.assign( compileTransformation( this._definitions.get( name ), this.editor ), { name } ) );
+			}
+
+			this._namedMatchers.set( key, matcher );
+		}
+
+		return this._namedMatchers.get( key );
+	}
+
+	/**
+	 * Marks an active transformation as used by a language group for given language.
+	 *
+	 * @private
+	 * @param {String} name The name of the transformation.
+	 * @param {String} group The name of the language group.
+	 * @param {String} language The language for which the group uses the transformation.
+	 */
+	_restrictToLanguage( name, group, language ) {
+		if ( !this._languageRestrictions.has( name ) ) {
+			this._languageRestrictions.set( name, { group, languages: [] } );
+		}
+
+		this._languageRestrictions.get( name ).languages.push( language );
+	}
+
+	/**
+	 * Checks whether the transformation can be applied at given position in the content. The transformations enabled
+	 * through a language group are applied only to the content in the languages they were defined for. The transformations
+	 * with the `language` property are applied only to the content in the listed languages.
+	 *
+	 * @private
+	 * @param {module:typing/texttransformation~TextTransformationDescription} transformation
+	 * @param {module:engine/model/position~Position} position
+	 * @returns {Boolean}
+	 */
+	_isLanguageMatching( transformation, position ) {
+		const restriction = this._languageRestrictions.get( transformation.name );
+
+		if ( !restriction && !transformation.language ) {
+			return true;
+		}
+
+		const language = this._getContentLanguage( position );
+
+		const languages = castArray( transformation.language || [] ).map( item => item.toLowerCase() );
+
+		if ( languages.length && !resolveLanguage( language, languages ) ) {
+			return false;
+		}
+
+		if ( !restriction ) {
+			return true;
+		}
+
+		return restriction.languages.includes( resolveGroupLanguage( language, this._languageGroups[ restriction.group ] ) );
+	}
+
+	/**
+	 * Checks whether the transformation can be applied at given position, taking into account both the
+	 * {@link #_isLanguageMatching content language} and the {@link #_isAllowedInContext context}.
+	 *
+	 * @private
+	 * @param {module:typing/texttransformation~TextTransformationDescription} transformation
+	 * @param {module:engine/model/position~Position} position
+	 * @param {module:engine/model/documentselection~DocumentSelection|module:engine/model/item~Item} item The selection or
+	 * the text whose attributes are checked.
+	 * @returns {Boolean}
+	 */
+	_isApplicable( transformation, position, item ) {
+		return this._isLanguageMatching( transformation, position ) && this._isAllowedInContext( transformation, position, item );
+	}
+
+	/**
+	 * Checks whether the transformation can be applied in given context:
+	 *
+	 * * If the transformation has the `allowIn` property, the position must be inside one of the listed elements.
+	 * * The position must not be inside any of the elements listed in the `disallowIn` property.
+	 * * The selection (or the text) must not have any of the attributes listed in the `disallowAttributes` property.
+	 * * The position must not be in any of the roots listed in the `disallowInRoots` property.
+	 *
+	 * If the transformation does not define the `disallowIn` or `disallowAttributes` property, the
+	 * {@link module:typing/texttransformation~TextTransformationConfig#disallowIn `typing.transformations.disallowIn`} and
+	 * {@link module:typing/texttransformation~TextTransformationConfig#disallowAttributes `typing.transformations.disallowAttributes`}
+	 * configuration options are used.
+	 *
+	 * @private
+	 * @param {module:typing/texttransformation~TextTransformationDescription} transformation
+	 * @param {module:engine/model/position~Position} position
+	 * @param {module:engine/model/documentselection~DocumentSelection|module:engine/model/item~Item} item The selection or
+	 * the text whose attributes are checked.
+	 * @returns {Boolean}
+	 */
+	_isAllowedInContext( transformation, position, item ) {
+		const config = this.editor.config.get( 'typing.transformations' );
+		const schema = this.editor.model.schema;
+
+		const allowIn = transformation.allowIn;
+		const disallowIn = transformation.disallowIn || config.disallowIn;
+		const disallowAttributes = transformation.disallowAttributes || config.disallowAttributes;
+		const disallowInRoots = transformation.disallowInRoots || [];
+
+		if ( disallowInRoots.includes( position.root.rootName ) ) {
+			return false;
+		}
+
+		const elementNames = Array.from( schema.createContext( position ) ).map( ancestor => ancestor.name );
+
+		if ( allowIn && !allowIn.some( name => elementNames.includes( name ) ) ) {
+			return false;
+		}
+
+		if ( disallowIn.some( name => elementNames.includes( name ) ) ) {
+			return false;
+		}
+
+		return !disallowAttributes.some( attribute => item.hasAttribute( attribute ) );
+	}
+
+	/**
+	 * Returns the language of the content at given position. It is the value of the `language` attribute of the closest
+	 * ancestor element (e.g. the block being typed in) or, if there is none, the
+	 * {@link module:core/editor/editorconfig~EditorConfig#language language of the editor}.
+	 *
+	 * @private
+	 * @param {module:engine/model/position~Position} position
+	 * @returns {String} The lowercase language code, e.g. `en-gb`.
+	 */
+	_getContentLanguage( position ) {
+		const element = position.getAncestors().reverse().find( ancestor => ancestor.hasAttribute( 'language' ) );
+		const language = element ? element.getAttribute( 'language' ) : this.editor.config.get( 'language' );
+
+		return ( language || DEFAULT_LANGUAGE ).toLowerCase();
+	}
+
+	/**
+	 * Creates the text watcher which applies the matching transformation when the user types. The text before the selection
+	 * is read once per change and all active transformations are matched against its end by the {@link #_matcher}.
+	 *
+	 * Only one transformation is applied per change: the first applicable one which replaces any part of the text, in the order
+	 * of precedence of the matches (see {@link module:typing/utils/transformationmatcher~TransformationMatcher#match}).
+	 * Thanks to that, the overlapping transformations (e.g. `->` and `-->`) do not replace the same text twice.
+	 *
+	 * @private
+	 * @returns {module:typing/textwatcher~TextWatcher}
+	 */
+	_createWatcher() {
+		const editor = this.editor;
 		const model = editor.model;
 		const input = editor.plugins.get( 'Input' );
 
-		const configuredTransformations = getConfiguredTransformations( editor.config.get( 'typing.transformations' ) );
+		const watcher = new TextWatcher( model, text => {
+			const matched = matchTextEnd( this._matcher, text );
 
-		for ( const transformation of configuredTransformations ) {
-			const from = normalizeFrom( transformation.from );
-			const to = normalizeTo( transformation.to );
+			return matched.length ? { matched } : false;
+		} );
 
-			const watcher = new TextWatcher( editor.model, text => from.test( text ) );
+		watcher.on( 'matched:data', ( evt, data ) => {
+			const selection = model.document.selection;
 
-			watcher.on( 'matched:data', ( evt, data ) => {
-				if ( !input.isInput( data.batch ) ) {
-					return;
-				}
+			if ( !input.isInput( data.batch ) ) {
+				return;
+			}
+
+			const replacements = this._findFirstReplacements( data.matched, selection.focus, selection );
+
+			if ( replacements.length ) {
+				this._applyReplacements( replacements );
+			}
+		} );
+
+		return watcher;
+	}
 
-				const matches = from.exec( data.text );
-				const replaces = to( matches.slice( 1 ) );
+	/**
+	 * Returns the replacements of the first applicable transformation which replaces any part of the text. The matches are
+	 * checked in the order in which they were found, so only the transformation which wins is used.
+	 *
+	 * @private
+	 * @param {Array.<Object>} matched The matches returned by
+	 * {@link module:typing/utils/transformationmatcher~TransformationMatcher#match}.
+	 * @param {module:engine/model/position~Position} position The position at the end of the matched text.
+	 * @param {module:engine/model/documentselection~DocumentSelection|module:engine/model/item~Item} item The selection or
+	 * the text whose attributes are checked.
+	 * @param {Boolean} [skipCallbacks=false] Whether the transformations which return a callback should be skipped.
+	 * @returns {Array.<Object>} The replacements, see {@link #_getReplacements}.
+	 */
+	_findFirstReplacements( matched, position, item, skipCallbacks = false ) {
+		for ( const { transformation, matches } of matched ) {
+			if ( !this._isApplicable( transformation, position, item ) ) {
+				continue;
+			}
 
-				// Used `focus` to be in line with `TextWatcher#_getText()`.
-				const selectionParent = editor.model.document.selection.focus.parent;
+			const replacements = this._getReplacements( transformation, matches, position );
 
-				let changeIndex = matches.index;
+			if ( replacements.length && !( skipCallbacks && replacements[ 0 ].callback ) ) {
+				return replacements;
+			}
+		}
 
-				model.enqueueChange( writer => {
-					for ( let i = 1; i < matches.length; i++ ) {
-						const match = matches[ i ];
-						const replaceWith = replaces[ i - 1 ];
+		return [];
+	}
 
-						if ( replaceWith == null ) {
-							changeIndex += match.length;
+	/**
+	 * Replaces the matched text before the selection. If the transformation returned a callback, it is called instead.
+	 *
+	 * @private
+	 * @param {Array.<Object>} replacements The replacements returned by {@link #_getReplacements}.
+	 */
+	_applyReplacements( replacements ) {
+		const model = this.editor.model;
 
-							continue;
-						}
+		// Used `focus` to be in line with `TextWatcher#_getText()`.
+		const selectionParent = model.document.selection.focus.parent;
 
-						const replacePosition = model.createPositionAt( selectionParent, changeIndex );
-						const replaceRange = model.createRange( replacePosition, replacePosition.getShiftedBy( match.length ) );
-						const attributes = getTextAttributesAfterPosition( replacePosition );
+		model.enqueueChange( writer => {
+			const selection = model.document.selection;
+			const selectionAttributes = new Map( selection.getAttributes() );
+			const changedAttributeKeys = new Set();
+			const replacedParts = [];
 
-						model.insertContent( writer.createText( replaceWith, attributes ), replaceRange );
+			// The offset by which the preceding replacements moved the rest of the text.
+			let shift = 0;
 
-						changeIndex += replaceWith.length;
-					}
+			for ( const { index, from, to, attributes, callback, groups } of replacements ) {
+				if ( callback ) {
+					callback( writer, groups.map( group => group && model.createRange(
+						model.createPositionAt( selectionParent, group.index ),
+						model.createPositionAt( selectionParent, group.index + group.text.length )
+					) ) );
+
+					continue;
+				}
+
+				const replacePosition = model.createPositionAt( selectionParent, index + shift );
+				const replaceRange = model.createRange( replacePosition, replacePosition.getShiftedBy( from.length ) );
+				const replacedAttributes = Array.from( getReplacedTextAttributes( replaceRange ) );
+
+				replaceText( writer, replaceRange, to, mergeAttributes( replacedAttributes, attributes ) );
+
+				replacedParts.push( {
+					range: model.createRange( replacePosition, replacePosition.getShiftedBy( to.length ) ),
+					from,
+					to,
+					attributes: replacedAttributes
 				} );
+
+				shift += to.length - from.length;
+
+				for ( const key of Object.keys( attributes || {} ) ) {
+					changedAttributeKeys.add( key );
+				}
+			}
+
+			// The text typed after the transformed text should not get the attributes set by the transformation.
+			for ( const key of changedAttributeKeys ) {
+				if ( selectionAttributes.has( key ) ) {
+					writer.setSelectionAttribute( key, selectionAttributes.get( key ) );
+				} else {
+					writer.removeSelectionAttribute( key );
+				}
+			}
+
+			this._lastTransformation = { batch: writer.batch, parts: replacedParts };
+		} );
+	}
+
+	/**
+	 * Returns the parts of the text which the given transformation replaces. Each part has the `index` at which it starts
+	 * in the matched text, the text it replaces (`from`), the replacement (`to`) and the `attributes` to set on the replacement
+	 * (if the transformation returned a descriptor). The groups which should not be replaced are skipped. If the transformation
+	 * does not replace anything (e.g. its `to` callback returned `null`), the returned array is empty.
+	 *
+	 * If the transformation returned a callback, the only returned part contains the `callback` and the capturing `groups`,
+	 * each with its `index` and `text` (or `null` for the optional groups which did not take part in the match).
+	 *
+	 * @private
+	 * @param {module:typing/texttransformation~TextTransformationDescription} transformation
+	 * @param {Array.<String>} matches The matches of the transformation `from` pattern, as returned by `RegExp#exec()`.
+	 * @param {module:engine/model/position~Position} position The position at which the text was matched.
+	 * @returns {Array.<Object>}
+	 */
+	_getReplacements( transformation, matches, position ) {
+		const context = { language: this._getContentLanguage( position ) };
+		const replaces = normalizeTo( transformation.to )( matches.slice( 1 ), context ) || [];
+		const replacements = [];
+		const groups = [];
+
+		let index = matches.index;
+
+		for ( let i = 1; i < matches.length; i++ ) {
+			const match = matches[ i ];
+			const replaceWith = replaces[ i - 1 ];
+
+			// An optional group which did not take part in the match.
+			if ( match === undefined ) {
+				groups.push( null );
+
+				continue;
+			}
+
+			if ( replaceWith != null ) {
+				replacements.push( Object.assign( { index, from: match }, normalizeReplacement( replaceWith, match ) ) );
+			}
+
+			groups.push( { index, text: match } );
+
+			index += match.length;
+		}
+
+		if ( typeof replaces == 'function' ) {
+			return [ { index: matches.index, from: matches[ 0 ], callback: replaces, groups } ];
+		}
+
+		return replacements;
+	}
+
+	/**
+	 * Makes the `delete` command revert the {@link #_lastTransformation last transformation} instead of deleting
+	 * the content when <kbd>Backspace</kbd> is pressed right after the transformation was applied. For instance,
+	 * typing `(c)` inserts `©`, and pressing <kbd>Backspace</kbd> brings back `(c)`.
+	 *
+	 * @private
+	 */
+	_enableRevertOnBackspace() {
+		const editor = this.editor;
+		const model = editor.model;
+		const deleteCommand = editor.commands.get( 'delete' );
+
+		// Any change other than the transformation itself (typing, deleting, moving the selection) makes it impossible to revert it.
+		this.listenTo( model.document, 'change', ( evt, batch ) => {
+			if ( this._lastTransformation && this._lastTransformation.batch !== batch ) {
+				this._lastTransformation = null;
+			}
+		} );
+
+		// The `Delete` plugin is not a requirement of this feature.
+		if ( !deleteCommand ) {
+			return;
+		}
+
+		this.listenTo( deleteCommand, 'execute', ( evt, args ) => {
+			const options = args[ 0 ] || {};
+
+			if ( !this._isRevertPossible( options ) ) {
+				return;
+			}
+
+			const parts = this._lastTransformation.parts;
+
+			this._lastTransformation = null;
+
+			model.enqueueChange( writer => {
+				// Revert the parts starting from the last one so the ranges of the preceding parts stay valid.
+				for ( const { range, from, attributes } of parts.slice().reverse() ) {
+					replaceText( writer, range, from, attributes );
+				}
 			} );
+
+			evt.stop();
+		}, { priority: 'high' } );
+	}
+
+	/**
+	 * Checks whether the `delete` command executed with given options should revert the
+	 * {@link #_lastTransformation last transformation}. It is possible only for a single <kbd>Backspace</kbd> press
+	 * that deletes a character. The selection does not need to be checked because any selection change discards
+	 * the last transformation.
+	 *
+	 * @private
+	 * @param {Object} options The `delete` command options.
+	 * @returns {Boolean}
+	 */
+	_isRevertPossible( options ) {
+		if ( !this._lastTransformation || !this._lastTransformation.parts.length ) {
+			return false;
 		}
+
+		return !options.selection && options.unit != 'word' && !( options.sequence > 1 );
 	}
 }
 
-// Normalizes config `from` parameter value.
-// The normalized value for `from` parameter is a RegExp instance. If passed `from` is already a RegExp instance it is returned unchanged.
+// Creates the named transformations which depend on the configuration, e.g. on the autocorrect dictionaries.
 //
-// @param {String|RegExp} from
-// @returns {RegExp}
-function normalizeFrom( from ) {
-	if ( typeof from == 'string' ) {
-		return new RegExp( `(${ escapeRegExp( from ) })$` );
-	}
+// @param {module:typing/texttransformation~TextTransformationConfig} config
+// @returns {Object.<String,module:typing/texttransformation~TextTransformationDescription>}
+function createConfigurableTransformations( config ) {
+	const emojiConfig = config.emoji || {};
 
-	// `from` is already a regular expression.
-	return from;
+	return {
+		misspellings: createAutocorrectTransformation( config.autocorrect ),
+		capitalizeSentences: createSentenceCapitalizationTransformation( config.capitalizationExceptions ),
+		emojiShortcodes: createEmojiShortcodesTransformation( emojiConfig.shortcodes || DEFAULT_EMOJI_SHORTCODES ),
+		emojiEmoticons: createEmoticonsTransformation( emojiConfig.emoticons || DEFAULT_EMOTICONS ),
+		latexCommands: createLatexSymbolsTransformation( config.latexSymbols || DEFAULT_LATEX_SYMBOLS ),
+		orphanWords: createOrphansTransformation( config.orphans ),
+		collapseSpaces: createCollapseSpacesTransformation( config.whitespace )
+	};
 }
 
 // Normalizes config `to` parameter value.
@@ -179,39 +1067,21 @@ function normalizeTo( to ) {
 	return to;
 }
 
-// For given `position` returns attributes for the text that is after that position.
-// The text can be in the same text node as the position (`foo[]bar`) or in the next text node (`foo[]<$text bold="true">bar</$text>`).
+// Normalizes a single value returned by the `to` parameter: a string or a descriptor with the `text` and the `attributes`.
+// The descriptor without the `text` keeps the matched text.
 //
-// @param {module:engine/model/position~Position} position
-// @returns {Iterable.<*>}
-function getTextAttributesAfterPosition( position ) {
-	const textNode = position.textNode ? position.textNode : position.nodeAfter;
+// @param {String|Object} replaceWith
+// @param {String} match The matched text.
+// @returns {Object} The replacement `to` text and its `attributes` (if any).
+function normalizeReplacement( replaceWith, match ) {
+	if ( typeof replaceWith == 'string' ) {
+		return { to: replaceWith };
+	}
 
-	return textNode.getAttributes();
-}
-
-// Returns a RegExp pattern string that detects a sentence inside a quote.
-//
-// @param {String} quoteCharacter The character to create a pattern for.
-// @returns {String}
-function buildQuotesRegExp( quoteCharacter ) {
-	return new RegExp( `(^|\\s)(${ quoteCharacter })([^${ quoteCharacter }]*)(${ quoteCharacter })$` );
-}
-
-// Reads text transformation config and returns normalized array of transformations objects.
-//
-// @param {module:typing/texttransformation~TextTransformationDescription} config
-// @returns {Array.<module:typing/texttransformation~TextTransformationDescription>}
-function getConfiguredTransformations( config ) {
-	const extra = config.extra || [];
-	const remove = config.remove || [];
-	const isNotRemoved = transformation => !remove.includes( transformation );
-
-	const configured = config.include.concat( extra ).filter( isNotRemoved );
-
-	return expandGroupsAndRemoveDuplicates( configured )
-		.filter( isNotRemoved ) // Filter out 'remove' transformations as they might be set in group
-		.map( transformation => TRANSFORMATIONS[ transformation ] || transformation );
+	return {
+		to: replaceWith.text != null ? replaceWith.text : match,
+		attributes: replaceWith.attributes
+	};
 }
 
 // Reads definitions and expands named groups if needed to transformation names.
@@ -236,25 +1106,82 @@ function expandGroupsAndRemoveDuplicates( definitions ) {
 	return Array.from( definedTransformations );
 }
 
+// Finds the transformations which match the end of the text. Only the last `MATCHED_TEXT_LENGTH` characters are matched,
+// so the pattern anchored at the beginning of the text (`^`) matches the beginning of that part of a longer text. The indexes
+// of the matches are relative to the whole text.
+//
+// @param {module:typing/utils/transformationmatcher~TransformationMatcher} matcher
+// @param {String} text
+// @returns {Array.<Object>}
+function matchTextEnd( matcher, text ) {
+	const offset = Math.max( text.length - MATCHED_TEXT_LENGTH, 0 );
+	const matched = matcher.match( offset ? text.slice( offset ) : text );
+
+	for ( const { matches } of matched ) {
+		matches.index += offset;
+	}
+
+	return matched;
+}
+
+// Creates the transformation of the fraction typed with a slash, e.g. `1/2`. The fraction is transformed only when it is not
+// a part of a longer number, date or word, so it is transformed when the next character is typed.
+//
+// @param {String} fraction
+// @param {String} to
+// @returns {module:typing/texttransformation~TextTransformationDescription}
+function createFractionTransformation( fraction, to ) {
+	const boundary = `[^${ LETTERS }0-9/]`;
+
+	return {
+		from: new RegExp( `(^|${ boundary })(${ escapeRegExp( fraction ) })(${ boundary })$` ),
+		to: [ null, to, null ]
+	};
+}
+
+// Returns the language from given language group which should be used for the content in given language
+// (see `resolveLanguage()`). If the group does not define the language, the default language is used.
+//
+// @param {String} language The lowercase language code.
+// @param {Object} languageGroup
+// @returns {String}
+function resolveGroupLanguage( language, languageGroup ) {
+	const languages = Object.keys( languageGroup ).filter( key => languageGroup[ key ] );
+
+	return resolveLanguage( language, languages ) || DEFAULT_LANGUAGE;
+}
+
 /**
  * Text transformation definition object. Describes what should be replaced with what.
  *
- * The input value (`from`) can be passed either as a string or a regexp.
+ * The input value (`from`) can be passed either as a string, an array of strings or a regexp.
  *
  * * If a string is passed it will be simply checked if the end of the input matches it.
+ * * If an array of strings is passed, the end of the input is checked against each of them. It works like a regexp
+ * with one capturing group, e.g. `[ 'teh', 'hte' ]` works like `/(teh|hte)$/`.
  * * If a regexp is passed, its entire length must be covered with capturing groups (e.g. `/(foo)(bar)$/`).
  * Also, since it is compared against the end of the input, it has to end with  `$` to be correctly matched.
- * See examples below.
+ * The optional capturing groups (e.g. `/(?:(foo)(bar))?(baz)$/`) which did not take part in the match are skipped.
+ * Only the last 1000 characters of a longer input are matched, so `^` matches the beginning of the block only if the block
+ * is shorter. See examples below.
  *
  * The output value (`to`) can be passed either as a string or an array or a function.
  *
  * * If a string is passed, it will be used as a replacement value as-is. Note, that a string output value can be used only if
- * the input value is a string too.
+ * the input value is a string too (or a regexp with one capturing group). A string which refers to the capturing groups
+ * with `$1` to `$9` (or to the whole match with `$&`) is a template: the matched text is replaced with the template filled
+ * with the matched groups. The groups used in the template in their order are kept unchanged, so only the text between them
+ * is replaced. Use `$$` to insert the `$` character in a template.
  * * If an array is passed it has to have the same number of elements as there are capturing groups in the input value regexp.
  * Each capture group will be replaced by a corresponding string from the passed array. If given capturing group should not be replaced,
- * use `null` instead of passing a string.
- * * If a function is used, it should return an array as described above. The function is passed one parameter &mdash; an array with matches
- * by the regexp. See the examples below.
+ * use `null` instead of passing a string. An empty string removes the captured text. Instead of a string, a descriptor
+ * with the `text` and the `attributes` can be used to set the text attributes on the replacement (see the examples below).
+ * * If a function is used, it should return an array as described above. The function is passed two parameters &mdash; an array
+ * with matches by the regexp and an object with the context of the match. The context contains the `language` of the content
+ * (see {@link module:typing/texttransformation~TextTransformationConfig#languageGroups}). If the function returns `null`,
+ * nothing is replaced. The function can also return a callback which changes the model on its own, e.g. inserts an inline
+ * element. The callback is called with the model writer and the ranges of the capturing groups (`null` for the optional groups
+ * which did not take part in the match). See the examples below.
  *
  * Simple string-to-string replacement:
  *
@@ -268,16 +1195,177 @@ function expandGroupsAndRemoveDuplicates( definitions ) {
  *			to: [ null, '“', null, '”' ]
  *		}
  *
- * Automatic uppercase after a dot using a callback:
+ * Automatic uppercase after a dot using a callback (see the `autoCapitalize` group for a complete solution):
  *
  *		{
  *			from: /(\. )([a-z])$/,
  *			to: matches => [ null, matches[ 1 ].toUpperCase() ]
  *		}
  *
+ * Removing the space typed before a comma (see the `whitespace` group for a complete solution):
+ *
+ *		{
+ *			from: /(\S)( )(,)$/,
+ *			to: [ null, '', null ]
+ *		}
+ *
+ * Setting the text attributes with a descriptor. The `text` of the descriptor replaces the captured text and, if it is not set,
+ * the captured text is kept. The `attributes` are set on the replacement and the attributes set to `null` are removed.
+ * The text typed after the transformed text does not get these attributes:
+ *
+ *		// `x^2` becomes `x²` with the `superscript` attribute.
+ *		{
+ *			from: /(\^)(\d)$/,
+ *			to: [ '', { attributes: { superscript: true } } ]
+ *		}
+ *
+ *		// `H_2O` becomes `H₂O` with the `subscript` attribute.
+ *		{
+ *			from: /(_)(\d)$/,
+ *			to: [ '', { attributes: { subscript: true } } ]
+ *		}
+ *
+ *		// `**foo**` becomes the bold `foo`.
+ *		{
+ *			from: /(\*\*)([^*]+)(\*\*)$/,
+ *			to: [ '', { attributes: { bold: true } }, '' ]
+ *		}
+ *
+ * Inserting an inline element with a callback:
+ *
+ *		{
+ *			from: /(:smiley:)$/,
+ *			to: () => ( writer, [ range ] ) => {
+ *				writer.remove( range );
+ *				writer.insertElement( 'smiley', range.start );
+ *			}
+ *		}
+ *
+ * The callback transformations are applied only while typing, the
+ * {@link module:typing/texttransformationcommand~TextTransformationCommand `'transformText'` command} skips them.
+ * All changes made by a transformation are done in one batch, so they can be undone in one step.
+ *
+ * Adding the missing dot after an abbreviation only in the Polish content:
+ *
+ *		{
+ *			from: /(^|\s)(np)( )$/,
+ *			to: ( matches, { language } ) => language == 'pl' ? [ null, 'np.', null ] : null
+ *		}
+ *
+ * By default, transformations are not applied in the code (inside the elements and the text attributes listed in the
+ * {@link module:typing/texttransformation~TextTransformationConfig#disallowIn `typing.transformations.disallowIn`} and
+ * {@link module:typing/texttransformation~TextTransformationConfig#disallowAttributes `typing.transformations.disallowAttributes`}
+ * options). A transformation can define its own `disallowIn` and `disallowAttributes` lists which are used instead:
+ *
+ *		{
+ *			from: '...',
+ *			to: '…',
+ *			disallowIn: [ 'codeBlock' ],
+ *			disallowAttributes: []
+ *		}
+ *
+ * Apart from that, a transformation can be limited to certain elements with the `allowIn` property and excluded from some
+ * editor roots with the `disallowInRoots` property. For instance, the following transformation is applied only in the list items
+ * and never in the `title` root:
+ *
+ *		{
+ *			from: '* ',
+ *			to: '• ',
+ *			allowIn: [ 'listItem' ],
+ *			disallowInRoots: [ 'title' ]
+ *		}
+ *
+ * Replacing the text between the words using a template. Only the `--` group is replaced:
+ *
+ *		{
+ *			from: /(\w)(--)(\w)$/,
+ *			to: '$1—$3'
+ *		}
+ *
+ * Correcting whole words typed in any case, e.g. `Teh ` or `HTE,` (but not `tehran`). The replacement is applied after the next
+ * character (e.g. a space) is typed after the word:
+ *
+ *		{
+ *			from: [ 'teh', 'hte' ],
+ *			to: 'the',
+ *			wordBoundary: true,
+ *			caseSensitive: false
+ *		}
+ *
+ * When several transformations match the typed text, only one of them is applied. The one with the longest match wins,
+ * so typing `-->` with the following transformations gives `⟶`, not `-→`. The `priority` property changes that. For instance,
+ * with `priority: 'high'` set for the first transformation, typing `-->` would give `-→`:
+ *
+ *		{ from: '->', to: '→' },
+ *		{ from: '-->', to: '⟶' }
+ *
  * @typedef {Object} module:typing/texttransformation~TextTransformationDescription
- * @property {String|RegExp} from The string or RegExp to transform.
- * @property {String} to The text to transform compatible with `String.replace()`
+ * @property {String} [name] The name of the transformation. If a transformation defined in the configuration has the name of
+ * a predefined transformation, its properties override the properties of the predefined one.
+ * @property {String|Array.<String>|RegExp} from The string, the string alternatives or RegExp to transform.
+ * @property {String|Array.<String|Object|null>|Function} to The replacement: a string, a template, an array of strings,
+ * descriptors and `null` values, or a function returning such an array (or a callback). See the description above.
+ * @property {String} [description] The description of the transformation, e.g. for the users who edit the list of transformations.
+ * It is not used by the feature.
+ * @property {String|Array.<String>} [language] The languages of the content to which the transformation is applied, e.g. `'pl'`
+ * or `[ 'en', 'de-ch' ]`. A language without a region (e.g. `en`) includes all its regional variants (e.g. `en-gb`).
+ * The content language is determined the same way as for the
+ * {@link module:typing/texttransformation~TextTransformationConfig#languageGroups language groups}. If not set,
+ * the transformation is applied to the content in all languages.
+ * @property {Boolean} [wordBoundary=false] Whether only the whole words are transformed. If set, the pattern matches only when
+ * it is preceded by a character other than a letter or a digit (or by nothing) and followed by such a character, which is kept.
+ * @property {Boolean} [caseSensitive=true] Whether the pattern is case sensitive. If set to `false`, the case is ignored.
+ * @property {Array.<String>} [allowIn] The names of the elements in which the transformation is applied (e.g. only in headings).
+ * The transformation is applied when any ancestor of the selection is one of these elements. If not set, the transformation
+ * is applied in all elements except the ones from `disallowIn`.
+ * @property {Array.<String>} [disallowIn] The names of the elements in which the transformation is not applied. If not set,
+ * {@link module:typing/texttransformation~TextTransformationConfig#disallowIn `typing.transformations.disallowIn`} is used.
+ * @property {Array.<String>} [disallowAttributes] The names of the text attributes which prevent the transformation. If not set,
+ * {@link module:typing/texttransformation~TextTransformationConfig#disallowAttributes `typing.transformations.disallowAttributes`}
+ * is used.
+ * @property {Array.<String>} [disallowInRoots] The names of the editor roots in which the transformation is not applied.
+ * @property {module:utils/priorities~PriorityString|Number} [priority='normal'] The priority of the transformation. When several
+ * transformations match the typed text, only one of them is applied: the one with the highest priority or, if the priorities
+ * are equal, the one with the longest match or, if the matches are equally long, the one defined first.
+ */
+
+/**
+ * The text transformation rule: the {@link module:typing/texttransformation~TextTransformationDescription text transformation}
+ * written in a format which can be serialized to JSON, e.g. to be stored on the server. The rules are loaded through
+ * {@link module:typing/texttransformation~TextTransformationConfig#rules `config.typing.transformations.rules`} and the active
+ * transformations can be exported to rules with {@link module:typing/texttransformation~TextTransformation#exportRules}.
+ *
+ * The rule has the same properties as the transformation, except that:
+ *
+ * * The `from` RegExp is written as an object with the `pattern` string (the RegExp source) and the optional `flags` string.
+ * The strings and the arrays of strings are used as they are.
+ * * The `to` value must be a string (also a template) or an array of strings, `null` values and descriptors. Functions
+ * cannot be used.
+ *
+ *		[
+ *			{
+ *				"name": "misspelledThe",
+ *				"description": "Corrects the common misspellings of \"the\".",
+ *				"language": "en",
+ *				"from": [ "teh", "hte" ],
+ *				"to": "the",
+ *				"wordBoundary": true,
+ *				"caseSensitive": false
+ *			},
+ *			{
+ *				"description": "Puts the em dash between words.",
+ *				"from": { "pattern": "(\\w)(--)(\\w)$", "flags": "u" },
+ *				"to": "$1—$3"
+ *			}
+ *		]
+ *
+ * @typedef {Object} module:typing/texttransformation~TextTransformationRule
+ * @property {String} [name] The name of the transformation. A named rule replaces the known transformation with the same name.
+ * @property {String} [description] The description of the transformation.
+ * @property {String|Array.<String>} [language] The languages of the content to which the transformation is applied.
+ * @property {String|Array.<String>|Object} from The string, the string alternatives or the RegExp written as an object
+ * with the `pattern` and `flags` strings.
+ * @property {String|Array.<String|Object|null>} to The replacement.
  */
 
 /**
@@ -308,14 +1396,20 @@ function expandGroupsAndRemoveDuplicates( definitions ) {
  *   - `ellipsis`: transforms `...` to `…`
  *   - `enDash`: transforms ` -- ` to ` – `
  *   - `emDash`: transforms ` --- ` to ` — `
- * * Quotations (group name: `quotes`)
+ *   - `apostrophe`: transforms `'` between letters or after a trailing `s` to `’`, e.g. `don't` to `don’t`
+ * * Quotations (group name: `quotes`) &ndash; the quotation style depends on the content language, see
+ * {@link module:typing/texttransformation~TextTransformationConfig#languageGroups `transformations.languageGroups`}.
+ * Each quotation mark is transformed as soon as it is typed, depending on the characters before it. The nested quotations
+ * and the apostrophes are supported, see {@link module:typing/texttransformation/quotes~createQuotesTransformation}.
+ * For the English language (group name: `quotesEn`):
  *   - `quotesPrimary`: transforms `"Foo bar"` to `“Foo bar”`
  *   - `quotesSecondary`: transforms `'Foo bar'` to `‘Foo bar’`
  * * Symbols (group name: `symbols`)
  *   - `trademark`: transforms `(tm)` to `™`
  *   - `registeredTrademark`: transforms `(r)` to `®`
  *   - `copyright`: transforms `(c)` to `©`
- * * Mathematical (group name: `mathematical`)
+ * * Mathematical (group name: `mathematical`). The fractions are transformed only when they are not a part of a longer number,
+ * date or word, so e.g. `1/2` is transformed when the next character (e.g. a space) is typed.
  *   - `oneHalf`: transforms `1/2`, to: `½`
  *   - `oneThird`: transforms `1/3`, to: `⅓`
  *   - `twoThirds`: transforms `2/3`, to: `⅔`
@@ -326,11 +1420,81 @@ function expandGroupsAndRemoveDuplicates( definitions ) {
  *   - `notEqual`: transforms `!=`, to: `≠`
  *   - `arrowLeft`: transforms `<-`, to: `←`
  *   - `arrowRight`: transforms `->`, to: `→`
+ *
+ * The following groups are not enabled by default and can be added with
+ * {@link module:typing/texttransformation~TextTransformationConfig#extra `config.typing.transformations.extra`}:
+ *
+ * * Extended symbols (group name: `extendedSymbols`)
+ *   - `soundRecordingCopyright`: transforms `(p)` to `℗`
+ *   - `euro`: transforms `(e)` to `€`
+ *   - `careOf`: transforms `c/o` to `℅` (only as a whole word)
+ * * Extended mathematical (group name: `extendedMathematical`)
+ *   - `multiplication`: transforms `x` between digits, e.g. `2x3` or `2 x 3`, to `×` (but not in a hexadecimal number like `0x3`)
+ *   - `plusMinus`: transforms `+-` to `±`
+ *   - `perMille`: transforms `o/oo` to `‰`
+ *   - `degree`: transforms `^o` after a digit, e.g. `20^o`, to `°`
+ *   - `prime`: transforms `'` after a digit, e.g. `5'`, to `′`
+ *   - `doublePrime`: transforms `"` or `''` after a digit, e.g. `5"`, to `″`
+ * * Fractions (group name: `fractions`). They are transformed the same way as the fractions from the `mathematical` group.
+ *   - `oneFifth`, `twoFifths`, `threeFifths`, `fourFifths`: transform `1/5`, `2/5`, `3/5`, `4/5` to `⅕`, `⅖`, `⅗`, `⅘`
+ *   - `oneSixth`, `fiveSixths`: transform `1/6`, `5/6` to `⅙`, `⅚`
+ *   - `oneSeventh`: transforms `1/7` to `⅐`
+ *   - `oneEighth`, `threeEighths`, `fiveEighths`, `sevenEighths`: transform `1/8`, `3/8`, `5/8`, `7/8` to `⅛`, `⅜`, `⅝`, `⅞`
+ *   - `oneNinth`: transforms `1/9` to `⅑`
+ *   - `oneTenth`: transforms `1/10` to `⅒`
+ * * Extended arrows (group name: `extendedArrows`)
+ *   - `arrowLeftRight`: transforms `<->` to `↔`
+ *   - `arrowRightDouble`: transforms `=>` to `⇒`
+ *   - `arrowLeftRightDouble`: transforms `<=>` to `⇔`
+ * * French spacing (group name: `frenchSpacing`), applied only to the French content (including its regional variants)
+ *   - `frenchSpaceBeforePunctuation`: puts the narrow no-break space before `;`, `:`, `!`, `?` and `»`, e.g. transforms
+ *     `Quoi ?` to `Quoi\u202f?`, except in times (e.g. `12:30`) and addresses
+ *   - `frenchSpaceAfterGuillemet`: puts the narrow no-break space after `«`
+ * * Whitespace (group name: `whitespace`)
+ *   - `collapseSpaces`: turns two spaces typed one after another into a single space or the em space (see
+ *     {@link module:typing/texttransformation~TextTransformationConfig#whitespace `transformations.whitespace`})
+ *   - `removeSpaceBeforePunctuation`: removes the space typed before `,`, `.`, `;` or `:`, e.g. transforms `Foo ,` to `Foo,`
+ *   - `addSpaceAfterPunctuation`: adds the missing space after a punctuation mark when the next letter is typed, e.g. transforms
+ *     `Foo,bar` to `Foo, bar` and `Foo.Bar` to `Foo. Bar` (only before an uppercase letter after `.`, `:`, `!` and `?`)
+ * * Orphans (group name: `orphans`)
+ *   - `orphanWords`: replaces the space typed after a single-letter word, e.g. the Polish `w` or `z`, with the no-break space,
+ *     so the word is not left at the end of a line (see
+ *     {@link module:typing/texttransformation~TextTransformationConfig#orphans `transformations.orphans`}). The same rule
+ *     can be applied to the existing content with the `'preventOrphans'` command
  * * Misc:
- *   - `quotesPrimaryEnGb`: transforms `'Foo bar'` to `‘Foo bar’`
- *   - `quotesSecondaryEnGb`: transforms `"Foo bar"` to `“Foo bar”`
- *   - `quotesPrimaryPl`: transforms `"Foo bar"` to `„Foo bar”`
- *   - `quotesSecondaryPl`:  transforms `'Foo bar'` to `‚Foo bar’`
+ *   - `misspellings`: corrects common misspellings, e.g. `teh` to `the`, keeping the case of the typed word
+ *     (group name: `autocorrect`, see {@link module:typing/texttransformation~TextTransformationConfig#autocorrect
+ *     `transformations.autocorrect`})
+ *   - `capitalizeBlocks`: capitalizes the first letter typed in a block (group name: `autoCapitalize`)
+ *   - `capitalizeSentences`: capitalizes the first letter of a sentence typed after `. `, `! ` or `? `, except after
+ *     abbreviations, numbers and URLs (group name: `autoCapitalize`, see
+ *     {@link module:typing/texttransformation~TextTransformationConfig#capitalizationExceptions
+ *     `transformations.capitalizationExceptions`})
+ *   - `emojiShortcodes`: transforms the emoji shortcodes, e.g. `:smile:` to `😄` (group name: `emoji`, see
+ *     {@link module:typing/texttransformation~TextTransformationConfig#emoji `transformations.emoji`})
+ *   - `emojiEmoticons`: transforms the emoticons typed as separate words, e.g. `:)` to `🙂` (group name: `emoticons`, see
+ *     {@link module:typing/texttransformation~TextTransformationConfig#emoji `transformations.emoji`})
+ *   - `latexCommands`: transforms the LaTeX commands, e.g. `\alpha` to `α` or `\rightarrow` to `→`, when a space or
+ *     a punctuation mark is typed after them (group name: `latexSymbols`, see
+ *     {@link module:typing/texttransformation~TextTransformationConfig#latexSymbols `transformations.latexSymbols`})
+ *   - `quotesPrimaryEnGb`: transforms `'Foo bar'` to `‘Foo bar’` (group name: `quotesEnGb`)
+ *   - `quotesSecondaryEnGb`: transforms `"Foo bar"` to `“Foo bar”` (group name: `quotesEnGb`)
+ *   - `quotesPrimaryPl`: transforms `"Foo bar"` to `„Foo bar”` (group name: `quotesPl`)
+ *   - `quotesSecondaryPl`:  transforms `'Foo bar'` to `‚Foo bar’` (group name: `quotesPl`)
+ *   - `quotesPrimaryDe`: transforms `"Foo bar"` to `„Foo bar“` (group name: `quotesDe`)
+ *   - `quotesSecondaryDe`: transforms `'Foo bar'` to `‚Foo bar‘` (group name: `quotesDe`)
+ *   - `quotesPrimaryFr`: transforms `"Foo bar"` to `« Foo bar »` with narrow no-break spaces (group name: `quotesFr`)
+ *   - `quotesSecondaryFr`: transforms `'Foo bar'` to `“Foo bar”` (group name: `quotesFr`)
+ *   - `quotesPrimaryCh`: transforms `"Foo bar"` to `«Foo bar»` (group name: `quotesCh`)
+ *   - `quotesSecondaryCh`: transforms `'Foo bar'` to `‹Foo bar›` (group name: `quotesCh`)
+ *   - `quotesPrimaryCs`: transforms `"Foo bar"` to `„Foo bar“` (group name: `quotesCs`)
+ *   - `quotesSecondaryCs`: transforms `'Foo bar'` to `‚Foo bar‘` (group name: `quotesCs`)
+ *   - `quotesPrimaryRu`: transforms `"Foo bar"` to `«Foo bar»` (group name: `quotesRu`)
+ *   - `quotesSecondaryRu`: transforms `'Foo bar'` to `„Foo bar“` (group name: `quotesRu`)
+ *   - `quotesPrimarySv`: transforms `"Foo bar"` to `”Foo bar”` (group name: `quotesSv`)
+ *   - `quotesSecondarySv`: transforms `'Foo bar'` to `’Foo bar’` (group name: `quotesSv`)
+ *   - `quotesPrimaryJa`: transforms `"Foo bar"` to `「Foo bar」` (group name: `quotesJa`)
+ *   - `quotesSecondaryJa`: transforms `'Foo bar'` to `『Foo bar』` (group name: `quotesJa`)
  *
  * In order to load additional transformations, use the
  * {@link module:typing/texttransformation~TextTransformationConfig#extra `transformations.extra` option}.
@@ -400,4 +1564,247 @@ function expandGroupsAndRemoveDuplicates( definitions ) {
  *
  * @member {Array.<module:typing/texttransformation~TextTransformationDescription>} module:typing/texttransformation~TextTransformationConfig#remove
  */
+
+/**
+ * The text transformations written as {@link module:typing/texttransformation~TextTransformationRule rules} which can be
+ * serialized to JSON, e.g. loaded from the server. It is an array of rules or a JSON string with such an array. The rules are added
+ * after the transformations defined in
+ * {@link module:typing/texttransformation~TextTransformationConfig#include `transformations.include`} and
+ * {@link module:typing/texttransformation~TextTransformationConfig#extra `transformations.extra`}. A named rule replaces the
+ * transformation with the same name.
+ *
+ *		const transformationsConfig = {
+ *			rules: '[ { "from": "CKE", "to": "CKEditor", "description": "The product name." } ]'
+ *		};
+ *
+ * The {@link module:utils/ckeditorerror~CKEditorError} is thrown if a rule is invalid. The active transformations can be exported
+ * to this format with {@link module:typing/texttransformation~TextTransformation#exportRules}.
+ *
+ * @member {Array.<module:typing/texttransformation~TextTransformationRule>|String} module:typing/texttransformation~TextTransformationConfig#rules
+ */
+
+/**
+ * The groups of transformations which depend on the content language. Each language group maps a language code to the name
+ * of a transformation group (or to a list of transformation names) that should be used for the content in that language.
+ *
+ * The content language is taken from the `language` attribute of the element being typed in (or its closest ancestor having
+ * that attribute). If there is no such element, the {@link module:core/editor/editorconfig~EditorConfig#language language of the editor}
+ * is used. The language is matched with the group entries in full (e.g. `en-gb`) and then by its primary subtag (e.g. `en`).
+ * If neither of them is defined in the group, the entry for `en` is used.
+ *
+ * By default, there is one language group, `quotes`:
+ *
+ *		const transformationsConfig = {
+ *			languageGroups: {
+ *				quotes: {
+ *					en: 'quotesEn',
+ *					'en-gb': 'quotesEnGb',
+ *					pl: 'quotesPl',
+ *					de: 'quotesDe',
+ *					'de-ch': 'quotesCh',
+ *					fr: 'quotesFr',
+ *					'fr-ch': 'quotesCh',
+ *					cs: 'quotesCs',
+ *					ru: 'quotesRu',
+ *					sv: 'quotesSv',
+ *					ja: 'quotesJa'
+ *				}
+ *			}
+ *		};
+ *
+ * The configuration is merged with the default one, so it can be extended with more languages:
+ *
+ *		const transformationsConfig = {
+ *			languageGroups: {
+ *				quotes: {
+ *					// Use the British quotes in Welsh content.
+ *					cy: 'quotesEnGb',
+ *
+ *					// Use only the primary Polish quotes in Kashubian content.
+ *					csb: [ 'quotesPrimaryPl' ]
+ *				}
+ *			}
+ *		};
+ *
+ * @member {Object.<String,Object>} module:typing/texttransformation~TextTransformationConfig#languageGroups
+ */
+
+/**
+ * The names of the elements in which the transformations are not applied. The transformations are not applied anywhere
+ * inside these elements. Defaults to `[ 'codeBlock' ]`.
+ *
+ *		const transformationsConfig = {
+ *			// Do not transform the text in the code blocks and headings.
+ *			disallowIn: [ 'codeBlock', 'heading1', 'heading2', 'heading3' ]
+ *		};
+ *
+ * A transformation can override this list with its own
+ * {@link module:typing/texttransformation~TextTransformationDescription `disallowIn`} property. For instance, to keep
+ * the ellipsis transformation in the headings:
+ *
+ *		const transformationsConfig = {
+ *			disallowIn: [ 'codeBlock', 'heading1', 'heading2', 'heading3' ],
+ *			extra: [
+ *				{ name: 'horizontalEllipsis', disallowIn: [ 'codeBlock' ] }
+ *			]
+ *		};
+ *
+ * @member {Array.<String>} module:typing/texttransformation~TextTransformationConfig#disallowIn
+ */
+
+/**
+ * The names of the text attributes which prevent the transformations. If the text being typed has any of these attributes,
+ * the transformations are not applied. Defaults to `[ 'code' ]`.
+ *
+ * A transformation can override this list with its own
+ * {@link module:typing/texttransformation~TextTransformationDescription `disallowAttributes`} property.
+ *
+ * @member {Array.<String>} module:typing/texttransformation~TextTransformationConfig#disallowAttributes
+ */
+
+/**
+ * The dictionaries used by the `misspellings` transformation (from the `autocorrect` group, which is not enabled by default).
+ * The keys are the language codes and the values map the misspelled words to their corrections. The dictionary is chosen
+ * by the content language (see {@link module:typing/texttransformation~TextTransformationConfig#languageGroups}), first matched
+ * in full (e.g. `en-gb`) and then by its primary subtag (e.g. `en`). The words in the content in other languages are not corrected.
+ *
+ * A word is corrected when a space or a punctuation mark is typed after it. The correction keeps the case of the typed word,
+ * so `teh`, `Teh` and `TEH` are replaced with `the`, `The` and `THE`.
+ *
+ * The configuration is merged with the default dictionaries (there is a default one for English), so it can be used to add
+ * more languages or words. To stop correcting a word from the default dictionary, set its correction to `null`.
+ *
+ *		const transformationsConfig = {
+ *			extra: [ 'autocorrect' ],
+ *			autocorrect: {
+ *				en: {
+ *					// Add a word to the default dictionary.
+ *					ckeditr: 'CKEditor',
+ *
+ *					// Do not correct "alot".
+ *					alot: null
+ *				},
+ *
+ *				// Add a dictionary for the Polish content.
+ *				pl: {
+ *					wogle: 'w ogóle'
+ *				}
+ *			}
+ *		};
+ *
+ * @member {Object.<String,Object.<String,String>>} module:typing/texttransformation~TextTransformationConfig#autocorrect
+ */
+
+/**
+ * The abbreviations after which the `capitalizeSentences` transformation (from the `autoCapitalize` group, which is not enabled
+ * by default) does not capitalize the next word. The keys are the language codes and the values are the lists of abbreviations
+ * (with their dots). The list is chosen by the content language, the same way as the
+ * {@link module:typing/texttransformation~TextTransformationConfig#autocorrect autocorrect dictionaries}.
+ * The abbreviations are matched case-insensitively.
+ *
+ * There are default lists for English, Polish, German and French. A list set in the configuration replaces the default one
+ * for that language:
+ *
+ *		const transformationsConfig = {
+ *			extra: [ 'autoCapitalize' ],
+ *			capitalizationExceptions: {
+ *				en: [ 'e.g.', 'i.e.', 'etc.', 'approx.' ],
+ *				es: [ 'p.ej.', 'etc.', 'sr.', 'sra.' ]
+ *			}
+ *		};
+ *
+ * @member {Object.<String,Array.<String>>} module:typing/texttransformation~TextTransformationConfig#capitalizationExceptions
+ */
+
+/**
+ * The tables used by the emoji transformations (from the `emoji` and `emoticons` groups, which are not enabled by default):
+ *
+ * * `shortcodes` &ndash; the emoji by their shortcodes (without the colons) used by the `emojiShortcodes` transformation.
+ * A shortcode is replaced when its closing colon is typed, e.g. `:smile:` becomes `😄`.
+ * * `emoticons` &ndash; the emoji by the emoticons used by the `emojiEmoticons` transformation. An emoticon is replaced
+ * only when it is typed as a separate word, i.e. when a space or a punctuation mark is typed after it, so e.g. `a:)b` is
+ * left untouched.
+ *
+ * Each table set in the configuration replaces the default one:
+ *
+ *		const transformationsConfig = {
+ *			extra: [ 'emoji', 'emoticons' ],
+ *			emoji: {
+ *				shortcodes: {
+ *					ckeditor: '📝',
+ *					ship: '🚢'
+ *				},
+ *				emoticons: {
+ *					':)': '😊',
+ *					'<3': '💖'
+ *				}
+ *			}
+ *		};
+ *
+ * @member {Object} module:typing/texttransformation~TextTransformationConfig#emoji
+ */
+
+/**
+ * The symbols used by the `latexCommands` transformation (from the `latexSymbols` group, which is not enabled by default).
+ * The keys are the LaTeX command names (without the backslash) and the values are the symbols. A command is replaced when
+ * a space, a punctuation mark or another character which cannot be a part of its name is typed after it, e.g. `\alpha ` becomes
+ * `α `. The typed character is kept.
+ *
+ * The table set in the configuration replaces the default one, which is exported as `DEFAULT_LATEX_SYMBOLS` from
+ * the `@ckeditor/ckeditor5-typing/src/texttransformation/latexsymbols` module:
+ *
+ *		const transformationsConfig = {
+ *			extra: [ 'latexSymbols' ],
+ *			latexSymbols: Object.assign( {}, DEFAULT_LATEX_SYMBOLS, {
+ *				euro: '€'
+ *			} )
+ *		};
+ *
+ * @member {Object.<String,String>} module:typing/texttransformation~TextTransformationConfig#latexSymbols
+ */
+
+/**
+ * The short words after which the `orphanWords` transformation (from the `orphans` group, which is not enabled by default)
+ * and the `'preventOrphans'` command put the no-break space instead of a normal one. The keys are the language codes and
+ * the values are the lists of words. The list is chosen by the content language, the same way as the
+ * {@link module:typing/texttransformation~TextTransformationConfig#autocorrect autocorrect dictionaries}.
+ * The words are matched case-insensitively.
+ *
+ * There are default lists for Polish, Czech and Slovak. A list set in the configuration replaces the default one
+ * for that language:
+ *
+ *		const transformationsConfig = {
+ *			extra: [ 'orphans' ],
+ *			orphans: {
+ *				pl: [ 'a', 'i', 'o', 'u', 'w', 'z', 'we', 'ze' ],
+ *				hu: [ 'a', 'az' ]
+ *			}
+ *		};
+ *
+ * @member {Object.<String,Array.<String>>} module:typing/texttransformation~TextTransformationConfig#orphans
+ */
+
+/**
+ * The options of the `collapseSpaces` transformation (from the `whitespace` group, which is not enabled by default):
+ *
+ * * `doubleSpace` &ndash; what two spaces typed one after another are turned into: `'space'` (a single space, the default)
+ * or `'emSpace'` (the em space).
+ * * `singleSpaceAfterFullStop` &ndash; when set to `true`, two spaces typed after a full stop are always turned into a single
+ * space, even if `doubleSpace` is set to `'emSpace'`. Defaults to `false`.
+ *
+ *		const transformationsConfig = {
+ *			extra: [ 'whitespace' ],
+ *			whitespace: {
+ *				doubleSpace: 'emSpace',
+ *				singleSpaceAfterFullStop: true
+ *			}
+ *		};
+ *
+ * The `removeSpaceBeforePunctuation` transformation from this group removes the spaces which the `frenchSpacing` group puts
+ * before `;` and `:`, so these groups should not be used for the same content. Use
+ * {@link module:typing/texttransformation~TextTransformationConfig#languageGroups language groups} to enable them
+ * for different languages.
+ *
+ * @member {Object} module:typing/texttransformation~TextTransformationConfig#whitespace
+ */
 /* eslint-enable max-len */
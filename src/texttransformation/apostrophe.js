@@ -0,0 +1,48 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformation/apostrophe
+ */
+
+import { LETTERS } from './utils';
+
+// The closing marks of the quotations typed with `'` which differ from the apostrophe, e.g. the German `‘`. The closing marks
+// which are also used for the quotations typed with `"` in other languages (e.g. the French `”`) are skipped, so typing `"Foo"s`
+// never changes the double quotes.
+const SINGLE_CLOSING_QUOTES = '‘›』';
+
+// The characters which can follow the apostrophe in the possessive form, e.g. `the boss' car`.
+const WORD_BOUNDARY = '\\s.,;:!?)\\]';
+
+/**
+ * Creates the transformation which turns the apostrophes typed in the contractions and the possessive forms into `’`.
+ * The apostrophe is recognized when a letter is typed after it (e.g. `don't`) or when it follows a trailing `s` and a space
+ * or a punctuation mark is typed after it (e.g. `the boss' car`).
+ *
+ * Inside a secondary quotation, the quote transformations take `'` typed after a word for the closing quotation mark.
+ * When a letter is typed after such a mark, it is changed into the apostrophe as well (e.g. `‚Ich don‘t` gives `‚Ich don’t`),
+ * so the quotation stays open.
+ *
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createApostropheTransformation() {
+	const letterRegExp = new RegExp( `^[${ LETTERS }]$` );
+
+	return {
+		from: new RegExp( `([${ LETTERS }])(['${ SINGLE_CLOSING_QUOTES }])([${ LETTERS }${ WORD_BOUNDARY }])$` ),
+		to: ( [ letter, apostrophe, nextCharacter ] ) => {
+			if ( letterRegExp.test( nextCharacter ) ) {
+				return [ null, '’', null ];
+			}
+
+			if ( apostrophe == '\'' && ( letter == 's' || letter == 'S' ) ) {
+				return [ null, '’', null ];
+			}
+
+			return null;
+		}
+	};
+}
@@ -0,0 +1,117 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformation/autocapitalize
+ */
+
+import { LETTERS, getLanguageValue, normalizeWordLists } from './utils';
+
+// The characters which can precede the first word of a sentence, e.g. an opening quotation mark or bracket.
+const OPENING_PUNCTUATION = '"\'(\\[\\u201c\\u2018\\u201e\\u201a\\u00ab';
+
+// The characters which can follow the punctuation mark ending a sentence, e.g. a closing quotation mark or bracket.
+const CLOSING_PUNCTUATION = '"\')\\]\\u201d\\u2019\\u201c\\u00bb';
+
+/**
+ * The default exceptions for the sentence capitalization. The keys are the language codes and the values are the lists
+ * of the abbreviations after which the next word is not capitalized.
+ *
+ * See {@link module:typing/texttransformation~TextTransformationConfig#capitalizationExceptions
+ * `typing.transformations.capitalizationExceptions`}.
+ *
+ * @type {Object.<String,Array.<String>>}
+ */
+export const DEFAULT_CAPITALIZATION_EXCEPTIONS = {
+	en: [
+		'a.m.', 'approx.', 'cf.', 'dept.', 'dr.', 'e.g.', 'est.', 'etc.', 'fig.', 'i.e.', 'inc.', 'jr.', 'ltd.', 'mr.', 'mrs.', 'ms.',
+		'no.', 'p.m.', 'p.s.', 'prof.', 'sr.', 'st.', 'vol.', 'vs.'
+	],
+	pl: [
+		'al.', 'dr.', 'gen.', 'godz.', 'im.', 'inż.', 'itd.', 'itp.', 'jw.', 'm.in.', 'mgr.', 'np.', 'nr.', 'ok.', 'prof.', 'tj.',
+		'tzn.', 'tzw.', 'ul.', 'zob.'
+	],
+	de: [
+		'bzw.', 'ca.', 'd.h.', 'dr.', 'evtl.', 'ggf.', 'hr.', 'inkl.', 'nr.', 'prof.', 's.', 'sog.', 'str.', 'u.a.', 'usw.', 'vgl.',
+		'z.b.', 'z.t.'
+	],
+	fr: [
+		'av.', 'cf.', 'dr.', 'etc.', 'ex.', 'm.', 'p.', 'p.ex.', 'st.', 'ste.', 'vol.'
+	]
+};
+
+/**
+ * Creates the transformation which capitalizes the first letter typed in a block (or after a soft break), optionally preceded
+ * by an opening quotation mark or bracket.
+ *
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createBlockCapitalizationTransformation() {
+	return {
+		from: new RegExp( `^([${ OPENING_PUNCTUATION }]*)([${ LETTERS }])$` ),
+		to: ( [ , letter ] ) => {
+			const capitalLetter = letter.toUpperCase();
+
+			return capitalLetter == letter ? null : [ null, capitalLetter ];
+		}
+	};
+}
+
+/**
+ * Creates the transformation which capitalizes the first letter typed after the end of a sentence, i.e. after `.`, `!` or `?`
+ * followed by a space. The letter is not capitalized after:
+ *
+ * * the abbreviations listed for the content language in the given exceptions (e.g. `e.g.` or `Dr.`),
+ * * numbers (e.g. in `the 3. chapter`),
+ * * URLs and e-mail addresses (e.g. in `www.example.com. and`).
+ *
+ * The exceptions are chosen by the content language: the language is matched in full (e.g. `en-gb`) and then by its primary
+ * subtag (e.g. `en`).
+ *
+ * @param {Object.<String,Array.<String>>} exceptions The exceptions by the language codes.
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createSentenceCapitalizationTransformation( exceptions ) {
+	const normalizedExceptions = normalizeWordLists( exceptions );
+
+	return {
+		from: new RegExp(
+			`(^|\\s)(\\S*[.!?][${ CLOSING_PUNCTUATION }]*)(\\s+[${ OPENING_PUNCTUATION }]*)([${ LETTERS }])$`
+		),
+		to: ( [ , word, , letter ], { language } ) => {
+			const capitalLetter = letter.toUpperCase();
+
+			if ( capitalLetter == letter || isException( word, getLanguageValue( normalizedExceptions, language ) ) ) {
+				return null;
+			}
+
+			return [ null, null, null, capitalLetter ];
+		}
+	};
+}
+
+// Checks whether the word (with the punctuation mark ending it) does not end a sentence.
+//
+// @param {String} word
+// @param {Set.<String>} [abbreviations] The abbreviations in the content language.
+// @returns {Boolean}
+function isException( word, abbreviations ) {
+	// URLs and e-mail addresses.
+	if ( /:\/\/|^www\.|@/i.test( word ) ) {
+		return true;
+	}
+
+	// Skip the opening and closing punctuation around the word.
+	const bareWord = word
+		.replace( new RegExp( `^[${ OPENING_PUNCTUATION }]+` ), '' )
+		.replace( new RegExp( `[${ CLOSING_PUNCTUATION }]+$` ), '' );
+
+	// Numbers, e.g. ordinal numbers or numbered list items typed by hand.
+	if ( /^\d+\.$/.test( bareWord ) ) {
+		return true;
+	}
+
+	return !!abbreviations && abbreviations.has( bareWord.toLowerCase() );
+}
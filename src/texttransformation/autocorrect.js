@@ -0,0 +1,174 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformation/autocorrect
+ */
+
+import { LETTERS, getLanguageValue } from './utils';
+
+// Apostrophes which can be a part of a word, e.g. in "dont" -> "don't".
+const APOSTROPHES = '\'\\u2019';
+
+// The characters which end a word when typed after it.
+const WORD_BOUNDARIES = '\\s.,;:!?)\\]}"\'\\u201d\\u2019\\u2026';
+
+/**
+ * The default autocorrect dictionaries. The keys are the language codes and the values are the dictionaries
+ * which map the misspelled words (in lowercase) to their corrections. The contractions are corrected with the typographic
+ * apostrophe (`’`), the same as the one put by the `apostrophe` transformation.
+ *
+ * See {@link module:typing/texttransformation~TextTransformationConfig#autocorrect `typing.transformations.autocorrect`}.
+ *
+ * @type {Object.<String,Object.<String,String>>}
+ */
+export const DEFAULT_AUTOCORRECT_DICTIONARIES = {
+	en: {
+		abscence: 'absence',
+		accomodate: 'accommodate',
+		acheive: 'achieve',
+		acommodate: 'accommodate',
+		adn: 'and',
+		agressive: 'aggressive',
+		alot: 'a lot',
+		amde: 'made',
+		apparantly: 'apparently',
+		arguement: 'argument',
+		basicly: 'basically',
+		becuase: 'because',
+		beleive: 'believe',
+		begining: 'beginning',
+		calender: 'calendar',
+		commitee: 'committee',
+		completly: 'completely',
+		concious: 'conscious',
+		definately: 'definitely',
+		didnt: 'didn’t',
+		doesnt: 'doesn’t',
+		dont: 'don’t',
+		embarass: 'embarrass',
+		enviroment: 'environment',
+		existance: 'existence',
+		familliar: 'familiar',
+		finaly: 'finally',
+		foriegn: 'foreign',
+		freind: 'friend',
+		goverment: 'government',
+		gaurd: 'guard',
+		hte: 'the',
+		happend: 'happened',
+		harrass: 'harass',
+		havent: 'haven’t',
+		idependent: 'independent',
+		immediatly: 'immediately',
+		isnt: 'isn’t',
+		knowlege: 'knowledge',
+		liason: 'liaison',
+		libary: 'library',
+		maintainance: 'maintenance',
+		neccessary: 'necessary',
+		noticable: 'noticeable',
+		occassion: 'occasion',
+		occured: 'occurred',
+		occurence: 'occurrence',
+		ocurred: 'occurred',
+		peice: 'piece',
+		posession: 'possession',
+		prefered: 'preferred',
+		publically: 'publicly',
+		recieve: 'receive',
+		recomend: 'recommend',
+		refered: 'referred',
+		relevent: 'relevant',
+		remeber: 'remember',
+		seperate: 'separate',
+		succesful: 'successful',
+		suprise: 'surprise',
+		taht: 'that',
+		teh: 'the',
+		thier: 'their',
+		threshhold: 'threshold',
+		tommorow: 'tomorrow',
+		tounge: 'tongue',
+		truely: 'truly',
+		untill: 'until',
+		wasnt: 'wasn’t',
+		wich: 'which',
+		wierd: 'weird',
+		youre: 'you’re'
+	}
+};
+
+/**
+ * Creates the autocorrect transformation which replaces the misspelled words from the given dictionaries when a word boundary
+ * (a space or a punctuation mark) is typed after them. The dictionary is chosen by the content language: the language is matched
+ * in full (e.g. `en-gb`) and then by its primary subtag (e.g. `en`). The words in other languages are not corrected.
+ *
+ * The correction keeps the case of the typed word:
+ *
+ * * `teh` is replaced with `the`,
+ * * `Teh` is replaced with `The`,
+ * * `TEH` is replaced with `THE`.
+ *
+ * @param {Object.<String,Object.<String,String>>} dictionaries The dictionaries by the language codes.
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createAutocorrectTransformation( dictionaries ) {
+	const normalizedDictionaries = normalizeDictionaries( dictionaries );
+
+	return {
+		from: new RegExp( `(^|[^${ LETTERS }0-9])([${ LETTERS }][${ LETTERS }${ APOSTROPHES }]*)([${ WORD_BOUNDARIES }])$` ),
+		to: ( [ , word ], { language } ) => {
+			const dictionary = getLanguageValue( normalizedDictionaries, language );
+			const correction = dictionary && dictionary.get( word.toLowerCase() );
+
+			if ( !correction ) {
+				return null;
+			}
+
+			return [ null, matchCase( correction, word ), null ];
+		}
+	};
+}
+
+// Converts the dictionaries to maps with lowercase language codes and words.
+//
+// @param {Object.<String,Object.<String,String>>} dictionaries
+// @returns {Map.<String,Map.<String,String>>}
+function normalizeDictionaries( dictionaries ) {
+	const normalizedDictionaries = new Map();
+
+	for ( const [ language, dictionary ] of Object.entries( dictionaries ) ) {
+		const words = new Map();
+
+		for ( const [ word, correction ] of Object.entries( dictionary || {} ) ) {
+			if ( correction ) {
+				words.set( word.toLowerCase(), correction );
+			}
+		}
+
+		normalizedDictionaries.set( language.toLowerCase(), words );
+	}
+
+	return normalizedDictionaries;
+}
+
+// Returns the correction in the case of the typed word: uppercase if the whole word was typed in uppercase,
+// capitalized if the word starts with an uppercase letter, and unchanged otherwise.
+//
+// @param {String} correction
+// @param {String} word
+// @returns {String}
+function matchCase( correction, word ) {
+	if ( word.length > 1 && word == word.toUpperCase() ) {
+		return correction.toUpperCase();
+	}
+
+	if ( word[ 0 ] != word[ 0 ].toLowerCase() ) {
+		return correction[ 0 ].toUpperCase() + correction.slice( 1 );
+	}
+
+	return correction;
+}
@@ -0,0 +1,222 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformation/emoji
+ */
+
+import { escapeRegExp } from 'lodash-es';
+
+/**
+ * The default emoji shortcodes. The keys are the shortcodes (without the colons) and the values are the emoji.
+ *
+ * See {@link module:typing/texttransformation~TextTransformationConfig#emoji `typing.transformations.emoji`}.
+ *
+ * @type {Object.<String,String>}
+ */
+export const DEFAULT_EMOJI_SHORTCODES = {
+	// Smileys:
+	smile: '😄',
+	smiley: '😃',
+	grinning: '😀',
+	grin: '😁',
+	laughing: '😆',
+	sweat_smile: '😅',
+	joy: '😂',
+	rofl: '🤣',
+	slightly_smiling_face: '🙂',
+	upside_down_face: '🙃',
+	wink: '😉',
+	blush: '😊',
+	innocent: '😇',
+	heart_eyes: '😍',
+	star_struck: '🤩',
+	kissing_heart: '😘',
+	yum: '😋',
+	stuck_out_tongue: '😛',
+	stuck_out_tongue_winking_eye: '😜',
+	thinking: '🤔',
+	zipper_mouth_face: '🤐',
+	neutral_face: '😐',
+	expressionless: '😑',
+	no_mouth: '😶',
+	smirk: '😏',
+	unamused: '😒',
+	roll_eyes: '🙄',
+	grimacing: '😬',
+	relieved: '😌',
+	pensive: '😔',
+	sleepy: '😪',
+	sleeping: '😴',
+	mask: '😷',
+	nerd_face: '🤓',
+	sunglasses: '😎',
+	confused: '😕',
+	worried: '😟',
+	slightly_frowning_face: '🙁',
+	open_mouth: '😮',
+	astonished: '😲',
+	flushed: '😳',
+	cry: '😢',
+	sob: '😭',
+	scream: '😱',
+	angry: '😠',
+	rage: '😡',
+	skull: '💀',
+	poop: '💩',
+	clown_face: '🤡',
+	ghost: '👻',
+	robot: '🤖',
+
+	// People and gestures:
+	wave: '👋',
+	ok_hand: '👌',
+	v: '✌️',
+	crossed_fingers: '🤞',
+	point_up: '☝️',
+	point_right: '👉',
+	point_left: '👈',
+	thumbsup: '👍',
+	'+1': '👍',
+	thumbsdown: '👎',
+	'-1': '👎',
+	clap: '👏',
+	raised_hands: '🙌',
+	pray: '🙏',
+	muscle: '💪',
+	eyes: '👀',
+	facepalm: '🤦',
+	shrug: '🤷',
+
+	// Hearts and symbols:
+	heart: '❤️',
+	broken_heart: '💔',
+	sparkling_heart: '💖',
+	yellow_heart: '💛',
+	green_heart: '💚',
+	blue_heart: '💙',
+	purple_heart: '💜',
+	star: '⭐',
+	sparkles: '✨',
+	fire: '🔥',
+	boom: '💥',
+	zap: '⚡',
+	100: '💯',
+	heavy_check_mark: '✔️',
+	white_check_mark: '✅',
+	x: '❌',
+	warning: '⚠️',
+	question: '❓',
+	exclamation: '❗',
+	bulb: '💡',
+	bell: '🔔',
+	lock: '🔒',
+	key: '🔑',
+
+	// Objects, nature and celebrations:
+	tada: '🎉',
+	gift: '🎁',
+	balloon: '🎈',
+	trophy: '🏆',
+	rocket: '🚀',
+	coffee: '☕',
+	beer: '🍺',
+	pizza: '🍕',
+	cake: '🍰',
+	sunny: '☀️',
+	cloud: '☁️',
+	umbrella: '☔',
+	snowflake: '❄️',
+	rainbow: '🌈',
+	dog: '🐶',
+	cat: '🐱',
+	unicorn: '🦄',
+	bug: '🐛',
+	memo: '📝',
+	calendar: '📆',
+	email: '📧',
+	phone: '📱',
+	computer: '💻',
+	link: '🔗',
+	hourglass: '⌛',
+	alarm_clock: '⏰',
+	money_with_wings: '💸'
+};
+
+/**
+ * The default emoticons. The keys are the emoticons and the values are the emoji.
+ *
+ * See {@link module:typing/texttransformation~TextTransformationConfig#emoji `typing.transformations.emoji`}.
+ *
+ * @type {Object.<String,String>}
+ */
+export const DEFAULT_EMOTICONS = {
+	':)': '🙂',
+	':-)': '🙂',
+	':D': '😃',
+	':-D': '😃',
+	'xD': '😆',
+	'XD': '😆',
+	';)': '😉',
+	';-)': '😉',
+	':(': '🙁',
+	':-(': '🙁',
+	':\'(': '😢',
+	':P': '😛',
+	':-P': '😛',
+	':p': '😛',
+	':O': '😮',
+	':-O': '😮',
+	':o': '😮',
+	':|': '😐',
+	':-|': '😐',
+	':/': '😕',
+	':-/': '😕',
+	'B)': '😎',
+	'<3': '❤️',
+	'</3': '💔'
+};
+
+/**
+ * Creates the transformation which replaces the emoji shortcodes (e.g. `:smile:`) with the emoji when the closing colon is typed.
+ * Unknown shortcodes are left untouched.
+ *
+ * @param {Object.<String,String>} shortcodes The emoji by the shortcodes (without the colons).
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createEmojiShortcodesTransformation( shortcodes ) {
+	const emojiByShortcode = new Map( Object.entries( shortcodes ) );
+
+	return {
+		from: /(:[a-z0-9_+-]+:)$/,
+		to: ( [ shortcode ] ) => {
+			const emoji = emojiByShortcode.get( shortcode.slice( 1, -1 ) );
+
+			return emoji ? [ emoji ] : null;
+		}
+	};
+}
+
+/**
+ * Creates the transformation which replaces the emoticons (e.g. `:)`) with the emoji. An emoticon is replaced only when it is
+ * a separate word, i.e. it is preceded by a space (or starts the text) and a space or a punctuation mark is typed after it.
+ * Thanks to that, text like `a:)b` or `http://` is left untouched.
+ *
+ * @param {Object.<String,String>} emoticons The emoji by the emoticons.
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createEmoticonsTransformation( emoticons ) {
+	const emojiByEmoticon = new Map( Object.entries( emoticons ) );
+
+	// The longer emoticons go first, so e.g. `:-)` is not matched as `-)`.
+	const patterns = Array.from( emojiByEmoticon.keys() )
+		.sort( ( a, b ) => b.length - a.length )
+		.map( emoticon => escapeRegExp( emoticon ) );
+
+	return {
+		from: new RegExp( `(^|\\s)(${ patterns.join( '|' ) || '(?!)' })([\\s.,;!?])$` ),
+		to: ( [ , emoticon ] ) => [ null, emojiByEmoticon.get( emoticon ), null ]
+	};
+}
@@ -0,0 +1,73 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformation/frenchspacing
+ */
+
+// The narrow no-break space. Unlike `&nbsp;` (`\u00a0`), it is not replaced with a normal space by the typing feature.
+const NARROW_NBSP = '\u202f';
+
+// The punctuation marks which are preceded by the narrow no-break space (as well as the closing guillemet).
+const PUNCTUATION = ';:!?';
+
+// The URL schemes after which a colon starts an address, not a list or an explanation.
+const URL_SCHEME_REGEXP = /^(https?|ftp|mailto|file|tel)$/i;
+
+/**
+ * Creates the transformation which puts the narrow no-break space before `;`, `:`, `!`, `?` and `»` when they are typed.
+ * The space typed before the punctuation mark is replaced and if there is none, it is inserted.
+ *
+ * The punctuation marks typed one after another (e.g. `?!`), the colons after digits (e.g. in `12:30`) and the punctuation
+ * marks in addresses (e.g. `https://example.com/?foo` or `mailto:`) are left untouched. The transformation is applied only
+ * to the French content.
+ *
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createSpaceBeforePunctuationTransformation() {
+	return {
+		from: new RegExp( `(\\S*)([ \\u00a0]?)([${ PUNCTUATION }»])$` ),
+		language: 'fr',
+		to: ( [ word, space, punctuation ] ) => {
+			if ( !word || PUNCTUATION.includes( word[ word.length - 1 ] ) ) {
+				return null;
+			}
+
+			if ( punctuation == ':' && ( /\d$/.test( word ) || URL_SCHEME_REGEXP.test( word ) ) ) {
+				return null;
+			}
+
+			if ( isUrl( word ) ) {
+				return null;
+			}
+
+			return space ? [ null, NARROW_NBSP, null ] : [ null, null, NARROW_NBSP + punctuation ];
+		}
+	};
+}
+
+/**
+ * Creates the transformation which puts the narrow no-break space after `«`. The space typed after `«` is replaced and if
+ * another character is typed, the space is inserted before it. The transformation is applied only to the French content.
+ *
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createSpaceAfterGuillemetTransformation() {
+	return {
+		from: /(«)([ \u00a0]|\S)$/,
+		language: 'fr',
+		to: ( [ , nextCharacter ] ) => {
+			return nextCharacter == ' ' || nextCharacter == '\u00a0' ? [ null, NARROW_NBSP ] : [ '«' + NARROW_NBSP, null ];
+		}
+	};
+}
+
+// Checks whether the word looks like an address, e.g. `https://example.com`, `www.example.com` or `foo@example.com`.
+//
+// @param {String} word
+// @returns {Boolean}
+function isUrl( word ) {
+	return word.includes( '/' ) || word.includes( '@' ) || word.toLowerCase().startsWith( 'www.' );
+}
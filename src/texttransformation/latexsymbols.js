@@ -0,0 +1,226 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformation/latexsymbols
+ */
+
+// The characters which end a LaTeX command when typed after it. They are kept in the content.
+const TERMINATORS = '\\s.,;:!?()\\[\\]{}\\\\^_=+\\-*/|<>\'"';
+
+/**
+ * The default LaTeX symbols. The keys are the LaTeX commands (without the backslash) and the values are the Unicode symbols.
+ *
+ * See {@link module:typing/texttransformation~TextTransformationConfig#latexSymbols `typing.transformations.latexSymbols`}.
+ *
+ * @type {Object.<String,String>}
+ */
+export const DEFAULT_LATEX_SYMBOLS = {
+	// Lowercase Greek letters:
+	alpha: 'α',
+	beta: 'β',
+	gamma: 'γ',
+	delta: 'δ',
+	epsilon: 'ϵ',
+	varepsilon: 'ε',
+	zeta: 'ζ',
+	eta: 'η',
+	theta: 'θ',
+	vartheta: 'ϑ',
+	iota: 'ι',
+	kappa: 'κ',
+	lambda: 'λ',
+	mu: 'μ',
+	nu: 'ν',
+	xi: 'ξ',
+	omicron: 'ο',
+	pi: 'π',
+	varpi: 'ϖ',
+	rho: 'ρ',
+	varrho: 'ϱ',
+	sigma: 'σ',
+	varsigma: 'ς',
+	tau: 'τ',
+	upsilon: 'υ',
+	phi: 'ϕ',
+	varphi: 'φ',
+	chi: 'χ',
+	psi: 'ψ',
+	omega: 'ω',
+
+	// Uppercase Greek letters:
+	Gamma: 'Γ',
+	Delta: 'Δ',
+	Theta: 'Θ',
+	Lambda: 'Λ',
+	Xi: 'Ξ',
+	Pi: 'Π',
+	Sigma: 'Σ',
+	Upsilon: 'Υ',
+	Phi: 'Φ',
+	Psi: 'Ψ',
+	Omega: 'Ω',
+
+	// Big operators:
+	sum: '∑',
+	prod: '∏',
+	coprod: '∐',
+	int: '∫',
+	iint: '∬',
+	iiint: '∭',
+	oint: '∮',
+	bigcup: '⋃',
+	bigcap: '⋂',
+
+	// Binary operators:
+	pm: '±',
+	mp: '∓',
+	times: '×',
+	div: '÷',
+	cdot: '⋅',
+	circ: '∘',
+	bullet: '•',
+	star: '⋆',
+	ast: '∗',
+	oplus: '⊕',
+	ominus: '⊖',
+	otimes: '⊗',
+	odot: '⊙',
+	cup: '∪',
+	cap: '∩',
+	sqcup: '⊔',
+	sqcap: '⊓',
+	setminus: '∖',
+	wedge: '∧',
+	land: '∧',
+	vee: '∨',
+	lor: '∨',
+	dagger: '†',
+	ddagger: '‡',
+
+	// Relations:
+	leq: '≤',
+	le: '≤',
+	geq: '≥',
+	ge: '≥',
+	neq: '≠',
+	ne: '≠',
+	ll: '≪',
+	gg: '≫',
+	approx: '≈',
+	equiv: '≡',
+	sim: '∼',
+	simeq: '≃',
+	cong: '≅',
+	asymp: '≍',
+	doteq: '≐',
+	propto: '∝',
+	prec: '≺',
+	succ: '≻',
+	preceq: '⪯',
+	succeq: '⪰',
+	in: '∈',
+	notin: '∉',
+	ni: '∋',
+	subset: '⊂',
+	supset: '⊃',
+	subseteq: '⊆',
+	supseteq: '⊇',
+	perp: '⊥',
+	parallel: '∥',
+	mid: '∣',
+	nmid: '∤',
+	models: '⊨',
+	vdash: '⊢',
+
+	// Arrows:
+	rightarrow: '→',
+	to: '→',
+	leftarrow: '←',
+	gets: '←',
+	leftrightarrow: '↔',
+	uparrow: '↑',
+	downarrow: '↓',
+	Rightarrow: '⇒',
+	Leftarrow: '⇐',
+	Leftrightarrow: '⇔',
+	longrightarrow: '⟶',
+	longleftarrow: '⟵',
+	implies: '⟹',
+	impliedby: '⟸',
+	iff: '⟺',
+	mapsto: '↦',
+
+	// Logic and sets:
+	forall: '∀',
+	exists: '∃',
+	nexists: '∄',
+	neg: '¬',
+	lnot: '¬',
+	emptyset: '∅',
+	varnothing: '∅',
+	therefore: '∴',
+	because: '∵',
+	top: '⊤',
+	bot: '⊥',
+
+	// Miscellaneous:
+	infty: '∞',
+	partial: '∂',
+	nabla: '∇',
+	sqrt: '√',
+	angle: '∠',
+	triangle: '△',
+	degree: '°',
+	prime: '′',
+	ldots: '…',
+	cdots: '⋯',
+	vdots: '⋮',
+	ddots: '⋱',
+	aleph: 'ℵ',
+	hbar: 'ℏ',
+	ell: 'ℓ',
+	wp: '℘',
+	Re: 'ℜ',
+	Im: 'ℑ',
+	langle: '⟨',
+	rangle: '⟩',
+	lceil: '⌈',
+	rceil: '⌉',
+	lfloor: '⌊',
+	rfloor: '⌋',
+	checkmark: '✓',
+	S: '§',
+	P: '¶',
+	copyright: '©',
+	pounds: '£'
+};
+
+/**
+ * Creates the transformation which replaces the LaTeX commands (e.g. `\alpha`) with the Unicode symbols (e.g. `α`) when a space,
+ * a punctuation mark or another character which cannot be a part of the command name is typed after them. That character is kept.
+ * Unknown commands are left untouched. The command names are case-sensitive, so `\delta` gives `δ` and `\Delta` gives `Δ`.
+ *
+ * @param {Object.<String,String>} symbols The symbols by the command names (without the backslash).
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createLatexSymbolsTransformation( symbols ) {
+	const symbolsByCommand = new Map();
+
+	for ( const [ command, symbol ] of Object.entries( symbols ) ) {
+		if ( symbol ) {
+			symbolsByCommand.set( command, symbol );
+		}
+	}
+
+	return {
+		from: new RegExp( `(\\\\[A-Za-z]+)([${ TERMINATORS }])$` ),
+		to: ( [ command ] ) => {
+			const symbol = symbolsByCommand.get( command.slice( 1 ) );
+
+			return symbol ? [ symbol, null ] : null;
+		}
+	};
+}
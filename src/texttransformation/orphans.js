@@ -0,0 +1,49 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformation/orphans
+ */
+
+import { LETTERS, getLanguageValue, normalizeWordLists } from './utils';
+
+/**
+ * The default lists of the short words which should not be left at the end of a line. The keys are the language codes
+ * and the values are the lists of words.
+ *
+ * See {@link module:typing/texttransformation~TextTransformationConfig#orphans `typing.transformations.orphans`}.
+ *
+ * @type {Object.<String,Array.<String>>}
+ */
+export const DEFAULT_ORPHANS = {
+	pl: [ 'a', 'i', 'o', 'u', 'w', 'z' ],
+	cs: [ 'a', 'i', 'k', 'o', 's', 'u', 'v', 'z' ],
+	sk: [ 'a', 'i', 'k', 'o', 's', 'u', 'v', 'z' ]
+};
+
+/**
+ * Creates the transformation which replaces the space typed after a short word (e.g. the Polish `w` or `z`) with the no-break
+ * space (`\u00A0`), so the word is not left at the end of a line. The words are chosen by the content language and matched
+ * case-insensitively.
+ *
+ * @param {Object.<String,Array.<String>>} orphans The lists of words by the language codes.
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createOrphansTransformation( orphans ) {
+	const normalizedOrphans = normalizeWordLists( orphans );
+
+	return {
+		from: new RegExp( `(^|[^${ LETTERS }0-9])([${ LETTERS }]+)( )$` ),
+		to: ( [ , word ], { language } ) => {
+			const words = getLanguageValue( normalizedOrphans, language );
+
+			if ( !words || !words.has( word.toLowerCase() ) ) {
+				return null;
+			}
+
+			return [ null, null, '\u00A0' ];
+		}
+	};
+}
@@ -0,0 +1,158 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformation/quotes
+ */
+
+import { LETTERS } from './utils';
+
+// The characters after which a quotation mark opens a quotation: spaces, opening brackets and dashes.
+const OPENING_CONTEXT = /[\s([{–—]/;
+
+// The characters after which a quotation mark closes a quotation: letters, digits and closing punctuation.
+const CLOSING_CONTEXT = new RegExp( `[${ LETTERS }0-9.,;:!?…)\\]}]` );
+
+// The languages (Chinese, Japanese and Korean) in which the quotation marks directly follow the characters of the text,
+// so the typed mark opens or closes a quotation depending only on whether the quotation is open.
+const CJK_LANGUAGES = [ 'zh', 'ja', 'ko' ];
+
+// The characters (the "eyes" of the emoticons) after which the single quote is left unchanged, e.g. in `:'(`.
+const EMOTICON_CONTEXT = /[:;]$/;
+
+const LETTER = new RegExp( `[${ LETTERS }]` );
+
+/**
+ * Creates the transformation which turns the quotation mark into the opening or the closing one as soon as it is typed.
+ *
+ * The typed mark opens a quotation when it is typed at the beginning of the text, after a space, an opening bracket, a dash
+ * or after the opening mark of the other quotation style (e.g. `"'` gives `“‘`). After a letter, a digit or a closing punctuation
+ * mark, it closes the innermost open quotation. After other characters (e.g. `x = "a"+"b"`), it closes the quotation if it is
+ * open and opens it otherwise. Thanks to that, the quotations are nested properly:
+ *
+ * * Typing the opening `"` inside an open primary quotation opens the nested secondary one, e.g. `"He said "hi"."` gives
+ * `“He said ‘hi’.”`.
+ * * Typing `'` after a letter outside of a secondary quotation gives the apostrophe (`’`), e.g. `"I don't know"` gives
+ * `“I don’t know”`.
+ *
+ * In Chinese, Japanese and Korean content, the quotation marks directly follow the characters of the text, so the typed mark
+ * always closes its quotation if it is open and opens it otherwise, e.g. `彼は"こんにちは"` gives `彼は「こんにちは」`.
+ *
+ * The single quote typed after `:` or `;` is left unchanged, so the emoticons like `:'(` can still be transformed.
+ *
+ * The open quotations are found in the text before the typed mark, so the quotations spanning many paragraphs are closed
+ * with the closing mark of the style the typed character stands for.
+ *
+ * The transformation matches the whole text before the typed mark, so it has the low priority. Otherwise, it would always
+ * win over the transformations matching the same mark after a shorter text, e.g. the prime typed after a digit.
+ *
+ * @param {String} quoteCharacter The typed quotation mark, `"` or `'`.
+ * @param {Array.<String>} quotes The opening and the closing mark which the typed character stands for, e.g. `[ '“', '”' ]`.
+ * @param {Array.<String>} nestedQuotes The opening and the closing mark of the quotation typed with the other character,
+ * used for the nested quotations, e.g. `[ '‘', '’' ]`.
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createQuotesTransformation( quoteCharacter, quotes, nestedQuotes ) {
+	return {
+		from: new RegExp( `^([\\s\\S]*)(${ quoteCharacter })$` ),
+		priority: 'low',
+		to: ( [ textBefore ], { language } ) => {
+			const openQuotations = getOpenQuotations( textBefore, [ quotes, nestedQuotes ] );
+			const innermostQuotation = openQuotations[ openQuotations.length - 1 ];
+			const isQuotationOpen = innermostQuotation == quotes;
+
+			if ( quoteCharacter == '\'' && EMOTICON_CONTEXT.test( textBefore ) ) {
+				return null;
+			}
+
+			if ( isOpeningMark( textBefore, nestedQuotes, isQuotationOpen, language ) ) {
+				return [ null, isQuotationOpen ? nestedQuotes[ 0 ] : quotes[ 0 ] ];
+			}
+
+			// The single quote typed after a word is an apostrophe unless it closes its own quotation.
+			if ( quoteCharacter == '\'' && !isQuotationOpen ) {
+				return [ null, '’' ];
+			}
+
+			return [ null, innermostQuotation ? innermostQuotation[ 1 ] : quotes[ 1 ] ];
+		}
+	};
+}
+
+// Returns the quotations which are open at the end of the text, from the outermost to the innermost one.
+//
+// @param {String} text
+// @param {Array.<Array.<String>>} quotations The opening and the closing marks of the quotations.
+// @returns {Array.<Array.<String>>}
+function getOpenQuotations( text, quotations ) {
+	const openQuotations = [];
+
+	for ( let offset = 0; offset < text.length; offset++ ) {
+		for ( const quotation of quotations ) {
+			const [ opening, closing ] = quotation;
+			const isInnermost = openQuotations[ openQuotations.length - 1 ] == quotation;
+
+			if ( isInnermost && text.startsWith( closing, offset ) && !isApostrophe( text, offset, closing ) ) {
+				openQuotations.pop();
+				offset += closing.length - 1;
+
+				break;
+			}
+
+			// The same mark may be used for opening and closing the quotation (e.g. in Swedish), so it is checked where it stands.
+			if ( text.startsWith( opening, offset ) && ( opening != closing || isOpeningPosition( text, offset ) ) ) {
+				openQuotations.push( quotation );
+				offset += opening.length - 1;
+
+				break;
+			}
+		}
+	}
+
+	return openQuotations;
+}
+
+// Checks whether the quotation mark typed after the text opens a quotation.
+//
+// @param {String} text
+// @param {Array.<String>} nestedQuotes
+// @param {Boolean} isQuotationOpen Whether the quotation of the typed mark is the innermost open one.
+// @param {String} language The lowercase language code of the content.
+// @returns {Boolean}
+function isOpeningMark( text, nestedQuotes, isQuotationOpen, language ) {
+	if ( CJK_LANGUAGES.includes( language.split( '-' )[ 0 ] ) ) {
+		return !isQuotationOpen;
+	}
+
+	if ( isOpeningPosition( text, text.length, nestedQuotes ) ) {
+		return true;
+	}
+
+	return !isQuotationOpen && !CLOSING_CONTEXT.test( text[ text.length - 1 ] );
+}
+
+// Checks whether a quotation mark at the given offset opens a quotation.
+//
+// @param {String} text
+// @param {Number} offset
+// @param {Array.<String>} [nestedQuotes] The quotation which can be directly followed by an opening mark.
+// @returns {Boolean}
+function isOpeningPosition( text, offset, nestedQuotes ) {
+	if ( offset == 0 || OPENING_CONTEXT.test( text[ offset - 1 ] ) ) {
+		return true;
+	}
+
+	return !!nestedQuotes && text.slice( 0, offset ).endsWith( nestedQuotes[ 0 ] );
+}
+
+// Checks whether a closing mark stands between letters, e.g. in `don’t`.
+//
+// @param {String} text
+// @param {Number} offset
+// @param {String} closing
+// @returns {Boolean}
+function isApostrophe( text, offset, closing ) {
+	return LETTER.test( text[ offset - 1 ] || '' ) && LETTER.test( text[ offset + closing.length ] || '' );
+}
@@ -0,0 +1,57 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformation/utils
+ */
+
+/**
+ * The letters which can form a word, to be used in a RegExp character class: Latin (with the Latin-1 Supplement
+ * and Latin Extended-A and B letters), Greek and Cyrillic.
+ *
+ * @type {String}
+ */
+export const LETTERS = 'A-Za-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u024F\\u0370-\\u03FF\\u0400-\\u04FF';
+
+/**
+ * Returns the language from the given ones which should be used for the content in the given language. The content language
+ * is matched in full (e.g. `en-gb`) first and then by its primary subtag (e.g. `en`).
+ *
+ * @param {String} language The lowercase language code of the content.
+ * @param {Array.<String>} languages The lowercase language codes.
+ * @returns {String|undefined} The matching language or `undefined` if there is none.
+ */
+export function resolveLanguage( language, languages ) {
+	return [ language, language.split( '-' )[ 0 ] ].find( item => languages.includes( item ) );
+}
+
+/**
+ * Returns the value defined for the given language in a map with the values by the language codes. The language is matched
+ * the same way as in {@link module:typing/texttransformation/utils~resolveLanguage}.
+ *
+ * @param {Map.<String,*>} valuesByLanguage The values by the lowercase language codes.
+ * @param {String} language The lowercase language code.
+ * @returns {*} The value or `undefined` if there is none for the language.
+ */
+export function getLanguageValue( valuesByLanguage, language ) {
+	return valuesByLanguage.get( resolveLanguage( language, Array.from( valuesByLanguage.keys() ) ) );
+}
+
+/**
+ * Converts the lists of words by the language codes (e.g. the abbreviations or the short words) to the sets of lowercase words
+ * by the lowercase language codes. A list set to `null` gives an empty set.
+ *
+ * @param {Object.<String,Array.<String>|null>} wordLists
+ * @returns {Map.<String,Set.<String>>}
+ */
+export function normalizeWordLists( wordLists ) {
+	const normalizedWordLists = new Map();
+
+	for ( const [ language, words ] of Object.entries( wordLists ) ) {
+		normalizedWordLists.set( language.toLowerCase(), new Set( ( words || [] ).map( word => word.toLowerCase() ) ) );
+	}
+
+	return normalizedWordLists;
+}
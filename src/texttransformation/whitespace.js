@@ -0,0 +1,77 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformation/whitespace
+ */
+
+import { LETTERS } from './utils';
+
+// The em space.
+const EM_SPACE = '\u2003';
+
+/**
+ * Creates the transformation which turns two spaces typed one after another into a single space or, if the `doubleSpace`
+ * option is set to `'emSpace'`, into the em space (`\u2003`).
+ *
+ * @param {Object} [options]
+ * @param {String} [options.doubleSpace='space'] What the two spaces are turned into: `'space'` or `'emSpace'`.
+ * @param {Boolean} [options.singleSpaceAfterFullStop=false] Whether the two spaces typed after a full stop are always turned
+ * into a single space, even if the `doubleSpace` option is set to `'emSpace'`.
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createCollapseSpacesTransformation( options = {} ) {
+	return {
+		from: /(\S)( {2})$/,
+		to: ( [ character ] ) => {
+			const useEmSpace = options.doubleSpace == 'emSpace' && !( options.singleSpaceAfterFullStop && character == '.' );
+
+			return [ null, useEmSpace ? EM_SPACE : ' ' ];
+		}
+	};
+}
+
+/**
+ * Creates the transformation which removes the space typed before `,`, `.`, `;` or `:` when the punctuation mark is typed,
+ * e.g. `Foo ,` becomes `Foo,`. The space is kept if there is nothing but spaces before it.
+ *
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createRemoveSpaceBeforePunctuationTransformation() {
+	return {
+		from: /(\S)( )([,.;:])$/,
+		to: [ null, '', null ]
+	};
+}
+
+/**
+ * Creates the transformation which adds the missing space after a punctuation mark typed right after a word when the next
+ * letter is typed, e.g. `Foo,bar` becomes `Foo, bar`.
+ *
+ * The space is added after `,` and `;` before any letter. After `.`, `:`, `!` and `?`, it is added only before an uppercase
+ * letter (e.g. `Foo.Bar` becomes `Foo. Bar`), so the addresses (e.g. `example.com` or `mailto:foo`) and the abbreviations
+ * (e.g. `e.g.`) are left untouched. The initials (e.g. `J.R.R.`) are left untouched, too.
+ *
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export function createAddSpaceAfterPunctuationTransformation() {
+	return {
+		from: new RegExp( `([${ LETTERS }0-9]+)([,;.:!?])([${ LETTERS }])$` ),
+		to: ( [ word, punctuation, letter ] ) => {
+			const isUppercase = letter != letter.toLowerCase();
+
+			if ( !',;'.includes( punctuation ) && !isUppercase ) {
+				return null;
+			}
+
+			// The initials, e.g. `J.R.R.` or `U.S.`.
+			if ( punctuation == '.' && word.length == 1 ) {
+				return null;
+			}
+
+			return [ null, punctuation + ' ', null ];
+		}
+	};
+}
@@ -0,0 +1,257 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/texttransformationcommand
+ */
+
+import Command from '@ckeditor/ckeditor5-core/src/command';
+import { getReplacedTextAttributes, mergeAttributes, replaceText } from './utils/utils';
+import { isEqual } from 'lodash-es';
+
+/**
+ * The text transformation command. It applies the active {@link module:typing/texttransformation~TextTransformation text transformations}
+ * to the existing content, e.g. to the content which was pasted or loaded into the editor. It is registered
+ * by the text transformation feature as `'transformText'`.
+ *
+ * The text is processed as if it was typed character by character, so the result is the same as the result of typing it.
+ *
+ *		// Transform the selected content or, if the selection is collapsed, the whole document.
+ *		editor.execute( 'transformText' );
+ *
+ *		// Check what would be replaced without changing the content.
+ *		const replacements = editor.commands.get( 'transformText' ).getReplacements();
+ *
+ * The command can also be limited to given transformations, which are applied even if they are not active. For instance,
+ * the `'preventOrphans'` command applies only the `orphanWords` transformation.
+ *
+ * @extends module:core/command~Command
+ */
+export default class TextTransformationCommand extends Command {
+	/**
+	 * Creates an instance of the command.
+	 *
+	 * @param {module:core/editor/editor~Editor} editor
+	 * @param {Array.<String>} [transformationNames] The names of the transformations applied by the command. If not set,
+	 * the active transformations are applied.
+	 */
+	constructor( editor, transformationNames ) {
+		super( editor );
+
+		/**
+		 * The names of the transformations applied by the command or `null` if the active transformations are applied.
+		 *
+		 * @readonly
+		 * @private
+		 * @member {Array.<String>|null} #_transformationNames
+		 */
+		this._transformationNames = transformationNames || null;
+	}
+
+	/**
+	 * Executes the command. If the selection is not collapsed, the transformations are applied to the selected content.
+	 * Otherwise they are applied to the whole document. All replacements are done in a single batch, so they can be undone
+	 * in one step.
+	 *
+	 * @fires execute
+	 */
+	execute() {
+		const model = this.editor.model;
+		const replacements = this.getReplacements();
+
+		if ( !replacements.length ) {
+			return;
+		}
+
+		model.change( writer => {
+			// Replace the text starting from the end so the ranges of the preceding replacements stay valid.
+			for ( const { range, to, attributes } of replacements.reverse() ) {
+				replaceText( writer, range, to, mergeAttributes( getReplacedTextAttributes( range ), attributes ) );
+			}
+		} );
+	}
+
+	/**
+	 * Returns the replacements which the command would make, without changing the content. Use it to check what would be replaced,
+	 * e.g. to show the changes to the user before {@link #execute executing} the command:
+	 *
+	 *		const replacements = editor.commands.get( 'transformText' ).getReplacements();
+	 *
+	 * @returns {Array.<Object>} The replacements, sorted by their position in the document. Each replacement contains the `range`
+	 * of the replaced content, the replaced text (`from`) and the new text (`to`). The replacements which set text attributes
+	 * also contain these `attributes`.
+	 */
+	getReplacements() {
+		const replacements = [];
+
+		for ( const range of this._getRanges() ) {
+			for ( const textRun of getTextRuns( range ) ) {
+				replacements.push( ...this._findReplacements( textRun ) );
+			}
+		}
+
+		// The replacements starting at the same position keep their order.
+		replacements.sort( ( a, b ) => {
+			if ( a.range.start.isEqual( b.range.start ) ) {
+				return 0;
+			}
+
+			return a.range.start.isBefore( b.range.start ) ? -1 : 1;
+		} );
+
+		return replacements;
+	}
+
+	/**
+	 * Returns the ranges to transform: the selection ranges or, if the selection is collapsed, the ranges of all roots.
+	 *
+	 * @private
+	 * @returns {Array.<module:engine/model/range~Range>}
+	 */
+	_getRanges() {
+		const model = this.editor.model;
+		const document = model.document;
+
+		if ( !document.selection.isCollapsed ) {
+			return Array.from( document.selection.getRanges() );
+		}
+
+		return document.getRootNames().map( rootName => model.createRangeIn( document.getRoot( rootName ) ) );
+	}
+
+	/**
+	 * Finds the replacements in the given text run. The text is typed character by character and after each character
+	 * the first applicable transformation matching the text typed so far (in the order of precedence of the matches) is applied,
+	 * the same way as it is done when the user types.
+	 *
+	 * @private
+	 * @param {Object} textRun
+	 * @returns {Array.<Object>}
+	 */
+	_findReplacements( textRun ) {
+		const model = this.editor.model;
+		const textTransformation = this.editor.plugins.get( 'TextTransformation' );
+
+		// The typed characters. The `origin` is the index of the character in the original text, or `null` for the inserted ones.
+		const characters = [];
+		let text = '';
+
+		for ( let i = 0; i < textRun.text.length; i++ ) {
+			characters.push( { character: textRun.text[ i ], origin: i } );
+			text += textRun.text[ i ];
+
+			const position = model.createPositionAt( textRun.parent, textRun.startOffset + i + 1 );
+			const replacements = textTransformation.findReplacements( text, position, textRun.items[ i ], this._transformationNames );
+
+			if ( !replacements.length ) {
+				continue;
+			}
+
+			// Replace starting from the last part so the indexes of the preceding parts stay valid.
+			for ( const { index, from, to, attributes } of replacements.reverse() ) {
+				characters.splice( index, from.length, ...to.split( '' ).map( character => ( { character, origin: null, attributes } ) ) );
+				text = text.slice( 0, index ) + to + text.slice( index + from.length );
+			}
+		}
+
+		return getDifferences( model, textRun, characters );
+	}
+}
+
+// Returns the continuous pieces of text in the given range. The text is split on elements (e.g. paragraphs or soft breaks).
+//
+// @param {module:engine/model/range~Range} range
+// @returns {Array.<Object>} The text runs. Each one has the `parent` element, the `startOffset` in that element, the `text`
+// and the `items` (text proxies) for each character of the text.
+function getTextRuns( range ) {
+	const textRuns = [];
+	let textRun = null;
+
+	for ( const item of range.getItems() ) {
+		if ( !item.is( 'textProxy' ) ) {
+			textRun = null;
+
+			continue;
+		}
+
+		if ( !textRun || textRun.parent != item.parent || textRun.startOffset + textRun.text.length != item.startOffset ) {
+			textRun = { parent: item.parent, startOffset: item.startOffset, text: '', items: [] };
+			textRuns.push( textRun );
+		}
+
+		textRun.text += item.data;
+
+		for ( let i = 0; i < item.data.length; i++ ) {
+			textRun.items.push( item );
+		}
+	}
+
+	return textRuns;
+}
+
+// Compares the transformed characters with the original text of the text run and returns the changed pieces of text.
+// The inserted text is split into separate pieces where the attributes set by the transformations change. Only the last piece
+// replaces the original text, the preceding ones are inserted before it.
+//
+// @param {module:engine/model/model~Model} model
+// @param {Object} textRun
+// @param {Array.<Object>} characters
+// @returns {Array.<Object>}
+function getDifferences( model, textRun, characters ) {
+	const differences = [];
+
+	let originalIndex = 0;
+	let inserted = '';
+	let insertedAttributes;
+
+	for ( const { character, origin, attributes } of characters ) {
+		if ( origin === null ) {
+			if ( inserted && !isEqual( attributes, insertedAttributes ) ) {
+				addDifference( originalIndex, originalIndex );
+			}
+
+			inserted += character;
+			insertedAttributes = attributes;
+
+			continue;
+		}
+
+		addDifference( originalIndex, origin );
+
+		originalIndex = origin + 1;
+	}
+
+	addDifference( originalIndex, textRun.text.length );
+
+	return differences;
+
+	function addDifference( start, end ) {
+		const from = textRun.text.slice( start, end );
+		const attributes = insertedAttributes;
+		const to = inserted;
+
+		inserted = '';
+		insertedAttributes = undefined;
+
+		if ( from == to && !attributes ) {
+			return;
+		}
+
+		const difference = {
+			range: model.createRange(
+				model.createPositionAt( textRun.parent, textRun.startOffset + start ),
+				model.createPositionAt( textRun.parent, textRun.startOffset + end )
+			),
+			from,
+			to
+		};
+
+		if ( attributes ) {
+			difference.attributes = attributes;
+		}
+
+		differences.push( difference );
+	}
+}
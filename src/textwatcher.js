@@ -23,7 +23,8 @@ export default class TextWatcher {
 	/**
 	 * Creates a text watcher instance.
 	 * @param {module:engine/model/model~Model} model
-	 * @param {Function} testCallback The function used to match the text.
+	 * @param {Function} testCallback The function used to match the text. It can return an object instead of `true`
+	 * to pass additional data (e.g. what was matched) to the {@link #event:matched:data} and {@link #event:matched:selection} events.
 	 */
 	constructor( model, testCallback ) {
 		this.model = model;
@@ -33,6 +34,13 @@ export default class TextWatcher {
 		this._startListening();
 	}
 
+	/**
+	 * Stops listening to the editor and destroys the text watcher instance.
+	 */
+	destroy() {
+		this.stopListening();
+	}
+
 	/**
 	 * Starts listening to the editor for typing and selection events.
 	 *
@@ -42,7 +50,7 @@ export default class TextWatcher {
 		const model = this.model;
 		const document = model.document;
 
-		document.selection.on( 'change:range', ( evt, { directChange } ) => {
+		this.listenTo( document.selection, 'change:range', ( evt, { directChange } ) => {
 			// Indirect changes (i.e. when the user types or external changes are applied) are handled in the document's change event.
 			if ( !directChange ) {
 				return;
@@ -61,7 +69,7 @@ export default class TextWatcher {
 			this._evaluateTextBeforeSelection( 'selection' );
 		} );
 
-		document.on( 'change:data', ( evt, batch ) => {
+		this.listenTo( document, 'change:data', ( evt, batch ) => {
 			if ( batch.type == 'transparent' ) {
 				return;
 			}
@@ -84,7 +92,8 @@ export default class TextWatcher {
 	_evaluateTextBeforeSelection( suffix, data = {} ) {
 		const text = this._getText();
 
-		const textHasMatch = this.testCallback( text );
+		const testResult = this.testCallback( text );
+		const textHasMatch = !!testResult;
 
 		if ( !textHasMatch && this.hasMatch ) {
 			/**
@@ -100,6 +109,10 @@ export default class TextWatcher {
 		if ( textHasMatch ) {
 			const eventData = Object.assign( data, { text } );
 
+			if ( typeof testResult == 'object' ) {
+				Object.assign( eventData, testResult );
+			}
+
 			/**
 			 * Fired whenever the text watcher found a match for data changes.
 			 *
@@ -107,6 +120,7 @@ export default class TextWatcher {
 			 * @param {Object} data Event data.
 			 * @param {String} data.text The full text before selection.
 			 * @param {module:engine/model/batch~Batch} data.batch A batch associated with a change.
+			 * The data also contains the properties of the object returned by the test callback (if it returned an object).
 			 */
 			/**
 			 * Fired whenever the text watcher found a match for selection changes.
@@ -114,6 +128,7 @@ export default class TextWatcher {
 			 * @event matched:selection
 			 * @param {Object} data Event data.
 			 * @param {String} data.text The full text before selection.
+			 * The data also contains the properties of the object returned by the test callback (if it returned an object).
 			 */
 			this.fire( `matched:${ suffix }`, eventData );
 		}
@@ -61,3 +61,10 @@ export default class Typing extends Plugin {
  *
  * @member {Number} [module:typing/typing~TypingConfig#undoStep=20]
  */
+
+/**
+ * Whether the no-break spaces typed on purpose (e.g. with <kbd>AltGr</kbd>+<kbd>Space</kbd>) are kept in the model as `\u00A0`.
+ * The `&nbsp;` characters which the browser inserts instead of normal spaces are always replaced with spaces.
+ *
+ * @member {Boolean} [module:typing/typing~TypingConfig#keepNonBreakingSpaces=true]
+ */
@@ -0,0 +1,269 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/utils/compiletransformation
+ */
+
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+import { LETTERS } from '../texttransformation/utils';
+import { getGroupCount } from './utils';
+import { castArray, escapeRegExp } from 'lodash-es';
+
+// The characters around a whole word.
+const WORD_BOUNDARY = `[^${ LETTERS }0-9]`;
+
+// Splits a template on the group references: `$1` to `$9`, `$&` (the whole match) and the escaped `$$`.
+const TEMPLATE_REFERENCE = /(\$[1-9&$])/;
+
+/**
+ * Compiles the {@link module:typing/texttransformation~TextTransformationDescription text transformation} written in one
+ * of the simplified forms into the form which is matched by the {@link module:typing/utils/transformationmatcher~TransformationMatcher}:
+ *
+ * * The array of string alternatives in `from` is turned into a RegExp with one capturing group matching any of them.
+ * * The `to` template string referring to the capturing groups (e.g. `'$1—$3'`) is turned into a function which replaces
+ * the matched text with the filled template. The groups used in the template in order are kept unchanged.
+ * * The `wordBoundary` flag adds the groups matching the characters around a whole word to the `from` pattern and the `null`
+ * values for them to `to`.
+ * * The `caseSensitive: false` flag makes the pattern ignore the case.
+ *
+ * The transformations written in the basic form are returned unchanged (as a copy).
+ *
+ * @param {module:typing/texttransformation~TextTransformationDescription} transformation
+ * @param {Object|null} context The context of the errors, see {@link module:utils/ckeditorerror~CKEditorError}.
+ * @returns {module:typing/texttransformation~TextTransformationDescription}
+ */
+export default function compileTransformation( transformation, context ) {
+	const compiled = Object.assign( {}, transformation );
+	const isCaseInsensitive = compiled.caseSensitive === false;
+	const wordBoundary = compiled.wordBoundary;
+
+	delete compiled.caseSensitive;
+	delete compiled.wordBoundary;
+
+	if ( Array.isArray( compiled.from ) ) {
+		compiled.from = new RegExp( `(${ compiled.from.map( escapeRegExp ).join( '|' ) })$` );
+	} else if ( typeof compiled.from == 'string' && ( wordBoundary || isCaseInsensitive ) ) {
+		compiled.from = new RegExp( `(${ escapeRegExp( compiled.from ) })$` );
+	}
+
+	// The invalid patterns are left unchanged, so they are reported by the validation.
+	const isCompilable = compiled.from instanceof RegExp && compiled.from.source.endsWith( '$' );
+
+	if ( isTemplate( compiled.to ) ) {
+		const groupCount = compiled.from instanceof RegExp ? getGroupCount( compiled.from ) : 1;
+
+		compiled.to = createTemplateReplacement( compiled.to, groupCount, context );
+	}
+
+	if ( !isCompilable ) {
+		return compiled;
+	}
+
+	if ( isCaseInsensitive && !compiled.from.ignoreCase ) {
+		compiled.from = new RegExp( compiled.from.source, compiled.from.flags + 'i' );
+	}
+
+	if ( wordBoundary ) {
+		addWordBoundaries( compiled );
+	}
+
+	return compiled;
+}
+
+// Checks whether the `to` value is a template string, i.e. it refers to any capturing group.
+//
+// @param {*} to
+// @returns {Boolean}
+function isTemplate( to ) {
+	return typeof to == 'string' && /\$[1-9&]/.test( to );
+}
+
+// Creates the `to` function which fills the template with the matched groups.
+//
+// @param {String} template
+// @param {Number} groupCount The number of the capturing groups of the `from` pattern.
+// @param {Object|null} context
+// @returns {Function}
+function createTemplateReplacement( template, groupCount, context ) {
+	const parts = parseTemplate( template, groupCount, context );
+
+	return groups => {
+		const keptGroups = getKeptGroups( parts, groups );
+		const result = groups.map( () => '' );
+
+		// The text between the kept groups replaces the first group between them which took part in the match.
+		let text = '';
+		let nextGroup = 0;
+
+		for ( const part of parts ) {
+			if ( !keptGroups || !keptGroups.includes( part.group ) ) {
+				text += part.group === undefined ? part.text : fillReference( part.group, groups );
+
+				continue;
+			}
+
+			if ( !putText( result, groups, text, nextGroup, part.group ) ) {
+				result[ part.group ] = text + groups[ part.group ];
+			} else {
+				result[ part.group ] = null;
+			}
+
+			text = '';
+			nextGroup = part.group + 1;
+		}
+
+		if ( !putText( result, groups, text, nextGroup, groups.length ) ) {
+			const lastGroup = findLastIndex( groups, nextGroup );
+
+			// There is no group left for the rest of the text, so it is added to the last kept one.
+			result[ lastGroup ] = ( result[ lastGroup ] === null ? groups[ lastGroup ] : result[ lastGroup ] ) + text;
+		}
+
+		return result;
+	};
+}
+
+// Splits the template into the text and the group reference parts. The groups are numbered from `0` (`$1`)
+// and the whole match (`$&`) is `-1`.
+//
+// @param {String} template
+// @param {Number} groupCount
+// @param {Object|null} context
+// @returns {Array.<Object>}
+function parseTemplate( template, groupCount, context ) {
+	const parts = template.split( TEMPLATE_REFERENCE ).map( ( piece, index ) => {
+		// The odd pieces are the references.
+		if ( index % 2 == 0 ) {
+			return { text: piece };
+		}
+
+		if ( piece == '$$' ) {
+			return { text: '$' };
+		}
+
+		if ( piece == '$&' ) {
+			return { group: -1 };
+		}
+
+		const group = Number( piece[ 1 ] );
+
+		if ( group > groupCount ) {
+			/**
+			 * The `to` template of the text transformation refers to a capturing group which the `from` pattern does not have.
+			 * The groups are numbered from `$1` and the string pattern has one group.
+			 *
+			 * @error text-transformation-template-unknown-group
+			 * @param {String} template The template.
+			 * @param {Number} groups The number of the capturing groups of the pattern.
+			 */
+			throw new CKEditorError(
+				'text-transformation-template-unknown-group: The text transformation template refers to a missing capturing group.',
+				context,
+				{ template, groups: groupCount }
+			);
+		}
+
+		return { group: group - 1 };
+	} );
+
+	return parts.filter( part => part.group !== undefined || part.text );
+}
+
+// Returns the groups which are kept unchanged: the groups used in the template in increasing order and only once,
+// which took part in the match. Returns `null` if the template uses the whole match or the groups in a different order.
+//
+// @param {Array.<Object>} parts
+// @param {Array.<String>} groups
+// @returns {Array.<Number>|null}
+function getKeptGroups( parts, groups ) {
+	const keptGroups = parts.filter( part => part.group !== undefined ).map( part => part.group );
+
+	if ( keptGroups.some( ( group, index ) => group < 0 || group <= keptGroups[ index - 1 ] ) ) {
+		return null;
+	}
+
+	return keptGroups.filter( group => groups[ group ] !== undefined );
+}
+
+// Puts the text into the first group in the range which took part in the match and the empty string into the other ones.
+// Returns `false` if there is no such group and the text is not empty.
+//
+// @param {Array.<String|null>} result
+// @param {Array.<String>} groups
+// @param {String} text
+// @param {Number} start
+// @param {Number} end
+// @returns {Boolean}
+function putText( result, groups, text, start, end ) {
+	for ( let group = start; group < end; group++ ) {
+		if ( groups[ group ] !== undefined ) {
+			result[ group ] = text;
+			text = '';
+		}
+	}
+
+	return !text;
+}
+
+// Returns the text of the referenced group (or of the whole match for `-1`).
+//
+// @param {Number} group
+// @param {Array.<String>} groups
+// @returns {String}
+function fillReference( group, groups ) {
+	return group < 0 ? groups.join( '' ) : groups[ group ] || '';
+}
+
+// Returns the index of the last group which took part in the match, starting the search before the given index.
+//
+// @param {Array.<String>} groups
+// @param {Number} end
+// @returns {Number}
+function findLastIndex( groups, end ) {
+	for ( let group = end - 1; group > 0; group-- ) {
+		if ( groups[ group ] !== undefined ) {
+			return group;
+		}
+	}
+
+	return 0;
+}
+
+// Adds the groups matching the characters around a whole word to the `from` pattern and the `null` values for them to `to`,
+// so these characters are kept. The pattern starting with `^` gets only the group after the word.
+//
+// @param {module:typing/texttransformation~TextTransformationDescription} transformation
+function addWordBoundaries( transformation ) {
+	const { from, to } = transformation;
+	const hasStartAnchor = from.source.startsWith( '^' );
+	const before = hasStartAnchor ? '' : `(^|${ WORD_BOUNDARY })`;
+
+	transformation.from = new RegExp( `${ before }${ from.source.slice( 0, -1 ) }(${ WORD_BOUNDARY })$`, from.flags );
+	transformation.to = wrapReplacement( to, hasStartAnchor ? 0 : 1 );
+}
+
+// Adds the `null` values for the boundary groups to the `to` value. For the `to` function, its result is changed.
+//
+// @param {String|Array|Function} to
+// @param {Number} leadingGroups The number of the groups added before the word (`0` or `1`).
+// @returns {Array|Function}
+function wrapReplacement( to, leadingGroups ) {
+	const pad = replacements => [ ...Array( leadingGroups ).fill( null ), ...replacements, null ];
+
+	if ( typeof to != 'function' ) {
+		return pad( castArray( to ) );
+	}
+
+	return ( groups, ...args ) => {
+		const result = to( groups.slice( leadingGroups, -1 ), ...args );
+
+		if ( typeof result == 'function' ) {
+			return ( writer, ranges ) => result( writer, ranges.slice( leadingGroups, -1 ) );
+		}
+
+		return result && pad( result );
+	};
+}
@@ -9,17 +9,44 @@
 
 import diff from '@ckeditor/ckeditor5-utils/src/diff';
 import DomConverter from '@ckeditor/ckeditor5-engine/src/view/domconverter';
+import env from '@ckeditor/ckeditor5-utils/src/env';
 
 import { getSingleTextNodeChange, containerChildrenMutated } from './utils';
 
 /**
  * Handles mutations caused by normal typing.
  *
+ * The `&nbsp;` characters inserted by the browser are replaced with normal spaces. However, if the user typed a no-break space
+ * on purpose (e.g. with <kbd>AltGr</kbd>+<kbd>Space</kbd>), it is kept in the model as `\u00A0`, unless
+ * {@link module:typing/typing~TypingConfig#keepNonBreakingSpaces `config.typing.keepNonBreakingSpaces`} is set to `false`.
+ * On macOS, <kbd>Option</kbd>+<kbd>Space</kbd> is handled by the
+ * {@link module:typing/nonbreakingspacecommand~NonBreakingSpaceCommand `'nonBreakingSpace'` command} instead.
+ *
  * @param {module:core/editor/editor~Editor} editor The editor instance.
  */
 export default function injectTypingMutationsHandling( editor ) {
-	editor.editing.view.document.on( 'mutations', ( evt, mutations, viewSelection ) => {
-		new MutationHandler( editor ).handle( mutations, viewSelection );
+	const viewDocument = editor.editing.view.document;
+	const keepNonBreakingSpaces = editor.config.get( 'typing.keepNonBreakingSpaces' ) !== false;
+
+	// Whether the last pressed key inserts a no-break space.
+	let isNbspTyped = false;
+
+	// On macOS, the only keystroke typing a no-break space is bound to the `'nonBreakingSpace'` command,
+	// which prevents the browser from inserting it.
+	if ( keepNonBreakingSpaces && !env.isMac ) {
+		// The keystrokes handled by the editor (e.g. the one of the `'nonBreakingSpace'` command) prevent the default action
+		// before this listener, so only the no-break spaces which the browser inserts itself are marked as typed on purpose.
+		viewDocument.on( 'keydown', ( evt, data ) => {
+			const domEvent = data.domEvent;
+
+			isNbspTyped = !!domEvent && domEvent.key == '\u00A0' && !domEvent.defaultPrevented;
+		}, { priority: 'lowest' } );
+	}
+
+	viewDocument.on( 'mutations', ( evt, mutations, viewSelection ) => {
+		new MutationHandler( editor, { keepTypedNbsp: isNbspTyped } ).handle( mutations, viewSelection );
+
+		isNbspTyped = false;
 	} );
 }
 
@@ -33,8 +60,11 @@ class MutationHandler {
 	 * Creates an instance of the mutation handler.
 	 *
 	 * @param {module:core/editor/editor~Editor} editor
+	 * @param {Object} [options]
+	 * @param {Boolean} [options.keepTypedNbsp=false] Whether the mutations contain a no-break space typed on purpose
+	 * which should be kept in the model.
 	 */
-	constructor( editor ) {
+	constructor( editor, options = {} ) {
 		/**
 		 * Editor instance for which mutations are handled.
 		 *
@@ -50,6 +80,14 @@ class MutationHandler {
 		 * @member {module:engine/controller/editingcontroller~EditingController} #editing
 		 */
 		this.editing = this.editor.editing;
+
+		/**
+		 * Whether the mutations contain a no-break space typed on purpose which should be kept in the model.
+		 *
+		 * @readonly
+		 * @member {Boolean} #keepTypedNbsp
+		 */
+		this.keepTypedNbsp = !!options.keepTypedNbsp;
 	}
 
 	/**
@@ -147,7 +185,8 @@ class MutationHandler {
 		// Replace non-texts with any character. This is potentially dangerous but passes in manual tests. The thing is
 		// that we need to take care of proper indexes so we cannot simply remove non-text elements from the content.
 		// By inserting a character we keep all the real texts on their indexes.
-		const newText = modelFromDomChildren.map( item => item.is( 'text' ) ? item.data : '@' ).join( '' ).replace( /\u00A0/g, ' ' );
+		const domText = modelFromDomChildren.map( item => item.is( 'text' ) ? item.data : '@' ).join( '' );
+		const newText = domText.replace( /\u00A0/g, ' ' );
 		const oldText = currentModelChildren.map( item => item.is( 'text' ) ? item.data : '@' ).join( '' ).replace( /\u00A0/g, ' ' );
 
 		// Do nothing if mutations created same text.
@@ -166,7 +205,7 @@ class MutationHandler {
 			modelSelectionRange = this.editing.mapper.toModelRange( viewSelection.getFirstRange() );
 		}
 
-		const insertText = newText.substr( firstChangeAt, insertions );
+		const insertText = this._normalizeInsertedText( domText.substr( firstChangeAt, insertions ) );
 		const removeRange = this.editor.model.createRange(
 			this.editor.model.createPositionAt( currentModel, firstChangeAt ),
 			this.editor.model.createPositionAt( currentModel, firstChangeAt + deletions )
@@ -220,7 +259,7 @@ class MutationHandler {
 		const viewPos = this.editing.view.createPositionAt( mutation.node, firstChangeAt );
 		const modelPos = this.editing.mapper.toModelPosition( viewPos );
 		const removeRange = this.editor.model.createRange( modelPos, modelPos.getShiftedBy( deletions ) );
-		const insertText = newText.substr( firstChangeAt, insertions );
+		const insertText = this._normalizeInsertedText( mutation.newText.substr( firstChangeAt, insertions ) );
 
 		this.editor.execute( 'input', {
 			text: insertText,
@@ -247,10 +286,29 @@ class MutationHandler {
 			// See comment in `_handleTextMutation`.
 			// In this case we don't need to do this before `diff` because we diff whole nodes.
 			// Just change &nbsp; in case there are some.
-			text: insertedText.replace( /\u00A0/g, ' ' ),
+			text: this._normalizeInsertedText( insertedText ),
 			range: this.editor.model.createRange( modelPos )
 		} );
 	}
+
+	/**
+	 * Replaces the `&nbsp;` characters inserted by the browser with normal spaces. If the user typed a no-break space
+	 * on purpose (see {@link #keepTypedNbsp}), the last one in the text is kept, as it is the typed one.
+	 *
+	 * @private
+	 * @param {String} text The inserted text.
+	 * @returns {String}
+	 */
+	_normalizeInsertedText( text ) {
+		const normalizedText = text.replace( /\u00A0/g, ' ' );
+		const typedNbspIndex = this.keepTypedNbsp ? text.lastIndexOf( '\u00A0' ) : -1;
+
+		if ( typedNbspIndex == -1 ) {
+			return normalizedText;
+		}
+
+		return normalizedText.substr( 0, typedNbspIndex ) + '\u00A0' + normalizedText.substr( typedNbspIndex + 1 );
+	}
 }
 
 // Returns first common ancestor of all mutations that is either {@link module:engine/view/containerelement~ContainerElement}
@@ -0,0 +1,219 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/utils/transformationmatcher
+ */
+
+import priorities from '@ckeditor/ckeditor5-utils/src/priorities';
+
+/**
+ * Finds the {@link module:typing/texttransformation~TextTransformationDescription text transformations} which match
+ * the end of a given text.
+ *
+ * The transformations with string patterns are kept in a trie built from the reversed patterns, so checking all of them
+ * takes time proportional to the length of the longest pattern, not to the number of transformations. The transformations
+ * with regular expression patterns are checked one by one in a single pass.
+ *
+ *		const matcher = new TransformationMatcher();
+ *
+ *		matcher.add( { from: '(c)', to: '©' } );
+ *		matcher.add( { from: /(^| )(--)( )$/, to: [ null, '–', null ] } );
+ *
+ *		matcher.match( 'Foo (c)' ); // -> [ { transformation: { from: '(c)', to: '©' }, matches: [ '(c)', '(c)' ] } ]
+ *
+ * The matches are returned in the order of precedence, so when several transformations match the same text,
+ * the first one is applied:
+ *
+ * * the transformation with the higher `priority` goes first,
+ * * of the transformations with the same priority, the one with the longer match goes first (e.g. `-->` before `->`),
+ * * of the transformations with the same priority and the same match length, the one added earlier goes first.
+ *
+ * @private
+ */
+export default class TransformationMatcher {
+	/**
+	 * Creates an instance of the matcher.
+	 */
+	constructor() {
+		/**
+		 * The root node of the trie with the reversed string patterns.
+		 *
+		 * @private
+		 * @member {Object} #_trie
+		 */
+		this._trie = createTrieNode();
+
+		/**
+		 * The transformations with regular expression patterns.
+		 *
+		 * @private
+		 * @member {Set.<module:typing/texttransformation~TextTransformationDescription>} #_regExpTransformations
+		 */
+		this._regExpTransformations = new Set();
+
+		/**
+		 * The order in which the transformations were added. It decides between the matches with the same priority and length.
+		 *
+		 * @private
+		 * @member {Map.<module:typing/texttransformation~TextTransformationDescription,Number>} #_order
+		 */
+		this._order = new Map();
+
+		/**
+		 * The order index for the next added transformation.
+		 *
+		 * @private
+		 * @member {Number} #_nextIndex
+		 */
+		this._nextIndex = 0;
+	}
+
+	/**
+	 * The number of transformations in the matcher.
+	 *
+	 * @readonly
+	 * @type {Number}
+	 */
+	get size() {
+		return this._order.size;
+	}
+
+	/**
+	 * Adds a transformation to the matcher.
+	 *
+	 * @param {module:typing/texttransformation~TextTransformationDescription} transformation
+	 */
+	add( transformation ) {
+		this._order.set( transformation, this._nextIndex++ );
+
+		if ( typeof transformation.from == 'string' ) {
+			this._getTrieNode( transformation.from, true ).transformations.push( transformation );
+		} else {
+			this._regExpTransformations.add( transformation );
+		}
+	}
+
+	/**
+	 * Removes a transformation from the matcher.
+	 *
+	 * @param {module:typing/texttransformation~TextTransformationDescription} transformation
+	 */
+	remove( transformation ) {
+		this._order.delete( transformation );
+
+		if ( typeof transformation.from == 'string' ) {
+			const node = this._getTrieNode( transformation.from, false );
+
+			if ( node ) {
+				node.transformations = node.transformations.filter( item => item !== transformation );
+			}
+		} else {
+			this._regExpTransformations.delete( transformation );
+		}
+	}
+
+	/**
+	 * Finds all transformations which match the end of the given text.
+	 *
+	 * Each returned item contains the `transformation` and its `matches` in the same format as
+	 * returned by `RegExp#exec()`. For a string pattern, the whole match is the only capturing group.
+	 * The items are sorted in the order of precedence: by the priority of the transformation, then by the length of the whole
+	 * match (the longest first) and then by the order in which the transformations were added.
+	 *
+	 * @param {String} text
+	 * @returns {Array.<Object>}
+	 */
+	match( text ) {
+		const results = [];
+
+		let node = this._trie;
+		let index = text.length;
+
+		while ( node ) {
+			for ( const transformation of node.transformations ) {
+				results.push( { transformation, matches: createStringMatches( text, index ) } );
+			}
+
+			index--;
+			node = index >= 0 ? node.children.get( text[ index ] ) : null;
+		}
+
+		for ( const transformation of this._regExpTransformations ) {
+			const matches = transformation.from.exec( text );
+
+			if ( matches ) {
+				results.push( { transformation, matches } );
+			}
+		}
+
+		return results.sort( ( a, b ) => {
+			return getPriority( b.transformation ) - getPriority( a.transformation ) ||
+				b.matches[ 0 ].length - a.matches[ 0 ].length ||
+				this._order.get( a.transformation ) - this._order.get( b.transformation );
+		} );
+	}
+
+	/**
+	 * Returns the trie node for the given string pattern.
+	 *
+	 * @private
+	 * @param {String} pattern
+	 * @param {Boolean} create Whether the missing nodes should be created.
+	 * @returns {Object|null}
+	 */
+	_getTrieNode( pattern, create ) {
+		let node = this._trie;
+
+		for ( let i = pattern.length - 1; i >= 0; i-- ) {
+			const character = pattern[ i ];
+
+			if ( !node.children.has( character ) ) {
+				if ( !create ) {
+					return null;
+				}
+
+				node.children.set( character, createTrieNode() );
+			}
+
+			node = node.children.get( character );
+		}
+
+		return node;
+	}
+}
+
+// Creates an empty trie node.
+//
+// @returns {Object}
+function createTrieNode() {
+	return {
+		children: new Map(),
+		transformations: []
+	};
+}
+
+// Returns the numeric priority of the transformation.
+//
+// @param {module:typing/texttransformation~TextTransformationDescription} transformation
+// @returns {Number}
+function getPriority( transformation ) {
+	return priorities.get( transformation.priority || 'normal' );
+}
+
+// Creates `RegExp#exec()`-like matches for a string pattern matched at the end of the text.
+//
+// @param {String} text
+// @param {Number} index The index at which the match starts.
+// @returns {Array.<String>}
+function createStringMatches( text, index ) {
+	const match = text.slice( index );
+	const matches = [ match, match ];
+
+	matches.index = index;
+	matches.input = text;
+
+	return matches;
+}
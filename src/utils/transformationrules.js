@@ -0,0 +1,131 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/utils/transformationrules
+ */
+
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+import { isPlainObject } from 'lodash-es';
+
+// The properties of the transformation which are kept in the rule.
+const RULE_PROPERTIES = [
+	'name', 'description', 'language', 'from', 'to', 'wordBoundary', 'caseSensitive', 'priority',
+	'allowIn', 'disallowIn', 'disallowAttributes', 'disallowInRoots'
+];
+
+/**
+ * Parses the {@link module:typing/texttransformation~TextTransformationRule text transformation rules} given as an array
+ * or as a JSON string into the {@link module:typing/texttransformation~TextTransformationDescription text transformations}.
+ *
+ * @param {Array.<module:typing/texttransformation~TextTransformationRule>|String} rules
+ * @param {Object|null} context The context of the errors, see {@link module:utils/ckeditorerror~CKEditorError}.
+ * @returns {Array.<module:typing/texttransformation~TextTransformationDescription>}
+ */
+export function parseTransformationRules( rules, context ) {
+	if ( typeof rules == 'string' ) {
+		try {
+			rules = JSON.parse( rules );
+		} catch ( error ) {
+			rules = null;
+		}
+	}
+
+	if ( !Array.isArray( rules ) ) {
+		/**
+		 * The text transformation rules must be an array of
+		 * {@link module:typing/texttransformation~TextTransformationRule rules} or a JSON string with such an array.
+		 *
+		 * @error text-transformation-invalid-rules
+		 */
+		throw new CKEditorError( 'text-transformation-invalid-rules: The text transformation rules must be an array.', context );
+	}
+
+	return rules.map( rule => parseTransformationRule( rule, context ) );
+}
+
+/**
+ * Turns the {@link module:typing/texttransformation~TextTransformationDescription text transformation} into
+ * the {@link module:typing/texttransformation~TextTransformationRule rule} which can be serialized to JSON. Returns `null`
+ * if the transformation cannot be serialized, e.g. its `to` value is a function.
+ *
+ * @param {module:typing/texttransformation~TextTransformationDescription} transformation
+ * @returns {module:typing/texttransformation~TextTransformationRule|null}
+ */
+export function serializeTransformation( transformation ) {
+	if ( !isSerializable( transformation.to ) ) {
+		return null;
+	}
+
+	const rule = {};
+
+	for ( const property of RULE_PROPERTIES ) {
+		if ( transformation[ property ] !== undefined ) {
+			rule[ property ] = transformation[ property ];
+		}
+	}
+
+	if ( rule.from instanceof RegExp ) {
+		rule.from = { pattern: rule.from.source, flags: rule.from.flags };
+	}
+
+	// The copy makes sure the rule does not share the arrays and the objects with the transformation.
+	return JSON.parse( JSON.stringify( rule ) );
+}
+
+// Parses a single rule. The `from` pattern object is turned into a RegExp.
+//
+// @param {module:typing/texttransformation~TextTransformationRule} rule
+// @param {Object|null} context
+// @returns {module:typing/texttransformation~TextTransformationDescription}
+function parseTransformationRule( rule, context ) {
+	const from = isPlainObject( rule ) ? parseFrom( rule.from ) : null;
+
+	if ( !from || !isSerializable( rule.to ) ) {
+		/**
+		 * The text transformation {@link module:typing/texttransformation~TextTransformationRule rule} is invalid. Its `from`
+		 * must be a string, an array of strings or an object with the valid RegExp `pattern` (and optional `flags`) string
+		 * and its `to` must be a string or an array.
+		 *
+		 * @error text-transformation-invalid-rule
+		 * @param {Object} rule The invalid rule.
+		 */
+		throw new CKEditorError( 'text-transformation-invalid-rule: The text transformation rule is invalid.', context, { rule } );
+	}
+
+	return Object.assign( {}, rule, { from } );
+}
+
+// Parses the `from` value of the rule. Returns `null` if it is invalid.
+//
+// @param {*} from
+// @returns {String|Array.<String>|RegExp|null}
+function parseFrom( from ) {
+	if ( isPlainObject( from ) && typeof from.pattern == 'string' ) {
+		try {
+			return new RegExp( from.pattern, from.flags );
+		} catch ( error ) {
+			return null;
+		}
+	}
+
+	if ( typeof from == 'string' || ( Array.isArray( from ) && from.length && from.every( item => typeof item == 'string' ) ) ) {
+		return from;
+	}
+
+	return null;
+}
+
+// Checks whether the `to` value can be serialized: it is a string or an array of strings, `null` values and descriptors.
+//
+// @param {*} to
+// @returns {Boolean}
+function isSerializable( to ) {
+	if ( Array.isArray( to ) ) {
+		return to.every( item => item === null || typeof item == 'string' || isPlainObject( item ) );
+	}
+
+	return typeof to == 'string';
+}
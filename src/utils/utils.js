@@ -83,3 +83,68 @@ export function compareChildNodes( oldChild, newChild ) {
 		return oldChild === newChild;
 	}
 }
+
+/**
+ * Replaces the content of the given range with the text. If the text is empty, the content of the range is only removed.
+ *
+ * @private
+ * @param {module:engine/model/writer~Writer} writer
+ * @param {module:engine/model/range~Range} range
+ * @param {String} text
+ * @param {Iterable.<*>} attributes The attributes of the inserted text.
+ */
+export function replaceText( writer, range, text, attributes ) {
+	if ( text ) {
+		writer.model.insertContent( writer.createText( text, attributes ), range );
+	} else if ( !range.isCollapsed ) {
+		writer.remove( range );
+	}
+}
+
+/**
+ * Returns the attributes of the replaced text changed by the given attributes. The attributes set to `null` are removed.
+ *
+ * @private
+ * @param {Iterable.<*>} attributes The attributes of the replaced text.
+ * @param {Object} [changedAttributes] The attributes to set.
+ * @returns {Map}
+ */
+export function mergeAttributes( attributes, changedAttributes = {} ) {
+	const result = new Map( attributes );
+
+	for ( const [ key, value ] of Object.entries( changedAttributes ) ) {
+		if ( value === null ) {
+			result.delete( key );
+		} else {
+			result.set( key, value );
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Returns the attributes of the text replaced in the given range. For an empty range, the attributes of the text before it are used.
+ *
+ * @private
+ * @param {module:engine/model/range~Range} range
+ * @returns {Iterable.<*>}
+ */
+export function getReplacedTextAttributes( range ) {
+	const position = range.start;
+	const textNode = position.textNode || ( range.isCollapsed ? position.nodeBefore : position.nodeAfter );
+
+	return textNode ? textNode.getAttributes() : [];
+}
+
+/**
+ * Returns the number of the capturing groups of the RegExp, including the nested ones.
+ *
+ * @private
+ * @param {RegExp} regExp
+ * @returns {Number}
+ */
+export function getGroupCount( regExp ) {
+	// All capturing groups appear in the result of matching an alternative which matches anything.
+	return new RegExp( `(?:${ regExp.source })|` ).exec( '' ).length - 1;
+}
@@ -0,0 +1,211 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * @module typing/utils/validatetransformation
+ */
+
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+import { getGroupCount } from './utils';
+
+/**
+ * Checks whether the {@link module:typing/texttransformation~TextTransformationDescription text transformation} can be applied
+ * safely and throws the {@link module:utils/ckeditorerror~CKEditorError} if it cannot. Such transformations would otherwise
+ * do nothing or replace the wrong parts of the text.
+ *
+ * The `from` RegExp must match the end of the text (end with `$`) and the whole match must be split into capturing groups
+ * which follow each other, so every matched character belongs to exactly one group. The `to` array must have a value
+ * for every group.
+ *
+ * @param {module:typing/texttransformation~TextTransformationDescription} transformation
+ * @param {Object|null} context The context of the error, see {@link module:utils/ckeditorerror~CKEditorError}.
+ */
+export default function validateTransformation( transformation, context ) {
+	const { from, to } = transformation;
+
+	if ( typeof from == 'string' ) {
+		validateTo( transformation, 1, context );
+
+		return;
+	}
+
+	if ( !( from instanceof RegExp ) || !isAnchored( from.source ) ) {
+		/**
+		 * The `from` pattern of the text transformation must be a string or a RegExp which matches the end of the text,
+		 * i.e. ends with `$`. Otherwise, the text typed long before would be transformed. For instance, use `/(foo)$/`
+		 * instead of `/(foo)/`.
+		 *
+		 * @error text-transformation-unanchored-pattern
+		 * @param {String} from The invalid pattern.
+		 */
+		throw new CKEditorError(
+			'text-transformation-unanchored-pattern: The RegExp pattern of the text transformation must end with "$".',
+			context,
+			{ from: String( from ) }
+		);
+	}
+
+	const groups = getGroups( from );
+
+	if ( !groups.areCoveringMatch ) {
+		/**
+		 * Every character matched by the `from` RegExp of the text transformation must belong to exactly one capturing group,
+		 * so the transformation knows which part of the text is replaced with which value from `to`. The groups must follow
+		 * each other and cannot be nested (use the non-capturing `(?:)` groups inside). For instance, use `/( )(--)( )$/`
+		 * instead of `/ (--) $/`.
+		 *
+		 * @error text-transformation-groups-not-covering-match
+		 * @param {String} from The invalid pattern.
+		 */
+		throw new CKEditorError(
+			'text-transformation-groups-not-covering-match: The capturing groups of the text transformation must cover ' +
+			'the whole match.',
+			context,
+			{ from: String( from ) }
+		);
+	}
+
+	if ( typeof to == 'string' && groups.count != 1 ) {
+		/**
+		 * The text transformation with a string `to` replaces only the first capturing group of the `from` RegExp,
+		 * so it can be used only with the RegExp which has one group. Use the `to` array with a value (or `null` to keep
+		 * the text) for every group or a template referring to the groups instead. For instance, use
+		 * `{ from: /(\d)(x)$/, to: [ null, '×' ] }` or `{ from: /(\d)(x)$/, to: '$1×' }` instead of `{ from: /(\d)(x)$/, to: '×' }`.
+		 *
+		 * @error text-transformation-string-to-with-regexp-from
+		 * @param {String} from The pattern of the transformation.
+		 * @param {String} to The replacement of the transformation.
+		 */
+		throw new CKEditorError(
+			'text-transformation-string-to-with-regexp-from: The string replacement of the text transformation can be used ' +
+			'only with the RegExp pattern with one capturing group.',
+			context,
+			{ from: String( from ), to }
+		);
+	}
+
+	validateTo( transformation, groups.count, context );
+}
+
+// Checks whether the `to` array of the transformation has a value for every capturing group.
+//
+// @param {module:typing/texttransformation~TextTransformationDescription} transformation
+// @param {Number} groupCount
+// @param {Object|null} context
+function validateTo( { from, to }, groupCount, context ) {
+	if ( !Array.isArray( to ) || to.length == groupCount ) {
+		return;
+	}
+
+	/**
+	 * The `to` array of the text transformation must have one value (or `null` to keep the text) for every capturing group
+	 * of the `from` pattern. The string pattern has one group. For instance, use `{ from: /(\d)(x)( ?\d)$/, to: [ null, '×', null ] }`
+	 * instead of `{ from: /(\d)(x)( ?\d)$/, to: [ '×' ] }`.
+	 *
+	 * @error text-transformation-to-length-mismatch
+	 * @param {String} from The pattern of the transformation.
+	 * @param {Number} groups The number of the capturing groups of the pattern.
+	 * @param {Number} length The length of the `to` array.
+	 */
+	throw new CKEditorError(
+		'text-transformation-to-length-mismatch: The length of the text transformation "to" array must be equal to the number ' +
+		'of the capturing groups.',
+		context,
+		{ from: String( from ), groups: groupCount, length: to.length }
+	);
+}
+
+// Checks whether the RegExp source ends with the `$` anchor (not with the escaped `\$` character).
+//
+// @param {String} source
+// @returns {Boolean}
+function isAnchored( source ) {
+	const backslashes = source.slice( 0, -1 ).match( /\\*$/ )[ 0 ].length;
+
+	return source.endsWith( '$' ) && backslashes % 2 == 0;
+}
+
+// Returns the number of the capturing groups of the RegExp and checks whether they cover the whole match: nothing but
+// the capturing groups (optionally followed by `?`), the `^` and `$` anchors and the zero-width assertions is allowed
+// outside of the capturing groups, and the capturing groups are not nested. The non-capturing groups (e.g. the optional
+// `(?:(foo)(bar))?`) are checked the same way as the whole pattern.
+//
+// @param {RegExp} regExp
+// @returns {Object} The `count` of the groups and whether they are `areCoveringMatch`.
+function getGroups( regExp ) {
+	const source = regExp.source;
+	const count = getGroupCount( regExp );
+
+	// The types of the groups which contain the current character: `true` for the non-capturing groups whose content is checked.
+	const openGroups = [];
+
+	let topLevelCount = 0;
+	let areCoveringMatch = true;
+	let isInCharacterClass = false;
+
+	for ( let i = 0; i < source.length; i++ ) {
+		const character = source[ i ];
+		const isChecked = openGroups.every( isTransparent => isTransparent );
+
+		if ( character == '\\' ) {
+			// Only the word boundary assertions do not match any characters.
+			if ( isChecked && !'bB'.includes( source[ i + 1 ] ) ) {
+				areCoveringMatch = false;
+			}
+
+			i++;
+		} else if ( isInCharacterClass ) {
+			isInCharacterClass = character != ']';
+		} else if ( character == '[' ) {
+			isInCharacterClass = true;
+			areCoveringMatch = areCoveringMatch && !isChecked;
+		} else if ( character == '(' ) {
+			const isTransparent = source.startsWith( '(?:', i );
+
+			if ( isChecked && isCapturingGroup( source, i ) ) {
+				topLevelCount++;
+			}
+
+			openGroups.push( isTransparent );
+
+			// Skip the `?:` of the non-capturing group.
+			if ( isTransparent ) {
+				i += 2;
+			}
+		} else if ( character == ')' ) {
+			openGroups.pop();
+		} else if ( isChecked && !isAllowedAtTopLevel( source, i ) ) {
+			areCoveringMatch = false;
+		}
+	}
+
+	return {
+		count,
+		areCoveringMatch: areCoveringMatch && count == topLevelCount
+	};
+}
+
+// Checks whether the group starting at given index of the RegExp source is a capturing one (including the named groups).
+//
+// @param {String} source
+// @param {Number} index
+// @returns {Boolean}
+function isCapturingGroup( source, index ) {
+	return source[ index + 1 ] != '?' || ( source[ index + 2 ] == '<' && !'=!'.includes( source[ index + 3 ] ) );
+}
+
+// Checks whether the character at given index of the RegExp source may appear outside of the groups: the `^` anchor
+// at the beginning, the `$` anchor at the end and `?` making the preceding group optional.
+//
+// @param {String} source
+// @param {Number} index
+// @returns {Boolean}
+function isAllowedAtTopLevel( source, index ) {
+	const character = source[ index ];
+
+	return ( character == '^' && index == 0 ) ||
+		( character == '$' && index == source.length - 1 ) ||
+		( character == '?' && source[ index - 1 ] == ')' );
+}
@@ -0,0 +1,31 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/**
+ * Applies the text transformation to the end of the text the same way as the text transformation feature does.
+ *
+ * @param {module:typing/texttransformation~TextTransformationDescription} transformation The transformation in the basic form.
+ * @param {String} text
+ * @param {String} [language='en'] The content language passed to the `to` function.
+ * @returns {String|null} The transformed text or `null` if nothing is replaced.
+ */
+export default function transform( transformation, text, language = 'en' ) {
+	const matches = transformation.from.exec( text );
+
+	if ( !matches ) {
+		return null;
+	}
+
+	const to = typeof transformation.to == 'function' ? transformation.to : () => transformation.to;
+	const replaces = to( matches.slice( 1 ), { language } );
+
+	if ( !replaces ) {
+		return null;
+	}
+
+	return text.slice( 0, matches.index ) + matches.slice( 1 ).map( ( match, index ) => {
+		return replaces[ index ] == null ? match : replaces[ index ];
+	} ).join( '' );
+}
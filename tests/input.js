@@ -12,12 +12,14 @@ import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
 import Italic from '@ckeditor/ckeditor5-basic-styles/src/italic';
 import ShiftEnter from '@ckeditor/ckeditor5-enter/src/shiftenter';
 import Input from '../src/input';
+import NonBreakingSpaceCommand from '../src/nonbreakingspacecommand';
 
 import Writer from '@ckeditor/ckeditor5-engine/src/model/writer';
 
 import ViewText from '@ckeditor/ckeditor5-engine/src/view/text';
 import ViewElement from '@ckeditor/ckeditor5-engine/src/view/element';
 import ViewContainerElement from '@ckeditor/ckeditor5-engine/src/view/containerelement';
+import DomEventData from '@ckeditor/ckeditor5-engine/src/view/observer/domeventdata';
 
 import EmitterMixin from '@ckeditor/ckeditor5-utils/src/emittermixin';
 import { getCode } from '@ckeditor/ckeditor5-utils/src/keyboard';
@@ -465,6 +467,117 @@ describe( 'Input feature', () => {
 			expect( getViewData( view ) ).to.equal( '<p>foobar   baz{}</p>' );
 		} );
 
+		it( 'should keep &nbsp; typed on purpose', () => {
+			model.change( writer => {
+				writer.setSelection( modelRoot.getChild( 0 ), 6 );
+			} );
+
+			viewDocument.fire( 'keydown', { keyCode: getCode( 'space' ), domEvent: { key: '\u00A0' } } );
+			viewDocument.fire( 'mutations', [
+				{
+					type: 'text',
+					oldText: 'foobar',
+					newText: 'foobar\u00A0',
+					node: viewRoot.getChild( 0 ).getChild( 0 )
+				}
+			] );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foobar\u00A0[]</paragraph>' );
+		} );
+
+		it( 'should keep only the last &nbsp; typed on purpose', () => {
+			model.change( writer => {
+				writer.setSelection( modelRoot.getChild( 0 ), 3 );
+			} );
+
+			viewDocument.fire( 'keydown', { keyCode: getCode( 'space' ), domEvent: { key: '\u00A0' } } );
+			viewDocument.fire( 'mutations', [
+				{
+					type: 'text',
+					oldText: 'foobar',
+					newText: 'foo\u00A0\u00A0bar',
+					node: viewRoot.getChild( 0 ).getChild( 0 )
+				}
+			] );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo \u00A0[]bar</paragraph>' );
+		} );
+
+		it( 'should keep &nbsp; typed on purpose in the inserted text node', () => {
+			editor.setData( '<p></p>' );
+
+			const viewP = viewRoot.getChild( 0 );
+
+			viewDocument.fire( 'keydown', { keyCode: getCode( 'space' ), domEvent: { key: '\u00A0' } } );
+			viewDocument.fire( 'mutations', [
+				{
+					type: 'children',
+					oldChildren: [],
+					newChildren: [ new ViewText( '\u00A0' ) ],
+					node: viewP
+				}
+			] );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>\u00A0[]</paragraph>' );
+		} );
+
+		it( 'should keep &nbsp; typed on purpose in the container children mutations', () => {
+			editor.setData( '<p>foo<strong>bar</strong></p>' );
+
+			const viewP = viewRoot.getChild( 0 );
+
+			viewDocument.fire( 'keydown', { keyCode: getCode( 'space' ), domEvent: { key: '\u00A0' } } );
+			viewDocument.fire( 'mutations', [
+				{
+					type: 'children',
+					oldChildren: [ ...viewP.getChildren() ],
+					newChildren: [ new ViewText( 'foo\u00A0' ), viewP.getChild( 1 ) ],
+					node: viewP
+				}
+			] );
+
+			expect( getModelData( model, { withoutSelection: true } ) )
+				.to.equal( '<paragraph>foo\u00A0<$text bold="true">bar</$text></paragraph>' );
+		} );
+
+		it( 'should replace &nbsp; with space if it was not typed on purpose', () => {
+			model.change( writer => {
+				writer.setSelection( modelRoot.getChild( 0 ), 6 );
+			} );
+
+			viewDocument.fire( 'keydown', { keyCode: getCode( 'space' ), domEvent: { key: '\u00A0' } } );
+			viewDocument.fire( 'keydown', { keyCode: getCode( 'space' ), domEvent: { key: ' ' } } );
+			viewDocument.fire( 'mutations', [
+				{
+					type: 'text',
+					oldText: 'foobar',
+					newText: 'foobar\u00A0',
+					node: viewRoot.getChild( 0 ).getChild( 0 )
+				}
+			] );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foobar []</paragraph>' );
+		} );
+
+		it( 'should replace &nbsp; typed on purpose with space in the next mutations', () => {
+			model.change( writer => {
+				writer.setSelection( modelRoot.getChild( 0 ), 6 );
+			} );
+
+			viewDocument.fire( 'keydown', { keyCode: getCode( 'space' ), domEvent: { key: '\u00A0' } } );
+			viewDocument.fire( 'mutations', [] );
+			viewDocument.fire( 'mutations', [
+				{
+					type: 'text',
+					oldText: 'foobar',
+					newText: 'foobar\u00A0',
+					node: viewRoot.getChild( 0 ).getChild( 0 )
+				}
+			] );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foobar []</paragraph>' );
+		} );
+
 		// ckeditor5#718.
 		it( 'should not crash and prevent all changes if view common ancestor of mutations cannot be mapped to model', () => {
 			editor.setData( '<p>Foo</p><ul><li>Bar</li><li>Baz</li></ul>' );
@@ -699,6 +812,127 @@ describe( 'Input feature', () => {
 		} );
 	} );
 
+	describe( 'config.typing.keepNonBreakingSpaces', () => {
+		it( 'should replace &nbsp; typed on purpose with space when set to false', () => {
+			const domElement = document.createElement( 'div' );
+			document.body.appendChild( domElement );
+
+			return ClassicTestEditor
+				.create( domElement, {
+					plugins: [ Input, Paragraph ],
+					typing: { keepNonBreakingSpaces: false }
+				} )
+				.then( newEditor => {
+					const viewRoot = newEditor.editing.view.document.getRoot();
+
+					newEditor.setData( '<p>foobar</p>' );
+
+					newEditor.model.change( writer => {
+						writer.setSelection( newEditor.model.document.getRoot().getChild( 0 ), 6 );
+					} );
+
+					newEditor.editing.view.document.fire( 'keydown', { keyCode: getCode( 'space' ), domEvent: { key: '\u00A0' } } );
+					newEditor.editing.view.document.fire( 'mutations', [
+						{
+							type: 'text',
+							oldText: 'foobar',
+							newText: 'foobar\u00A0',
+							node: viewRoot.getChild( 0 ).getChild( 0 )
+						}
+					] );
+
+					expect( getModelData( newEditor.model ) ).to.equal( '<paragraph>foobar []</paragraph>' );
+
+					domElement.remove();
+
+					return newEditor.destroy();
+				} );
+		} );
+	} );
+
+	describe( 'non-breaking space', () => {
+		it( 'should register the nonBreakingSpace command', () => {
+			expect( editor.commands.get( 'nonBreakingSpace' ) ).to.be.instanceOf( NonBreakingSpaceCommand );
+		} );
+
+		it( 'should insert the no-break space on the keystroke and prevent the browser from inserting its own space', () => {
+			const domEvent = getNbspDomEvent();
+
+			viewDocument.fire( 'keydown', getNbspKeyEventData( domEvent ) );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo\u00A0[]bar</paragraph>' );
+			expect( domEvent.defaultPrevented ).to.be.true;
+		} );
+
+		it( 'should not keep the &nbsp; from the following mutations as typed on purpose', () => {
+			viewDocument.fire( 'keydown', getNbspKeyEventData( getNbspDomEvent() ) );
+
+			viewDocument.fire( 'mutations', [
+				{
+					type: 'text',
+					oldText: 'foo\u00A0bar',
+					newText: 'foo\u00A0bar\u00A0',
+					node: viewRoot.getChild( 0 ).getChild( 0 )
+				}
+			] );
+
+			expect( getModelData( model ) ).to.equal( '<paragraph>foo\u00A0bar []</paragraph>' );
+		} );
+
+		it( 'should insert exactly one no-break space on Option+Space on macOS', () => {
+			testUtils.sinon.stub( env, 'isMac' ).value( true );
+
+			const domElement = document.createElement( 'div' );
+			document.body.appendChild( domElement );
+
+			return ClassicTestEditor.create( domElement, { plugins: [ Input, Paragraph ] } )
+				.then( newEditor => {
+					const viewDocument = newEditor.editing.view.document;
+					const domEvent = getNbspDomEvent();
+
+					newEditor.setData( '<p>foobar</p>' );
+
+					newEditor.model.change( writer => {
+						writer.setSelection( newEditor.model.document.getRoot().getChild( 0 ), 3 );
+					} );
+
+					viewDocument.fire( 'keydown', new DomEventData( viewDocument, domEvent, {
+						keyCode: getCode( 'space' ),
+						altKey: true
+					} ) );
+
+					const modelData = getModelData( newEditor.model );
+
+					expect( modelData ).to.equal( '<paragraph>foo\u00A0[]bar</paragraph>' );
+					expect( modelData.match( /\u00A0/g ) ).to.have.length( 1 );
+					expect( domEvent.defaultPrevented ).to.be.true;
+
+					domElement.remove();
+
+					return newEditor.destroy();
+				} );
+		} );
+
+		function getNbspDomEvent() {
+			return {
+				key: '\u00A0',
+				preventDefault() {
+					this.defaultPrevented = true;
+				},
+				stopPropagation() {}
+			};
+		}
+
+		function getNbspKeyEventData( domEvent ) {
+			return new DomEventData( viewDocument, domEvent, {
+				keyCode: getCode( 'space' ),
+				altKey: env.isMac,
+				ctrlKey: !env.isMac,
+				shiftKey: !env.isMac
+			} );
+		}
+	} );
+
 	describe( 'keystroke handling', () => {
 		it( 'should remove contents', () => {
 			model.change( writer => {
@@ -0,0 +1,116 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* global console, window, performance */
+
+import global from '@ckeditor/ckeditor5-utils/src/dom/global';
+
+import ClassicEditor from '@ckeditor/ckeditor5-editor-classic/src/classiceditor';
+import ArticlePluginSet from '@ckeditor/ckeditor5-core/tests/_utils/articlepluginset';
+import TextTransformation from '../../src/texttransformation';
+import { setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+
+const RULE_COUNTS = [ 10, 100, 1000, 10000 ];
+const REGEXP_RULE_COUNTS = [ 10, 100 ];
+const TYPED_TEXT = 'The quick brown fox jumps over the lazy dog. ';
+const PARAGRAPH_LENGTH = 5000;
+
+ClassicEditor
+	.create( global.document.querySelector( '#editor' ), {
+		plugins: [ ArticlePluginSet, TextTransformation ],
+		toolbar: [
+			'heading',
+			'|', 'bulletedList', 'numberedList', 'blockQuote',
+			'|', 'bold', 'italic', 'link',
+			'|', 'undo', 'redo'
+		]
+	} )
+	.then( editor => {
+		window.editor = editor;
+
+		global.document.querySelector( '#run-benchmark' ).addEventListener( 'click', () => runBenchmark( editor ) );
+	} )
+	.catch( err => {
+		console.error( err.stack );
+	} );
+
+function runBenchmark( editor ) {
+	const output = global.document.querySelector( '#benchmark-results' );
+	const results = [];
+
+	for ( const count of RULE_COUNTS ) {
+		const keystrokeTime = measureTyping( editor, count, i => ( { from: `:word${ i }:`, to: `Word ${ i }` } ) );
+
+		results.push( `${ count } transformations: ${ keystrokeTime.toFixed( 3 ) } ms per keystroke` );
+	}
+
+	for ( const count of REGEXP_RULE_COUNTS ) {
+		const createRule = i => ( { from: new RegExp( `(^|\\s)(w${ i }[a-z]*)([.,!?])$` ), to: [ null, `Word ${ i }`, null ] } );
+		const keystrokeTime = measureTyping( editor, count, createRule );
+		const commandTime = measureCommand( editor, count, createRule );
+
+		results.push( `${ count } RegExp transformations: ${ keystrokeTime.toFixed( 3 ) } ms per keystroke, ` +
+			`${ commandTime.toFixed( 1 ) } ms to transform the paragraph` );
+	}
+
+	setData( editor.model, '<paragraph>Typing is measured at the end of this paragraph.[]</paragraph>' );
+
+	output.textContent = results.join( '\n' );
+	console.log( results.join( '\n' ) );
+}
+
+// Returns the average time of a keystroke at the end of a long paragraph with given number of additional transformations.
+function measureTyping( editor, count, createRule ) {
+	return withTransformations( editor, count, createRule, () => {
+		setData( editor.model, `<paragraph>${ createLongText() }[]</paragraph>` );
+
+		const start = performance.now();
+
+		for ( const letter of TYPED_TEXT ) {
+			editor.execute( 'input', { text: letter } );
+		}
+
+		return ( performance.now() - start ) / TYPED_TEXT.length;
+	} );
+}
+
+// Returns the time of transforming a long paragraph with the 'transformText' command with given number
+// of additional transformations.
+function measureCommand( editor, count, createRule ) {
+	return withTransformations( editor, count, createRule, () => {
+		setData( editor.model, `<paragraph>[]${ createLongText() }"${ TYPED_TEXT }" (c) -- w1 w2, </paragraph>` );
+
+		const start = performance.now();
+
+		editor.execute( 'transformText' );
+
+		return performance.now() - start;
+	} );
+}
+
+// Adds given number of transformations, calls the callback and removes the transformations.
+function withTransformations( editor, count, createRule, callback ) {
+	const textTransformation = editor.plugins.get( 'TextTransformation' );
+	const names = [];
+
+	for ( let i = 0; i < count; i++ ) {
+		const name = `benchmark${ i }`;
+
+		textTransformation.add( name, createRule( i ) );
+		names.push( name );
+	}
+
+	const result = callback();
+
+	for ( const name of names ) {
+		textTransformation.remove( name );
+	}
+
+	return result;
+}
+
+function createLongText() {
+	return 'Lorem ipsum dolor sit amet. '.repeat( PARAGRAPH_LENGTH / 28 );
+}
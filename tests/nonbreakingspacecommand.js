@@ -0,0 +1,89 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import ModelTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/modeltesteditor';
+import { getData, setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+import InputCommand from '../src/inputcommand';
+import NonBreakingSpaceCommand from '../src/nonbreakingspacecommand';
+
+describe( 'NonBreakingSpaceCommand', () => {
+	let editor, model, inputCommand, command;
+
+	beforeEach( () => {
+		return ModelTestEditor.create()
+			.then( newEditor => {
+				editor = newEditor;
+				model = editor.model;
+
+				inputCommand = new InputCommand( editor, 20 );
+				command = new NonBreakingSpaceCommand( editor );
+
+				editor.commands.add( 'input', inputCommand );
+				editor.commands.add( 'nonBreakingSpace', command );
+
+				model.schema.register( 'p', { inheritAllFrom: '$block' } );
+				model.schema.register( 'img', { allowWhere: '$block', isObject: true } );
+			} );
+	} );
+
+	afterEach( () => {
+		return editor.destroy();
+	} );
+
+	describe( 'isEnabled', () => {
+		it( 'should be true when the text is allowed at the selection', () => {
+			setData( model, '<p>foo[]</p>' );
+
+			expect( command.isEnabled ).to.be.true;
+		} );
+
+		it( 'should be false when the text is not allowed at the selection', () => {
+			setData( model, '[<img></img>]' );
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+
+		it( 'should be false when the input command is disabled', () => {
+			setData( model, '<p>foo[]</p>' );
+
+			inputCommand.isEnabled = false;
+			command.refresh();
+
+			expect( command.isEnabled ).to.be.false;
+		} );
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should insert the no-break space at the selection', () => {
+			setData( model, '<p>foo[]bar</p>' );
+
+			editor.execute( 'nonBreakingSpace' );
+
+			expect( getData( model ) ).to.equal( '<p>foo []bar</p>' );
+		} );
+
+		it( 'should replace the selected content', () => {
+			setData( model, '<p>fo[ob]ar</p>' );
+
+			editor.execute( 'nonBreakingSpace' );
+
+			expect( getData( model ) ).to.equal( '<p>fo []ar</p>' );
+		} );
+
+		it( 'should use the input command change buffer', () => {
+			setData( model, '<p>foo[]</p>' );
+
+			editor.execute( 'input', { text: 'bar' } );
+
+			const batch = inputCommand.buffer.batch;
+
+			editor.execute( 'nonBreakingSpace' );
+
+			expect( inputCommand.buffer.batch ).to.equal( batch );
+			expect( inputCommand.buffer.size ).to.equal( 4 );
+			expect( getData( model ) ).to.equal( '<p>foobar []</p>' );
+		} );
+	} );
+} );
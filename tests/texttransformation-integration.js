@@ -86,5 +86,23 @@ describe( 'Text transformation feature - integration', () => {
 			editor.execute( 'redo' );
 			expect( editor.getData() ).to.equal( '<p>foo bar baz©</p>' );
 		} );
+
+		it( 'should undo reverting the text transformation with Backspace', () => {
+			editor.setData( '<p>foo</p>' );
+
+			model.enqueueChange( model.createBatch(), writer => {
+				writer.setSelection( doc.getRoot().getChild( 0 ), 'end' );
+				writer.insertText( '(c', doc.selection.focus );
+			} );
+
+			editor.execute( 'input', { text: ')' } );
+			editor.execute( 'delete' );
+
+			expect( editor.getData(), 'after revert' ).to.equal( '<p>foo(c)</p>' );
+
+			editor.execute( 'undo' );
+
+			expect( editor.getData(), 'after undo' ).to.equal( '<p>foo©</p>' );
+		} );
 	} );
 } );
@@ -4,13 +4,20 @@
  */
 
 import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor';
+import testUtils from '@ckeditor/ckeditor5-core/tests/_utils/utils';
 import global from '@ckeditor/ckeditor5-utils/src/dom/global';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+import log from '@ckeditor/ckeditor5-utils/src/log';
 
 import Typing from '../src/typing';
 import TextTransformation from '../src/texttransformation';
+import TextWatcher from '../src/textwatcher';
+import validateTransformation from '../src/utils/validatetransformation';
 import { getData, setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
 import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
 import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import Code from '@ckeditor/ckeditor5-basic-styles/src/code';
+import UndoEditing from '@ckeditor/ckeditor5-undo/src/undoediting';
 
 describe( 'Text transformation feature', () => {
 	let editorElement, editor, model, doc;
@@ -84,7 +91,7 @@ describe( 'Text transformation feature', () => {
 		} );
 
 		describe( 'mathematical', () => {
-			testTransformation( '1/2', '½' );
+			testTransformation( '1/2 ', '½ ', 'A ' );
 			testTransformation( '<=', '≤' );
 		} );
 
@@ -96,26 +103,88 @@ describe( 'Text transformation feature', () => {
 			testTransformation( '--- ', '— ', '' );
 		} );
 
+		describe( 'apostrophes', () => {
+			testTransformation( ' don\'t', ' don’t' );
+			testTransformation( ' the boss\' car', ' the boss’ car' );
+			testTransformation( ' \'I don\'t know\'', ' ‘I don’t know’' );
+			testTransformation( ' \'I don\'t know, won\'t I?\'', ' ‘I don’t know, won’t I?’' );
+			testTransformation( ' "I don\'t know"', ' “I don’t know”' );
+			testTransformation( ' \'the boss\' ', ' ‘the boss’ ' );
+		} );
+
 		describe( 'quotations', () => {
 			describe( 'english US', () => {
 				describe( 'primary', () => {
 					testTransformation( ' "Foo 1992 — bar(1) baz: xyz."', ' “Foo 1992 — bar(1) baz: xyz.”' );
-					testTransformation( '\' foo "bar"', '\' foo “bar”' );
-					testTransformation( 'Foo "Bar bar\'s it\'s a baz"', 'Foo “Bar bar\'s it\'s a baz”' );
+					testTransformation( '\' foo "bar"', '’ foo “bar”' );
+					testTransformation( 'Foo "Bar bar\'s it\'s a baz"', 'Foo “Bar bar’s it’s a baz”' );
 					testTransformation( ' ""', ' “”' );
 				} );
 
 				describe( 'secondary', () => {
 					testTransformation( ' \'Foo 1992 — bar(1) baz: xyz.\'', ' ‘Foo 1992 — bar(1) baz: xyz.’' );
-					testTransformation( '" foo \'bar\'', '" foo ‘bar’' );
+					testTransformation( '" foo \'bar\'', '” foo ‘bar’' );
 					testTransformation( ' \'\'', ' ‘’' );
 				} );
 			} );
+
+			it( 'should transform the opening quotation mark as soon as it is typed', () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '"Bar' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo “Bar</paragraph>' );
+			} );
+
+			it( 'should transform the quotation marks after an opening bracket', () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '("Bar") [\'baz\']' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo (“Bar”) [‘baz’]</paragraph>' );
+			} );
+
+			it( 'should nest the quotations', () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '"He said "hi" and \'bye\'." "\'Foo\' bar"' );
+
+				expect( getData( model, { withoutSelection: true } ) )
+					.to.equal( '<paragraph>“He said ‘hi’ and ‘bye’.” “‘Foo’ bar”</paragraph>' );
+			} );
+
+			it( 'should transform the quotations spanning many paragraphs', () => {
+				setData( model, '<paragraph>“Foo bar.</paragraph><paragraph>[]</paragraph>' );
+
+				simulateTyping( '"Baz."' );
+
+				expect( getData( model, { withoutSelection: true } ) )
+					.to.equal( '<paragraph>“Foo bar.</paragraph><paragraph>“Baz.”</paragraph>' );
+			} );
+
+			it( 'should open the quotation typed after a symbol when no quotation is open', () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'x = "a"+"b"' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>x = “a”+“b”</paragraph>' );
+			} );
+
+			it( 'should keep the quotation open after an apostrophe in the content in German', () => {
+				return createEditorInstance( { language: 'de' } ).then( () => {
+					setData( model, '<paragraph>[]</paragraph>' );
+
+					simulateTyping( '"Er sagt \'I don\'t know\'."' );
+
+					expect( getData( model, { withoutSelection: true } ) )
+						.to.equal( '<paragraph>„Er sagt ‚I don’t know‘.“</paragraph>' );
+				} );
+			} );
 		} );
 
 		// https://github.com/ckeditor/ckeditor5-typing/issues/203.
 		it( 'should replace only the parts of content which changed', () => {
-			setData( model, '<paragraph>Foo "<$text bold="true">Bar</$text>[]</paragraph>' );
+			setData( model, '<paragraph>Foo “<$text bold="true">Bar</$text>[]</paragraph>' );
 
 			simulateTyping( '"' );
 
@@ -124,7 +193,7 @@ describe( 'Text transformation feature', () => {
 		} );
 
 		it( 'should keep styles of the replaced text #1', () => {
-			setData( model, '<paragraph>Foo <$text bold="true">"</$text>Bar[]</paragraph>' );
+			setData( model, '<paragraph>Foo <$text bold="true">“</$text>Bar[]</paragraph>' );
 
 			model.change( writer => {
 				writer.setSelectionAttribute( { bold: true } );
@@ -137,222 +206,2455 @@ describe( 'Text transformation feature', () => {
 		} );
 
 		it( 'should keep styles of the replaced text #2', () => {
-			setData( model, '<paragraph>F<$text bold="true">oo "B</$text>ar[]</paragraph>' );
+			setData( model, '<paragraph>F<$text bold="true">oo “B</$text>ar[]</paragraph>' );
 
 			simulateTyping( '"' );
 
 			expect( getData( model, { withoutSelection: true } ) )
 				.to.equal( '<paragraph>F<$text bold="true">oo “B</$text>ar”</paragraph>' );
 		} );
+	} );
+
+	describe( 'quotations in other languages', () => {
+		describe( 'english UK', () => {
+			beforeEach( () => createEditorInstance( { language: 'en-gb' } ) );
+
+			testTransformation( ' \'Foo bar\'', ' ‘Foo bar’' );
+			testTransformation( ' "Foo bar"', ' “Foo bar”' );
+		} );
+
+		describe( 'polish', () => {
+			beforeEach( () => createEditorInstance( { language: 'pl' } ) );
 
-		function testTransformation( transformFrom, transformTo, textInParagraph = 'A foo' ) {
-			it( `should transform "${ transformFrom }" to "${ transformTo }"`, () => {
-				setData( model, `<paragraph>${ textInParagraph }[]</paragraph>` );
+			testTransformation( ' "Foo bar"', ' „Foo bar”' );
+			testTransformation( ' \'Foo bar\'', ' ‚Foo bar’' );
+		} );
 
-				simulateTyping( transformFrom );
+		describe( 'german', () => {
+			beforeEach( () => createEditorInstance( { language: 'de' } ) );
 
-				expect( getData( model, { withoutSelection: true } ) )
-					.to.equal( `<paragraph>${ textInParagraph }${ transformTo }</paragraph>` );
-			} );
+			testTransformation( ' "Foo bar"', ' „Foo bar“' );
+			testTransformation( ' \'Foo bar\'', ' ‚Foo bar‘' );
+		} );
+
+		describe( 'french', () => {
+			beforeEach( () => createEditorInstance( { language: 'fr' } ) );
+
+			testTransformation( ' "Foo bar"', ' «\u202fFoo bar\u202f»' );
+			testTransformation( ' \'Foo bar\'', ' “Foo bar”' );
+		} );
+
+		describe( 'swiss', () => {
+			beforeEach( () => createEditorInstance( { language: 'de-CH' } ) );
+
+			testTransformation( ' "Foo bar"', ' «Foo bar»' );
+			testTransformation( ' \'Foo bar\'', ' ‹Foo bar›' );
+		} );
+
+		describe( 'swiss french', () => {
+			beforeEach( () => createEditorInstance( { language: 'fr-CH' } ) );
+
+			testTransformation( ' "Foo bar"', ' «Foo bar»' );
+		} );
+
+		describe( 'czech', () => {
+			beforeEach( () => createEditorInstance( { language: 'cs' } ) );
+
+			testTransformation( ' "Foo bar"', ' „Foo bar“' );
+			testTransformation( ' \'Foo bar\'', ' ‚Foo bar‘' );
+		} );
+
+		describe( 'russian', () => {
+			beforeEach( () => createEditorInstance( { language: 'ru' } ) );
+
+			testTransformation( ' "Foo bar"', ' «Foo bar»' );
+			testTransformation( ' \'Foo bar\'', ' „Foo bar“' );
+		} );
+
+		describe( 'swedish', () => {
+			beforeEach( () => createEditorInstance( { language: 'sv' } ) );
 
-			it( `should not transform "${ transformFrom }" to "${ transformTo }" inside text`, () => {
+			testTransformation( ' "Foo bar"', ' ”Foo bar”' );
+			testTransformation( ' \'Foo bar\'', ' ’Foo bar’' );
+		} );
+
+		describe( 'japanese', () => {
+			beforeEach( () => createEditorInstance( { language: 'ja' } ) );
+
+			testTransformation( ' "Foo bar"', ' 「Foo bar」' );
+			testTransformation( ' \'Foo bar\'', ' 『Foo bar』' );
+
+			it( 'should transform the quotes in the middle of a sentence', () => {
 				setData( model, '<paragraph>[]</paragraph>' );
 
-				// Insert text - should not be transformed.
-				model.enqueueChange( model.createBatch(), writer => {
-					writer.insertText( `${ textInParagraph }${ transformFrom } bar`, doc.selection.focus );
-				} );
+				simulateTyping( '彼は"こんにちは"と言った。' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>彼は「こんにちは」と言った。</paragraph>' );
+			} );
+		} );
 
-				// Enforce text watcher check after insertion.
-				model.enqueueChange( model.createBatch(), writer => {
-					writer.insertText( ' ', doc.selection.focus );
+		describe( 'groups', () => {
+			it( 'should allow using the quotes of a language regardless of the content language', () => {
+				return createEditorInstance( {
+					typing: {
+						transformations: {
+							include: [ 'quotesDe' ]
+						}
+					}
+				} ).then( () => {
+					setData( model, '<paragraph>Foo []</paragraph>' );
+
+					simulateTyping( '"Bar"' );
+
+					expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo „Bar“</paragraph>' );
 				} );
+			} );
 
-				expect( getData( model, { withoutSelection: true } ) )
-					.to.equal( `<paragraph>${ textInParagraph }${ transformFrom } bar </paragraph>` );
+			it( 'should allow removing a single transformation of a language', () => {
+				return createEditorInstance( {
+					language: 'ja',
+					typing: {
+						transformations: {
+							remove: [ 'quotesSecondaryJa' ]
+						}
+					}
+				} ).then( () => {
+					setData( model, '<paragraph>Foo []</paragraph>' );
+
+					simulateTyping( '"Bar" \'baz\'' );
+
+					expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo 「Bar」 \'baz\'</paragraph>' );
+				} );
 			} );
-		}
+		} );
 	} );
 
-	describe( 'configuration', () => {
-		it( 'should allow adding own rules with string pattern', () => {
-			return createEditorInstance( {
-				typing: {
-					transformations: {
-						extra: [
-							{ from: 'CKE', to: 'CKEditor' }
-						]
-					}
+	describe( 'extended groups', () => {
+		beforeEach( () => createEditorInstance( {
+			typing: {
+				transformations: {
+					extra: [ 'extendedSymbols', 'extendedMathematical', 'fractions', 'extendedArrows' ]
 				}
-			} ).then( () => {
+			}
+		} ) );
+
+		describe( 'extended symbols', () => {
+			testTransformation( '(p)', '℗' );
+			testTransformation( '(e)', '€' );
+			testTransformation( 'c/o ', '℅ ', 'A ' );
+		} );
+
+		describe( 'extended mathematical', () => {
+			testTransformation( '2x3', '2×3', 'A ' );
+			testTransformation( '2 x 3', '2 × 3', 'A ' );
+			testTransformation( '+-', '±' );
+			testTransformation( 'o/oo', '‰', 'A 5' );
+			testTransformation( '20^o', '20°', 'A ' );
+			testTransformation( '5\'', '5′', 'A ' );
+			testTransformation( '5\'\'', '5″', 'A ' );
+			testTransformation( '5"', '5″', 'A ' );
+
+			it( 'should transform "x" only between digits', () => {
 				setData( model, '<paragraph>[]</paragraph>' );
 
-				simulateTyping( 'CKE' );
+				simulateTyping( 'ax3 2xb 2x ' );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor</paragraph>' );
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>ax3 2xb 2x </paragraph>' );
+			} );
+
+			it( 'should not transform primes after letters', () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Foo\' bar" ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo’ bar” </paragraph>' );
+			} );
+
+			it( 'should not transform "x" in a hexadecimal number', () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '0x3 10x3 0 x 3' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>0x3 10×3 0 × 3</paragraph>' );
+			} );
+
+			it( 'should transform "c/o" only as a whole word', () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'etc/o (c/o) ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>etc/o (℅) </paragraph>' );
 			} );
 		} );
 
-		it( 'should allow adding own rules with RegExp object', () => {
+		describe( 'fractions', () => {
+			testTransformation( '1/5 ', '⅕ ', 'A ' );
+			testTransformation( '5/6 ', '⅚ ', 'A ' );
+			testTransformation( '1/7 ', '⅐ ', 'A ' );
+			testTransformation( '3/8 ', '⅜ ', 'A ' );
+			testTransformation( '1/9 ', '⅑ ', 'A ' );
+			testTransformation( '1/10 ', '⅒ ', 'A ' );
+
+			it( 'should not transform the fractions in longer numbers', () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '11/8 1/100 21/2 ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>11/8 1/100 21/2 </paragraph>' );
+			} );
+
+			it( 'should not transform the fractions in dates and paths', () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '1/2/3 a/1/8/b 1/8.' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>1/2/3 a/1/8/b ⅛.</paragraph>' );
+			} );
+
+			it( 'should not transform the fraction until the next character is typed', () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '1/8' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>1/8</paragraph>' );
+			} );
+		} );
+
+		describe( 'extended arrows', () => {
+			testTransformation( '<->', '↔' );
+			testTransformation( '=>', '⇒' );
+			testTransformation( '<=>', '⇔' );
+		} );
+
+		it( 'should not be enabled by default', () => {
+			return createEditorInstance().then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '(e) 2x3 1/8 <=> ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(e) 2x3 1/8 ≤> </paragraph>' );
+			} );
+		} );
+
+		it( 'should allow removing a single transformation', () => {
 			return createEditorInstance( {
 				typing: {
 					transformations: {
-						extra: [
-							{ from: /([a-z]+)(@)(example.com)$/, to: [ null, '.at.', null ] }
-						]
+						extra: [ 'extendedMathematical' ],
+						remove: [ 'multiplication' ]
 					}
 				}
 			} ).then( () => {
 				setData( model, '<paragraph>[]</paragraph>' );
 
-				simulateTyping( 'user@example.com' );
+				simulateTyping( '2x3 +-' );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>user.at.example.com</paragraph>' );
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>2x3 ±</paragraph>' );
 			} );
 		} );
 
-		it( 'should allow adding own rules with function as `to` value', () => {
+		it( 'should transform the arrows when the lessThanOrEqual and arrowLeft transformations are removed', () => {
 			return createEditorInstance( {
 				typing: {
 					transformations: {
-						extra: [
-							{ from: /(\. )([a-z])$/, to: matches => [ null, matches[ 1 ].toUpperCase() ] }
-						]
+						extra: [ 'extendedArrows' ],
+						remove: [ 'lessThanOrEqual', 'arrowLeft' ]
 					}
 				}
 			} ).then( () => {
-				setData( model, '<paragraph>Foo. []</paragraph>' );
+				setData( model, '<paragraph>[]</paragraph>' );
 
-				simulateTyping( 'b' );
+				simulateTyping( 'a <=> b' );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo. B</paragraph>' );
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a ⇔ b</paragraph>' );
 			} );
 		} );
+	} );
 
-		it( 'should not alter include rules adding own rules as extra', () => {
+	describe( 'code contexts', () => {
+		function registerCodeBlock() {
+			model.schema.register( 'codeBlock', { inheritAllFrom: '$block' } );
+			model.schema.register( 'heading1', { inheritAllFrom: '$block' } );
+
+			editor.conversion.elementToElement( { model: 'codeBlock', view: 'pre' } );
+			editor.conversion.elementToElement( { model: 'heading1', view: 'h1' } );
+		}
+
+		it( 'should not transform the text with the code attribute', () => {
+			return createEditorInstance().then( () => {
+				setData( model, '<paragraph><$text code="true">a[]</$text></paragraph>' );
+
+				simulateTyping( '->' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph><$text code="true">a-></$text></paragraph>' );
+			} );
+		} );
+
+		it( 'should transform the text after the code', () => {
+			return createEditorInstance().then( () => {
+				setData( model, '<paragraph><$text code="true">a</$text>[]</paragraph>' );
+
+				model.change( writer => {
+					writer.removeSelectionAttribute( 'code' );
+				} );
+
+				simulateTyping( '->' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph><$text code="true">a</$text>→</paragraph>' );
+			} );
+		} );
+
+		it( 'should not transform the text in a code block', () => {
+			return createEditorInstance().then( () => {
+				registerCodeBlock();
+				setData( model, '<codeBlock>a []</codeBlock>' );
+
+				simulateTyping( '!= "b"' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<codeBlock>a != "b"</codeBlock>' );
+			} );
+		} );
+
+		it( 'should allow configuring the elements in which the text is not transformed', () => {
 			return createEditorInstance( {
 				typing: {
 					transformations: {
-						extra: [
-							{ from: 'CKE', to: 'CKEditor' }
-						]
+						disallowIn: [ 'heading1' ]
 					}
 				}
 			} ).then( () => {
-				setData( model, '<paragraph>[]</paragraph>' );
+				registerCodeBlock();
+				setData( model, '<heading1>[]</heading1><codeBlock></codeBlock>' );
 
-				simulateTyping( 'CKE' );
+				simulateTyping( '(c)' );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor</paragraph>' );
+				model.change( writer => {
+					writer.setSelection( doc.getRoot().getChild( 1 ), 0 );
+				} );
 
-				simulateTyping( '(tm)' );
+				simulateTyping( '(c)' );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor™</paragraph>' );
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<heading1>(c)</heading1><codeBlock>©</codeBlock>' );
 			} );
 		} );
 
-		it( 'should overwrite all rules when defining include rules', () => {
+		it( 'should check all ancestors of the selection', () => {
 			return createEditorInstance( {
 				typing: {
 					transformations: {
-						include: [
-							{ from: 'CKE', to: 'CKEditor' }
-						]
+						disallowIn: [ 'section' ]
 					}
 				}
 			} ).then( () => {
-				setData( model, '<paragraph>[]</paragraph>' );
-
-				simulateTyping( 'CKE' );
-
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor</paragraph>' );
+				model.schema.register( 'section', { allowIn: '$root', allowContentOf: '$root' } );
+				editor.conversion.elementToElement( { model: 'section', view: 'section' } );
+				setData( model, '<section><paragraph>[]</paragraph></section>' );
 
-				simulateTyping( '(tm)' );
+				simulateTyping( '(c)' );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor(tm)</paragraph>' );
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<section><paragraph>(c)</paragraph></section>' );
 			} );
 		} );
 
-		it( 'should remove rules from group when defining remove rules', () => {
+		it( 'should allow configuring the attributes which prevent transformations', () => {
 			return createEditorInstance( {
 				typing: {
 					transformations: {
-						include: [ 'symbols' ],
-						remove: [ 'trademark' ]
+						disallowAttributes: [ 'bold' ]
 					}
 				}
 			} ).then( () => {
-				setData( model, '<paragraph>[]</paragraph>' );
+				setData( model, '<paragraph><$text bold="true">a[]</$text></paragraph>' );
 
-				simulateTyping( '(tm)' );
+				simulateTyping( '(c)' );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)</paragraph>' );
+				model.change( writer => {
+					writer.setSelection( doc.getRoot().getChild( 0 ), 0 );
+					writer.insertText( 'b', { code: true }, doc.selection.focus );
+					writer.setSelection( doc.getRoot().getChild( 0 ), 1 );
+				} );
 
-				simulateTyping( '(r)' );
+				simulateTyping( '(c)' );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)®</paragraph>' );
+				expect( getData( model, { withoutSelection: true } ) )
+					.to.equal( '<paragraph><$text code="true">b©</$text><$text bold="true">a(c)</$text></paragraph>' );
 			} );
 		} );
 
-		it( 'should remove all rules from group when group is in remove', () => {
+		it( 'should allow overriding the disallowed contexts for a transformation', () => {
 			return createEditorInstance( {
 				typing: {
 					transformations: {
-						include: [ 'symbols', 'typography' ],
-						remove: [ 'symbols' ]
+						disallowIn: [ 'codeBlock', 'heading1' ],
+						extra: [
+							{ name: 'horizontalEllipsis', disallowIn: [ 'codeBlock' ] }
+						]
 					}
 				}
 			} ).then( () => {
-				setData( model, '<paragraph>[]</paragraph>' );
+				registerCodeBlock();
+				setData( model, '<heading1>[]</heading1><codeBlock></codeBlock>' );
 
-				simulateTyping( '(tm)' );
+				simulateTyping( '(c)...' );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)</paragraph>' );
+				model.change( writer => {
+					writer.setSelection( doc.getRoot().getChild( 1 ), 0 );
+				} );
 
-				simulateTyping( '...' );
+				simulateTyping( '(c)...' );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)…</paragraph>' );
+				expect( getData( model, { withoutSelection: true } ) )
+					.to.equal( '<heading1>(c)…</heading1><codeBlock>(c)...</codeBlock>' );
 			} );
 		} );
 
-		it( 'should not fail for unknown rule name', () => {
+		it( 'should allow overriding the disallowed attributes for a transformation', () => {
 			return createEditorInstance( {
 				typing: {
 					transformations: {
-						include: [ 'symbols', 'typo' ]
+						extra: [
+							{ from: 'CKE', to: 'CKEditor', disallowAttributes: [] }
+						]
 					}
 				}
+			} ).then( () => {
+				setData( model, '<paragraph><$text code="true">a[]</$text></paragraph>' );
+
+				simulateTyping( '(c)CKE' );
+
+				expect( getData( model, { withoutSelection: true } ) )
+					.to.equal( '<paragraph><$text code="true">a(c)CKEditor</$text></paragraph>' );
 			} );
 		} );
+	} );
 
-		it( 'should not fail for re-declared include rules config', () => {
+	describe( 'context rules', () => {
+		beforeEach( () => {
 			return createEditorInstance( {
 				typing: {
 					transformations: {
-						extra: [ 'trademark' ]
+						include: [
+							{ from: 'h1', to: 'Heading', allowIn: [ 'heading1' ] },
+							{ from: 'li', to: 'List item', allowIn: [ 'listItem', 'heading1' ] },
+							{ from: 'nb', to: 'Not bold', disallowAttributes: [ 'bold' ] },
+							{ from: 'nm', to: 'Not main', disallowInRoots: [ 'main' ] },
+							{ from: 'ok', to: 'OK', disallowInRoots: [ 'title' ] }
+						]
 					}
 				}
 			} ).then( () => {
-				setData( model, '<paragraph>[]</paragraph>' );
+				model.schema.register( 'heading1', { inheritAllFrom: '$block' } );
+				model.schema.register( 'listItem', { inheritAllFrom: '$block' } );
 
-				simulateTyping( '(tm)' );
+				editor.conversion.elementToElement( { model: 'heading1', view: 'h1' } );
+				editor.conversion.elementToElement( { model: 'listItem', view: 'li' } );
+			} );
+		} );
 
-				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>™</paragraph>' );
+		it( 'should apply the transformation only in the allowed elements', () => {
+			setData( model, '<paragraph>[]</paragraph><heading1></heading1>' );
+
+			simulateTyping( 'h1 li ' );
+
+			model.change( writer => {
+				writer.setSelection( doc.getRoot().getChild( 1 ), 0 );
 			} );
+
+			simulateTyping( 'h1 li ' );
+
+			expect( getData( model, { withoutSelection: true } ) )
+				.to.equal( '<paragraph>h1 li </paragraph><heading1>Heading List item </heading1>' );
 		} );
-	} );
 
-	function createEditorInstance( additionalConfig = {} ) {
-		return ClassicTestEditor
-			.create( editorElement, Object.assign( {
-				plugins: [ Typing, Paragraph, Bold, TextTransformation ]
-			}, additionalConfig ) )
-			.then( newEditor => {
-				editor = newEditor;
+		it( 'should allow listing many allowed elements', () => {
+			setData( model, '<listItem>[]</listItem>' );
 
-				model = editor.model;
-				doc = model.document;
+			simulateTyping( 'h1 li ' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<listItem>h1 List item </listItem>' );
+		} );
+
+		it( 'should not apply the transformation when the text has one of the disallowed attributes', () => {
+			setData( model, '<paragraph><$text bold="true">a[]</$text></paragraph>' );
+
+			simulateTyping( ' nb' );
+
+			model.change( writer => {
+				writer.removeSelectionAttribute( 'bold' );
 			} );
+
+			simulateTyping( ' nb' );
+
+			expect( getData( model, { withoutSelection: true } ) )
+				.to.equal( '<paragraph><$text bold="true">a nb</$text> Not bold</paragraph>' );
+		} );
+
+		it( 'should not apply the transformation in the disallowed roots', () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			simulateTyping( 'nm ok' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>nm OK</paragraph>' );
+		} );
+	} );
+
+	describe( 'descriptors and callbacks', () => {
+		beforeEach( () => {
+			return createEditorInstance( {
+				plugins: [ Typing, Paragraph, Bold, Code, TextTransformation, UndoEditing ],
+				typing: {
+					transformations: {
+						include: [
+							{ from: /(\^)(\d)$/, to: [ '', { attributes: { superscript: true } } ] },
+							{ from: /(_)(\d)$/, to: [ '', { text: '2', attributes: { subscript: true } } ] },
+							{ from: /(\*\*)([^*]+)(\*\*)$/, to: [ '', { attributes: { bold: true } }, '' ] },
+							{ from: /(~~)([^~]+)(~~)$/, to: [ '', { attributes: { bold: null } }, '' ] },
+							{
+								from: /(:smiley:)$/,
+								to: () => ( writer, [ range ] ) => {
+									writer.remove( range );
+									writer.insertElement( 'smiley', range.start );
+								}
+							}
+						]
+					}
+				}
+			} ).then( () => {
+				model.schema.extend( '$text', { allowAttributes: [ 'superscript', 'subscript' ] } );
+				model.schema.register( 'smiley', { allowWhere: '$text', isObject: true } );
+				editor.conversion.elementToElement( { model: 'smiley', view: 'span' } );
+			} );
+		} );
+
+		it( 'should set the attributes on the replacement', () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			simulateTyping( 'x^2 and H_2O' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>x<$text superscript="true">2</$text> and H<$text subscript="true">2</$text>O</paragraph>'
+			);
+		} );
+
+		it( 'should keep the attributes of the replaced text', () => {
+			setData( model, '<paragraph><$text bold="true">x[]</$text></paragraph>' );
+
+			simulateTyping( '^2' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph><$text bold="true">x</$text><$text bold="true" superscript="true">2</$text></paragraph>'
+			);
+		} );
+
+		it( 'should remove the attributes set to null', () => {
+			setData( model, '<paragraph><$text bold="true">Foo []</$text></paragraph>' );
+
+			simulateTyping( '~~bar~~' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph><$text bold="true">Foo </$text>bar</paragraph>'
+			);
+		} );
+
+		it( 'should not set the attributes on the text typed after the transformed text', () => {
+			setData( model, '<paragraph>Foo []</paragraph>' );
+
+			simulateTyping( '**bar** baz' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>Foo <$text bold="true">bar</$text> baz[]</paragraph>' );
+		} );
+
+		it( 'should bring back the replaced text with its attributes with Backspace', () => {
+			setData( model, '<paragraph>Foo []</paragraph>' );
+
+			simulateTyping( '**bar**' );
+
+			editor.execute( 'delete' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo **bar**</paragraph>' );
+		} );
+
+		it( 'should call the callback with the writer and the matched ranges', () => {
+			setData( model, '<paragraph>Foo []</paragraph>' );
+
+			simulateTyping( ':smiley:' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo <smiley></smiley></paragraph>' );
+		} );
+
+		it( 'should undo the transformation in one step', () => {
+			setData( model, '<paragraph>Foo []</paragraph>' );
+
+			simulateTyping( ':smiley:' );
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo :smiley:</paragraph>' );
+
+			setData( model, '<paragraph>Foo []</paragraph>' );
+
+			simulateTyping( '**bar**' );
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo **bar**</paragraph>' );
+		} );
+
+		it( 'should replace an empty group matched at the end of the block', () => {
+			editor.plugins.get( TextTransformation ).add( 'foobar', { from: /(foo)()$/, to: [ null, 'bar' ] } );
+
+			setData( model, '<paragraph><$text bold="true">a []</$text></paragraph>' );
+
+			simulateTyping( 'foo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph><$text bold="true">a foobar</$text></paragraph>' );
+		} );
+
+		it( 'should set the attributes on the replacement of an empty group matched at the end of the block', () => {
+			const to = [ null, { text: '!', attributes: { bold: true } } ];
+
+			editor.plugins.get( TextTransformation ).add( 'wow', { from: /(wow)()$/, to } );
+
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			simulateTyping( 'wow' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>wow<$text bold="true">!</$text></paragraph>' );
+		} );
+	} );
+
+	describe( 'overlapping transformations', () => {
+		function createEditorWithTransformations( transformations ) {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						include: transformations
+					}
+				}
+			} );
+		}
+
+		it( 'should apply only the transformation with the longest match', () => {
+			return createEditorWithTransformations( [
+				{ from: '->', to: '→' },
+				{ from: '-->', to: '⟶' },
+				{ from: '<->', to: '↔' }
+			] ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'a -> b --> c <-> d' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a → b ⟶ c ↔ d</paragraph>' );
+			} );
+		} );
+
+		it( 'should apply the transformation with the longest match regardless of the order of the transformations', () => {
+			return createEditorWithTransformations( [
+				{ from: '<->', to: '↔' },
+				{ from: '-->', to: '⟶' },
+				{ from: '->', to: '→' }
+			] ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'a -> b --> c <-> d' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a → b ⟶ c ↔ d</paragraph>' );
+			} );
+		} );
+
+		it( 'should compare the whole matches of the RegExp patterns', () => {
+			return createEditorWithTransformations( [
+				{ from: '- ', to: '→ ' },
+				{ from: /(^| )(--)( )$/, to: [ null, '–', null ] },
+				{ from: /(^| )(---)( )$/, to: [ null, '—', null ] }
+			] ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'a -- b --- c - d' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a – b — c → d</paragraph>' );
+			} );
+		} );
+
+		it( 'should apply the transformation defined first if the matches are equally long', () => {
+			return createEditorWithTransformations( [
+				{ from: '->', to: '→' },
+				{ from: /(->)$/, to: '⇒' }
+			] ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'a ->' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a →</paragraph>' );
+			} );
+		} );
+
+		it( 'should apply the transformation with the higher priority before the one with the longer match', () => {
+			return createEditorWithTransformations( [
+				{ from: '-->', to: '⟶' },
+				{ from: '->', to: '→', priority: 'high' }
+			] ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'a -->' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a -→</paragraph>' );
+			} );
+		} );
+
+		it( 'should accept the numeric priorities', () => {
+			return createEditorWithTransformations( [
+				{ from: '->', to: '→', priority: -1 },
+				{ from: /(>)$/, to: '›' }
+			] ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'a ->' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a -›</paragraph>' );
+			} );
+		} );
+
+		it( 'should apply the next transformation if the winning one does not replace anything', () => {
+			return createEditorWithTransformations( [
+				{ from: /(-->)$/, to: () => null },
+				{ from: '->', to: '→' }
+			] ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'a -->' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a -→</paragraph>' );
+			} );
+		} );
+
+		it( 'should apply the next transformation if the winning one is not applicable', () => {
+			return createEditorWithTransformations( [
+				{ from: '-->', to: '⟶', allowIn: [ 'heading1' ] },
+				{ from: '->', to: '→' }
+			] ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'a -->' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a -→</paragraph>' );
+			} );
+		} );
+
+		it( 'should apply the transformation matching after a digit before the quotes', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [ { from: /(\d)(")$/, to: [ null, '″' ] } ]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '"A 5" screen"' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>“A 5″ screen”</paragraph>' );
+			} );
+		} );
+	} );
+
+	describe( 'simplified syntax', () => {
+		beforeEach( () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						include: [
+							{ from: [ 'teh', 'hte' ], to: 'the', wordBoundary: true, caseSensitive: false },
+							{ from: /(\w)(--)(\w)$/, to: '$1—$3' },
+							{ name: 'ckeditor', from: 'ckeditor', to: 'CKEditor', caseSensitive: false }
+						]
+					}
+				}
+			} );
+		} );
+
+		it( 'should transform the whole words matching any of the alternatives and ignore the case', () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			simulateTyping( 'Teh tehran, HTE. teh' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>the tehran, the. teh</paragraph>' );
+		} );
+
+		it( 'should replace only the text between the groups kept by the template', () => {
+			setData( model, '<paragraph><$text bold="true">a[]</$text></paragraph>' );
+
+			simulateTyping( '--b' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph><$text bold="true">a—b</$text></paragraph>' );
+		} );
+
+		it( 'should revert the template transformation with Backspace', () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			simulateTyping( 'a--b' );
+			editor.execute( 'delete' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>a--b[]</paragraph>' );
+		} );
+
+		it( 'should keep the definition written in the simplified form', () => {
+			const plugin = editor.plugins.get( TextTransformation );
+
+			expect( plugin._definitions.get( 'ckeditor' ) ).to.include( { from: 'ckeditor', caseSensitive: false } );
+			expect( plugin.transformations.get( 'ckeditor' ).from ).to.deep.equal( /(ckeditor)$/i );
+		} );
+
+		it( 'should compile the transformations added at runtime', () => {
+			editor.plugins.get( TextTransformation ).add( 'times', { from: /(\d)(x)(\d)$/, to: '$1×$3', wordBoundary: true } );
+
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			simulateTyping( '2x3 a2x3 ' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>2×3 a2x3 </paragraph>' );
+		} );
+
+		it( 'should compile the transformations applied by the command', () => {
+			setData( model, '<paragraph>[]Teh a--b ckEditor</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>the a—b CKEditor</paragraph>' );
+		} );
+
+		it( 'should throw if the template refers to a missing group', () => {
+			expect( () => {
+				editor.plugins.get( TextTransformation ).add( 'invalid', { from: /(a)$/, to: '$2' } );
+			} ).to.throw( CKEditorError, /^text-transformation-template-unknown-group:/ );
+		} );
+
+		it( 'should put the template text into an empty group matched at the end of the block', () => {
+			editor.plugins.get( TextTransformation ).add( 'foobar', { from: /(foo)(!?)$/, to: '$1bar' } );
+
+			setData( model, '<paragraph><$text bold="true">a []</$text></paragraph>' );
+
+			simulateTyping( 'foo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph><$text bold="true">a foobar</$text></paragraph>' );
+		} );
+	} );
+
+	describe( 'JSON rules', () => {
+		const rules = [
+			{ name: 'misspelledThe', language: 'en', from: [ 'teh' ], to: 'the', wordBoundary: true, caseSensitive: false },
+			{ description: 'The em dash between words.', from: { pattern: '(\\w)(--)(\\w)$', flags: 'u' }, to: '$1—$3' },
+			{ name: 'copyright', from: '(c)', to: [ { text: '©', attributes: { bold: true } } ] }
+		];
+
+		it( 'should load the rules from the configuration', () => {
+			return createEditorInstance( { typing: { transformations: { rules } } } ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Teh a--b (c)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>the a—b <$text bold="true">©</$text></paragraph>'
+				);
+			} );
+		} );
+
+		it( 'should load the rules from a JSON string', () => {
+			return createEditorInstance( { typing: { transformations: { rules: JSON.stringify( rules ) } } } ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'teh a--b' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>the a—b</paragraph>' );
+			} );
+		} );
+
+		it( 'should apply the rule only to the content in its language', () => {
+			return createEditorInstance( { typing: { transformations: { rules } } } ).then( () => {
+				model.schema.extend( 'paragraph', { allowAttributes: 'language' } );
+
+				setData( model, '<paragraph language="de">[]</paragraph><paragraph language="en-GB">Foo</paragraph>' );
+
+				simulateTyping( 'teh ' );
+
+				model.change( writer => {
+					writer.setSelection( doc.getRoot().getChild( 1 ), 'end' );
+				} );
+
+				simulateTyping( ' teh ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph language="de">teh </paragraph><paragraph language="en-GB">Foo the </paragraph>'
+				);
+			} );
+		} );
+
+		it( 'should not apply the rule for a regional variant to the other variants', () => {
+			const rule = { language: [ 'en-GB' ], from: 'colour', to: 'color' };
+
+			return createEditorInstance( { language: 'en-US', typing: { transformations: { rules: [ rule ] } } } ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'colour' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>colour</paragraph>' );
+			} );
+		} );
+
+		it( 'should replace the known transformation with a named rule', () => {
+			return createEditorInstance( { typing: { transformations: { rules } } } ).then( () => {
+				const plugin = editor.plugins.get( TextTransformation );
+
+				expect( plugin._definitions.get( 'copyright' ) ).to.include( { from: '(c)' } );
+				expect( plugin._definitions.get( 'copyright' ).to ).to.deep.equal( [ { text: '©', attributes: { bold: true } } ] );
+			} );
+		} );
+
+		it( 'should throw if a rule is invalid', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						rules: [ { from: { pattern: '(foo' }, to: 'bar' } ]
+					}
+				}
+			} ).then( () => {
+				throw new Error( 'Expected to be rejected.' );
+			}, error => {
+				expect( error ).to.be.instanceOf( CKEditorError );
+				expect( error.message ).to.match( /^text-transformation-invalid-rule:/ );
+			} );
+		} );
+
+		it( 'should validate the rules', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						rules: [ { from: { pattern: '(foo)' }, to: 'bar' } ]
+					}
+				}
+			} ).then( () => {
+				throw new Error( 'Expected to be rejected.' );
+			}, error => {
+				expect( error ).to.be.instanceOf( CKEditorError );
+				expect( error.message ).to.match( /^text-transformation-unanchored-pattern:/ );
+			} );
+		} );
+
+		describe( 'exportRules()', () => {
+			it( 'should export the active transformations which can be serialized', () => {
+				return createEditorInstance( {
+					typing: {
+						transformations: {
+							include: [ 'symbols', 'quotes', { from: /(\d)(x)(\d)$/, to: '$1×$3' } ],
+							remove: [ 'trademark' ]
+						}
+					}
+				} ).then( () => {
+					expect( editor.plugins.get( TextTransformation ).exportRules() ).to.deep.equal( [
+						{ name: 'copyright', from: '(c)', to: '©' },
+						{ name: 'registeredTrademark', from: '(r)', to: '®' },
+						{ from: { pattern: '(\\d)(x)(\\d)$', flags: '' }, to: '$1×$3' }
+					] );
+				} );
+			} );
+
+			it( 'should export the transformations written in the simplified form as they were defined', () => {
+				return createEditorInstance( { typing: { transformations: { include: [], rules } } } ).then( () => {
+					expect( editor.plugins.get( TextTransformation ).exportRules() ).to.deep.equal( rules );
+				} );
+			} );
+
+			it( 'should export the rules which can be loaded back', () => {
+				let exported;
+
+				return createEditorInstance( { typing: { transformations: { include: [ 'mathematical' ], rules } } } )
+					.then( () => {
+						exported = JSON.stringify( editor.plugins.get( TextTransformation ).exportRules() );
+
+						return editor.destroy();
+					} )
+					.then( () => createEditorInstance( { typing: { transformations: { include: [], rules: exported } } } ) )
+					.then( () => {
+						const plugin = editor.plugins.get( TextTransformation );
+
+						expect( JSON.stringify( plugin.exportRules() ) ).to.equal( exported );
+
+						setData( model, '<paragraph>[]</paragraph>' );
+
+						simulateTyping( '1/2 teh a--b' );
+
+						expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>½ the a—b</paragraph>' );
+					} );
+			} );
+		} );
+	} );
+
+	describe( 'reverting with Backspace', () => {
+		beforeEach( createEditorInstance );
+
+		it( 'should revert the transformation when the delete command is executed right after it', () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			simulateTyping( '(c)' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo ©[]</paragraph>' );
+
+			editor.execute( 'delete' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo (c)[]</paragraph>' );
+		} );
+
+		it( 'should revert all replaced parts of the transformation', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [ { from: /(<<)([^<>]*)(>>)$/, to: [ '«', null, '»' ] } ]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '<<Bar>>' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo «Bar»</paragraph>' );
+
+				editor.execute( 'delete' );
+
+				expect( getData( model ) ).to.equal( '<paragraph>Foo <<Bar>>[]</paragraph>' );
+			} );
+		} );
+
+		it( 'should revert the transformation when the caret is after the not replaced part of the match', () => {
+			setData( model, '<paragraph>Foo []</paragraph>' );
+
+			simulateTyping( '-- ' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>Foo – []</paragraph>' );
+
+			editor.execute( 'delete' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>Foo -- []</paragraph>' );
+		} );
+
+		it( 'should keep attributes of the reverted text', () => {
+			setData( model, '<paragraph>Foo <$text bold="true">bar[]</$text></paragraph>' );
+
+			simulateTyping( '(tm)' );
+
+			editor.execute( 'delete' );
+
+			expect( getData( model, { withoutSelection: true } ) )
+				.to.equal( '<paragraph>Foo <$text bold="true">bar(tm)</$text></paragraph>' );
+		} );
+
+		it( 'should delete the content as usual when pressing Backspace for the second time', () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			simulateTyping( '(c)' );
+
+			editor.execute( 'delete' );
+			editor.execute( 'delete' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo (c[]</paragraph>' );
+		} );
+
+		it( 'should not revert the transformation after typing', () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			simulateTyping( '(c)x' );
+
+			editor.execute( 'delete' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo ©[]</paragraph>' );
+		} );
+
+		it( 'should not revert the transformation after the selection was changed', () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			simulateTyping( '(c)' );
+
+			model.change( writer => {
+				writer.setSelection( doc.getRoot().getChild( 0 ), 3 );
+			} );
+
+			model.change( writer => {
+				writer.setSelection( doc.getRoot().getChild( 0 ), 'end' );
+			} );
+
+			editor.execute( 'delete' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo []</paragraph>' );
+		} );
+
+		it( 'should not revert the transformation when deleting a whole word', () => {
+			setData( model, '<paragraph>foo bar[]</paragraph>' );
+
+			simulateTyping( '(c)' );
+
+			editor.execute( 'delete', { unit: 'word' } );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo </paragraph>' );
+		} );
+
+		it( 'should not revert the transformation when the Backspace key is held', () => {
+			setData( model, '<paragraph>foo []</paragraph>' );
+
+			simulateTyping( '(c)' );
+
+			editor.execute( 'delete', { sequence: 2 } );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo []</paragraph>' );
+		} );
+
+		it( 'should not revert the transformation when the forward delete command is executed', () => {
+			setData( model, '<paragraph>foo []bar</paragraph>' );
+
+			simulateTyping( '(c)' );
+
+			editor.execute( 'forwardDelete' );
+
+			expect( getData( model ) ).to.equal( '<paragraph>foo ©[]ar</paragraph>' );
+		} );
+	} );
+
+	describe( 'configuration', () => {
+		it( 'should allow adding own rules with string pattern', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [
+							{ from: 'CKE', to: 'CKEditor' }
+						]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'CKE' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor</paragraph>' );
+			} );
+		} );
+
+		it( 'should allow adding own rules with RegExp object', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [
+							{ from: /([a-z]+)(@)(example.com)$/, to: [ null, '.at.', null ] }
+						]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'user@example.com' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>user.at.example.com</paragraph>' );
+			} );
+		} );
+
+		it( 'should allow adding own rules with function as `to` value', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [
+							{ from: /(\. )([a-z])$/, to: matches => [ null, matches[ 1 ].toUpperCase() ] }
+						]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo. []</paragraph>' );
+
+				simulateTyping( 'b' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo. B</paragraph>' );
+			} );
+		} );
+
+		it( 'should pass the content language to the `to` function', () => {
+			const to = sinon.stub().returns( [ null, 'np.', null ] );
+
+			return createEditorInstance( {
+				language: 'pl',
+				typing: {
+					transformations: {
+						extra: [
+							{ from: /(^|\s)(np)( )$/, to }
+						]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( 'np ' );
+
+				sinon.assert.calledOnce( to );
+				sinon.assert.calledWithExactly( to, [ ' ', 'np', ' ' ], { language: 'pl' } );
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo np. </paragraph>' );
+			} );
+		} );
+
+		it( 'should not replace anything when the `to` function returns null', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [
+							{ from: /(^|\s)(np)( )$/, to: () => null }
+						]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( 'np ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo np </paragraph>' );
+			} );
+		} );
+
+		it( 'should not alter include rules adding own rules as extra', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [
+							{ from: 'CKE', to: 'CKEditor' }
+						]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'CKE' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor</paragraph>' );
+
+				simulateTyping( '(tm)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor™</paragraph>' );
+			} );
+		} );
+
+		it( 'should overwrite all rules when defining include rules', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						include: [
+							{ from: 'CKE', to: 'CKEditor' }
+						]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'CKE' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor</paragraph>' );
+
+				simulateTyping( '(tm)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor(tm)</paragraph>' );
+			} );
+		} );
+
+		it( 'should remove rules from group when defining remove rules', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						include: [ 'symbols' ],
+						remove: [ 'trademark' ]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '(tm)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)</paragraph>' );
+
+				simulateTyping( '(r)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)®</paragraph>' );
+			} );
+		} );
+
+		it( 'should remove all rules from group when group is in remove', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						include: [ 'symbols', 'typography' ],
+						remove: [ 'symbols' ]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '(tm)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)</paragraph>' );
+
+				simulateTyping( '...' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)…</paragraph>' );
+			} );
+		} );
+
+		it( 'should allow overriding a predefined rule using its name', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [
+							{ name: 'copyright', from: '(C)' }
+						]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '(c)(C)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(c)©</paragraph>' );
+			} );
+		} );
+
+		it( 'should allow adding own rules with a name', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [
+							{ name: 'cke', from: 'CKE', to: 'CKEditor' }
+						]
+					}
+				}
+			} ).then( () => {
+				expect( editor.plugins.get( TextTransformation ).transformations.get( 'cke' ) ).to.include( { to: 'CKEditor' } );
+			} );
+		} );
+
+		it( 'should not fail for unknown rule name', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						include: [ 'symbols', 'typo' ]
+					}
+				}
+			} );
+		} );
+
+		it( 'should not fail for re-declared include rules config', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [ 'trademark' ]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( '(tm)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>™</paragraph>' );
+			} );
+		} );
+
+		describe( 'validation', () => {
+			testUtils.createSinonSandbox();
+
+			it( 'should throw if a transformation defined in the configuration cannot be applied safely', () => {
+				return createEditorInstance( {
+					typing: {
+						transformations: {
+							extra: [ { from: /(CKE)/, to: 'CKEditor' } ]
+						}
+					}
+				} ).then( () => {
+					throw new Error( 'Expected to be rejected.' );
+				}, error => {
+					expect( error ).to.be.instanceOf( CKEditorError );
+					expect( error.message ).to.match( /^text-transformation-unanchored-pattern:/ );
+				} );
+			} );
+
+			it( 'should validate a named transformation with the properties of the overridden one', () => {
+				return createEditorInstance( {
+					typing: {
+						transformations: {
+							extra: [ { name: 'enDash', to: [ null, '–' ] } ]
+						}
+					}
+				} ).then( () => {
+					throw new Error( 'Expected to be rejected.' );
+				}, error => {
+					expect( error ).to.be.instanceOf( CKEditorError );
+					expect( error.message ).to.match( /^text-transformation-to-length-mismatch:/ );
+				} );
+			} );
+
+			it( 'should accept all predefined transformations', () => {
+				return createEditorInstance().then( () => {
+					for ( const definition of editor.plugins.get( TextTransformation )._definitions.values() ) {
+						expect( () => validateTransformation( definition, null ) ).to.not.throw();
+					}
+				} );
+			} );
+
+			it( 'should warn about the unknown names', () => {
+				const warnStub = testUtils.sinon.stub( log, 'warn' );
+
+				return createEditorInstance( {
+					typing: {
+						transformations: {
+							include: [ 'typography', 'copyrigth' ],
+							extra: [ 'Quotes' ],
+							remove: [ 'enDash', 'emdash' ]
+						}
+					}
+				} ).then( () => {
+					sinon.assert.calledThrice( warnStub );
+
+					expect( warnStub.args.map( args => args[ 1 ] ) ).to.deep.equal( [
+						{ name: 'copyrigth' },
+						{ name: 'Quotes' },
+						{ name: 'emdash' }
+					] );
+
+					for ( const [ message ] of warnStub.args ) {
+						expect( message ).to.match( /^text-transformation-unknown-name:/ );
+					}
+				} );
+			} );
+
+			it( 'should not warn about the known transformations and groups', () => {
+				const warnStub = testUtils.sinon.stub( log, 'warn' );
+
+				return createEditorInstance( {
+					typing: {
+						transformations: {
+							include: [ 'typography', 'copyright', 'quotes', { name: 'cke', from: 'CKE', to: 'CKEditor' } ],
+							extra: [ 'quotesEn', 'autocorrect' ],
+							remove: [ 'enDash', 'cke' ]
+						}
+					}
+				} ).then( () => {
+					sinon.assert.notCalled( warnStub );
+				} );
+			} );
+		} );
+	} );
+
+	describe( 'autocorrect', () => {
+		it( 'should not be enabled by default', () => {
+			return createEditorInstance().then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( 'teh ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo teh </paragraph>' );
+			} );
+		} );
+
+		it( 'should correct the misspelled words keeping their case', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'autocorrect' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Teh TEH teh recieve.' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>The THE the receive.</paragraph>' );
+			} );
+		} );
+
+		it( 'should correct the contractions with the same apostrophe as the typography group puts', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'autocorrect' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'I dont know, I don\'t know.' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>I don’t know, I don’t know.</paragraph>' );
+			} );
+		} );
+
+		it( 'should use the dictionaries from the configuration', () => {
+			return createEditorInstance( {
+				language: 'pl',
+				typing: {
+					transformations: {
+						extra: [ 'autocorrect' ],
+						autocorrect: {
+							pl: { wogle: 'w ogóle' }
+						}
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Wogle teh ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>W ogóle teh </paragraph>' );
+			} );
+		} );
+
+		it( 'should keep the default dictionaries when the configuration extends them', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [ 'autocorrect' ],
+						autocorrect: {
+							en: { ckeditr: 'CKEditor', teh: null }
+						}
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'ckeditr teh recieve ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor teh receive </paragraph>' );
+			} );
+		} );
+	} );
+
+	describe( 'autoCapitalize', () => {
+		it( 'should not be enabled by default', () => {
+			return createEditorInstance().then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'foo. bar' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo. bar</paragraph>' );
+			} );
+		} );
+
+		it( 'should capitalize the first letter of a block and of each sentence', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'autoCapitalize' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'foo, e.g. bar. baz? qux! see www.example.com. and 3. one' );
+
+				expect( getData( model, { withoutSelection: true } ) )
+					.to.equal( '<paragraph>Foo, e.g. bar. Baz? Qux! See www.example.com. and 3. one</paragraph>' );
+			} );
+		} );
+
+		it( 'should use the exceptions from the configuration', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [ 'autoCapitalize' ],
+						capitalizationExceptions: {
+							en: [ 'approx.' ]
+						}
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( 'approx. bar e.g. baz' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo approx. bar e.g. Baz</paragraph>' );
+			} );
+		} );
+
+		it( 'should be possible to revert the capitalization with Backspace', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'autoCapitalize' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'iPhone. i' );
+				editor.execute( 'delete' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>IPhone. i</paragraph>' );
+			} );
+		} );
+	} );
+
+	describe( 'emoji', () => {
+		it( 'should not be enabled by default', () => {
+			return createEditorInstance().then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( ':smile: :) ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo :smile: :) </paragraph>' );
+			} );
+		} );
+
+		it( 'should replace the shortcodes and emoticons', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'emoji', 'emoticons' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( ':smile: :) a:)b :unknown:' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo 😄 🙂 a:)b :unknown:</paragraph>' );
+			} );
+		} );
+
+		it( 'should use the tables from the configuration', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [ 'emoji', 'emoticons' ],
+						emoji: {
+							shortcodes: { ship: '🚢' },
+							emoticons: { ':)': '😊' }
+						}
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( ':ship: :smile: :) ;) ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo 🚢 :smile: 😊 ;) </paragraph>' );
+			} );
+		} );
+
+		it( 'should replace the emoticons with the single quote together with the default groups', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'emoticons' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( 'a :\'( \'b\' don\'t ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo a 😢 ‘b’ don’t </paragraph>' );
+			} );
+		} );
+	} );
+
+	describe( 'frenchSpacing', () => {
+		it( 'should not be enabled by default', () => {
+			return createEditorInstance( { language: 'fr' } ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Quoi? Oui!' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Quoi? Oui!</paragraph>' );
+			} );
+		} );
+
+		it( 'should put the narrow no-break spaces around the punctuation marks', () => {
+			return createEditorInstance( {
+				language: 'fr',
+				typing: {
+					transformations: { extra: [ 'frenchSpacing' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Quoi? Il dit : «Oui» ; à 12:30 sur https://example.com/?a=1!' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>Quoi\u202f? Il dit\u202f: «\u202fOui\u202f»\u202f; à 12:30 sur https://example.com/?a=1!</paragraph>'
+				);
+			} );
+		} );
+
+		it( 'should work with the French quotes', () => {
+			return createEditorInstance( {
+				language: 'fr',
+				typing: {
+					transformations: { extra: [ 'frenchSpacing' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Il dit "Oui" !' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>Il dit «\u202fOui\u202f»\u202f!</paragraph>'
+				);
+			} );
+		} );
+
+		it( 'should leave the content in other languages unchanged', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'frenchSpacing' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph><paragraph language="fr-ch">Quoi</paragraph>' );
+
+				simulateTyping( 'What? Yes: «no»!' );
+
+				model.change( writer => {
+					writer.setSelection( doc.getRoot().getChild( 1 ), 'end' );
+				} );
+
+				simulateTyping( '?' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>What? Yes: «no»!</paragraph><paragraph language="fr-ch">Quoi\u202f?</paragraph>'
+				);
+			} );
+		} );
+
+		it( 'should be limited to the French content with a language group', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [ 'spacing' ],
+						languageGroups: {
+							spacing: { fr: 'frenchSpacing' }
+						}
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph><paragraph language="fr">Quoi</paragraph>' );
+
+				simulateTyping( 'What?' );
+
+				model.change( writer => {
+					writer.setSelection( doc.getRoot().getChild( 1 ), 'end' );
+				} );
+
+				simulateTyping( '?' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>What?</paragraph><paragraph language="fr">Quoi\u202f?</paragraph>'
+				);
+			} );
+		} );
+	} );
+
+	describe( 'whitespace', () => {
+		it( 'should not be enabled by default', () => {
+			return createEditorInstance().then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Foo  bar ,baz,Qux' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo  bar ,baz,Qux</paragraph>' );
+			} );
+		} );
+
+		it( 'should fix the spaces around the punctuation marks and collapse the double spaces', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'whitespace' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Foo  bar ,baz.Qux ; see example.com.' );
+
+				expect( getData( model ) ).to.equal( '<paragraph>Foo bar, baz. Qux; see example.com.[]</paragraph>' );
+			} );
+		} );
+
+		it( 'should turn the double spaces into the em spaces', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [ 'whitespace' ],
+						whitespace: { doubleSpace: 'emSpace', singleSpaceAfterFullStop: true }
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Foo  bar.  Baz' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo\u2003bar. Baz</paragraph>' );
+			} );
+		} );
+
+		it( 'should bring back the removed space with Backspace', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'whitespace' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( ',' );
+
+				expect( getData( model ) ).to.equal( '<paragraph>Foo,[]</paragraph>' );
+
+				editor.execute( 'delete' );
+
+				expect( getData( model ) ).to.equal( '<paragraph>Foo ,[]</paragraph>' );
+			} );
+		} );
+	} );
+
+	describe( 'orphans', () => {
+		it( 'should not be enabled by default', () => {
+			return createEditorInstance( { language: 'pl' } ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Foo w domu' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo w domu</paragraph>' );
+			} );
+		} );
+
+		it( 'should put the no-break spaces after the short words', () => {
+			return createEditorInstance( {
+				language: 'pl',
+				typing: {
+					transformations: { extra: [ 'orphans' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Kot i w domu z psem' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>Kot i\u00A0w\u00A0domu z\u00A0psem</paragraph>'
+				);
+			} );
+		} );
+
+		it( 'should use the words for the content language', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'orphans' ] }
+				}
+			} ).then( () => {
+				model.schema.extend( 'paragraph', { allowAttributes: 'language' } );
+
+				setData( model, '<paragraph language="cs">[]</paragraph><paragraph>Foo</paragraph>' );
+
+				simulateTyping( 'Jdu k domu' );
+
+				model.change( writer => {
+					writer.setSelection( doc.getRoot().getChild( 1 ), 'end' );
+				} );
+
+				simulateTyping( ' a bar' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph language="cs">Jdu k\u00A0domu</paragraph><paragraph>Foo a bar</paragraph>'
+				);
+			} );
+		} );
+
+		it( 'should use the configured words', () => {
+			return createEditorInstance( {
+				language: 'pl',
+				typing: {
+					transformations: {
+						extra: [ 'orphans' ],
+						orphans: { pl: [ 'we' ] }
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Kot we w domu' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Kot we\u00A0w domu</paragraph>' );
+			} );
+		} );
+
+		it( 'should keep the default words for other languages when the words for one language are configured', () => {
+			return createEditorInstance( {
+				language: 'cs',
+				typing: {
+					transformations: {
+						extra: [ 'orphans' ],
+						orphans: { pl: [ 'we' ] }
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>[]</paragraph>' );
+
+				simulateTyping( 'Jdu k domu' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Jdu k\u00A0domu</paragraph>' );
+			} );
+		} );
+	} );
+
+	describe( 'latexSymbols', () => {
+		it( 'should not be enabled by default', () => {
+			return createEditorInstance().then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '\\alpha ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo \\alpha </paragraph>' );
+			} );
+		} );
+
+		it( 'should replace the commands and keep the typed terminator', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra: [ 'latexSymbols' ] }
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '\\sum \\infty, \\alpha\\beta \\unknown \\rightarrow' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal(
+					'<paragraph>Foo ∑ ∞, αβ \\unknown \\rightarrow</paragraph>'
+				);
+			} );
+		} );
+
+		it( 'should use the table from the configuration', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						extra: [ 'latexSymbols' ],
+						latexSymbols: { euro: '€' }
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '\\euro \\alpha ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo € \\alpha </paragraph>' );
+			} );
+		} );
+	} );
+
+	describe( 'content language', () => {
+		it( 'should use the quotes for the language of the editor', () => {
+			return createEditorInstance( { language: 'pl' } ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '"Bar" \'baz\'' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo „Bar” ‚baz’</paragraph>' );
+			} );
+		} );
+
+		it( 'should match the language with a region subtag', () => {
+			return createEditorInstance( { language: 'en-GB' } ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '\'Bar\' "baz"' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo ‘Bar’ “baz”</paragraph>' );
+			} );
+		} );
+
+		it( 'should match the primary language subtag', () => {
+			return createEditorInstance( { language: 'pl-PL' } ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '"Bar"' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo „Bar”</paragraph>' );
+			} );
+		} );
+
+		it( 'should use the English quotes for a language without own quotes', () => {
+			return createEditorInstance( { language: 'xx' } ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '"Bar"' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo “Bar”</paragraph>' );
+			} );
+		} );
+
+		it( 'should use the language of the block being typed in', () => {
+			return createEditorInstance().then( () => {
+				model.schema.extend( 'paragraph', { allowAttributes: 'language' } );
+
+				setData( model, '<paragraph>Foo</paragraph><paragraph language="pl">Foo []</paragraph>' );
+
+				simulateTyping( '"Bar"' );
+
+				expect( getData( model, { withoutSelection: true } ) )
+					.to.equal( '<paragraph>Foo</paragraph><paragraph language="pl">Foo „Bar”</paragraph>' );
+
+				model.change( writer => {
+					writer.setSelection( doc.getRoot().getChild( 0 ), 'end' );
+				} );
+
+				simulateTyping( ' "Bar"' );
+
+				expect( getData( model, { withoutSelection: true } ) )
+					.to.equal( '<paragraph>Foo “Bar”</paragraph><paragraph language="pl">Foo „Bar”</paragraph>' );
+			} );
+		} );
+
+		it( 'should prefer the language of the block over the language of the editor', () => {
+			return createEditorInstance( { language: 'pl' } ).then( () => {
+				model.schema.extend( 'paragraph', { allowAttributes: 'language' } );
+
+				setData( model, '<paragraph language="en-GB">Foo []</paragraph>' );
+
+				simulateTyping( '\'Bar\'' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph language="en-GB">Foo ‘Bar’</paragraph>' );
+			} );
+		} );
+
+		it( 'should allow extending the language groups', () => {
+			return createEditorInstance( {
+				language: 'cy',
+				typing: {
+					transformations: {
+						languageGroups: {
+							quotes: {
+								cy: 'quotesEnGb'
+							}
+						}
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '\'Bar\'' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo ‘Bar’</paragraph>' );
+				expect( editor.config.get( 'typing.transformations.languageGroups.quotes.pl' ) ).to.equal( 'quotesPl' );
+			} );
+		} );
+
+		it( 'should allow defining language groups with the lists of transformations', () => {
+			return createEditorInstance( {
+				language: 'pl',
+				typing: {
+					transformations: {
+						languageGroups: {
+							quotes: {
+								pl: [ 'quotesPrimaryPl' ]
+							}
+						}
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '"Bar" \'baz\'' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo „Bar” \'baz\'</paragraph>' );
+			} );
+		} );
+
+		it( 'should not restrict the language of the transformation enabled on its own', () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						include: [ 'quotesSecondaryPl', 'quotes' ],
+						languageGroups: {
+							quotes: {
+								en: [ 'quotesPrimary' ]
+							}
+						}
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '\'Bar\'' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo ‚Bar’</paragraph>' );
+			} );
+		} );
+
+		it( 'should remove all transformations of the language group', () => {
+			return createEditorInstance( {
+				language: 'pl',
+				typing: {
+					transformations: {
+						remove: [ 'quotes' ]
+					}
+				}
+			} ).then( () => {
+				setData( model, '<paragraph>Foo []</paragraph>' );
+
+				simulateTyping( '"Bar"' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo "Bar"</paragraph>' );
+				expect( Array.from( editor.plugins.get( TextTransformation ).transformations ).map( item => item.name ) )
+					.to.not.include( 'quotesPrimaryPl' );
+			} );
+		} );
+	} );
+
+	describe( 'runtime API', () => {
+		let plugin;
+
+		beforeEach( () => {
+			return createEditorInstance( {
+				typing: {
+					transformations: {
+						include: [ 'symbols', { from: 'CKE', to: 'CKEditor' } ]
+					}
+				}
+			} ).then( () => {
+				plugin = editor.plugins.get( TextTransformation );
+
+				setData( model, '<paragraph>[]</paragraph>' );
+			} );
+		} );
+
+		describe( 'transformations', () => {
+			it( 'should contain active transformations', () => {
+				const names = Array.from( plugin.transformations ).map( transformation => transformation.name );
+
+				expect( names.slice( 0, 3 ) ).to.deep.equal( [ 'copyright', 'registeredTrademark', 'trademark' ] );
+				expect( names ).to.have.length( 4 );
+				expect( plugin.transformations.get( 'copyright' ) ).to.include( { from: '(c)', to: '©' } );
+				expect( plugin.transformations.get( 3 ) ).to.include( { from: 'CKE', to: 'CKEditor' } );
+			} );
+
+			it( 'should fire events when transformations are enabled and disabled', () => {
+				const addSpy = sinon.spy();
+				const removeSpy = sinon.spy();
+
+				plugin.transformations.on( 'add', addSpy );
+				plugin.transformations.on( 'remove', removeSpy );
+
+				plugin.enable( 'horizontalEllipsis' );
+				plugin.disable( 'copyright' );
+
+				sinon.assert.calledOnce( addSpy );
+				sinon.assert.calledWith( addSpy, sinon.match.any, sinon.match( { name: 'horizontalEllipsis' } ) );
+				sinon.assert.calledOnce( removeSpy );
+				sinon.assert.calledWith( removeSpy, sinon.match.any, sinon.match( { name: 'copyright' } ) );
+			} );
+		} );
+
+		describe( 'enable()', () => {
+			it( 'should enable a named transformation', () => {
+				plugin.enable( 'horizontalEllipsis' );
+
+				simulateTyping( 'foo...' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo…</paragraph>' );
+			} );
+
+			it( 'should enable all transformations from a group', () => {
+				plugin.enable( 'mathematical' );
+
+				simulateTyping( '1/2 <= ' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>½ ≤ </paragraph>' );
+			} );
+
+			it( 'should not duplicate already enabled transformations', () => {
+				plugin.enable( 'symbols' );
+
+				expect( plugin.transformations ).to.have.length( 4 );
+
+				simulateTyping( '(c)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>©</paragraph>' );
+			} );
+
+			it( 'should enable the transformations from a language group', () => {
+				plugin.enable( 'quotes' );
+
+				simulateTyping( '"foo"' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>“foo”</paragraph>' );
+			} );
+
+			it( 'should ignore unknown names', () => {
+				plugin.enable( 'foo' );
+
+				expect( plugin.transformations ).to.have.length( 4 );
+			} );
+		} );
+
+		describe( 'disable()', () => {
+			it( 'should disable a named transformation', () => {
+				plugin.disable( 'trademark' );
+
+				simulateTyping( '(tm)(c)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)©</paragraph>' );
+			} );
+
+			it( 'should disable all transformations from a group', () => {
+				plugin.disable( 'symbols' );
+
+				simulateTyping( '(tm)(c)CKE' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)(c)CKEditor</paragraph>' );
+			} );
+
+			it( 'should allow enabling the transformation again', () => {
+				plugin.disable( 'symbols' );
+				plugin.enable( 'copyright' );
+
+				simulateTyping( '(tm)(c)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(tm)©</paragraph>' );
+			} );
+
+			it( 'should ignore not enabled transformations', () => {
+				plugin.disable( 'quotes' );
+
+				expect( plugin.transformations ).to.have.length( 4 );
+			} );
+
+			it( 'should disable all transformations from a language group', () => {
+				plugin.enable( 'quotes' );
+				plugin.disable( 'quotes' );
+
+				expect( plugin.transformations ).to.have.length( 4 );
+
+				simulateTyping( '"foo"' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>"foo"</paragraph>' );
+			} );
+		} );
+
+		describe( 'add()', () => {
+			it( 'should throw if the transformation cannot be applied safely and keep the previous one', () => {
+				expect( () => {
+					plugin.add( 'copyright', { from: /(\()(c)(\))$/, to: '©' } );
+				} ).to.throw( CKEditorError, /^text-transformation-string-to-with-regexp-from:/ );
+
+				simulateTyping( '(c)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>©</paragraph>' );
+			} );
+
+			it( 'should add and enable a named transformation', () => {
+				plugin.add( 'ckeditor5', { from: 'ck5', to: 'CKEditor 5' } );
+
+				expect( plugin.transformations.get( 'ckeditor5' ) ).to.include( { from: 'ck5', to: 'CKEditor 5' } );
+
+				simulateTyping( 'ck5' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>CKEditor 5</paragraph>' );
+			} );
+
+			it( 'should replace a transformation with the same name', () => {
+				plugin.add( 'copyright', { from: '(C)', to: '©' } );
+
+				simulateTyping( '(c)(C)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(c)©</paragraph>' );
+			} );
+
+			it( 'should allow disabling and enabling the added transformation', () => {
+				plugin.add( 'ckeditor5', { from: 'ck5', to: 'CKEditor 5' } );
+				plugin.disable( 'ckeditor5' );
+
+				simulateTyping( 'ck5' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>ck5</paragraph>' );
+
+				plugin.enable( 'ckeditor5' );
+
+				simulateTyping( ' ck5' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>ck5 CKEditor 5</paragraph>' );
+			} );
+		} );
+
+		describe( 'remove()', () => {
+			it( 'should disable the transformation and make it unknown', () => {
+				plugin.remove( 'copyright' );
+				plugin.enable( 'copyright' );
+
+				expect( plugin.transformations.has( 'copyright' ) ).to.be.false;
+
+				simulateTyping( '(c)' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>(c)</paragraph>' );
+			} );
+
+			it( 'should remove the transformation added at runtime', () => {
+				plugin.add( 'ckeditor5', { from: 'ck5', to: 'CKEditor 5' } );
+				plugin.remove( 'ckeditor5' );
+
+				simulateTyping( 'ck5' );
+
+				expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>ck5</paragraph>' );
+			} );
+		} );
+
+		describe( 'findReplacements()', () => {
+			let position;
+
+			beforeEach( () => {
+				setData( model, '<paragraph>Foo (c)[]</paragraph>' );
+
+				position = doc.selection.focus;
+			} );
+
+			it( 'should return the replacements of the active transformations', () => {
+				expect( plugin.findReplacements( 'Foo (c)', position, position.nodeBefore ) ).to.deep.equal( [
+					{ index: 4, from: '(c)', to: '©' }
+				] );
+			} );
+
+			it( 'should return an empty array if nothing is replaced', () => {
+				expect( plugin.findReplacements( 'Foo (c', position, position.nodeBefore ) ).to.deep.equal( [] );
+			} );
+
+			it( 'should use only the transformations with given names, even if they are not active', () => {
+				plugin.disable( 'copyright' );
+
+				expect( plugin.findReplacements( 'Foo (c)', position, position.nodeBefore, [ 'copyright' ] ) ).to.deep.equal( [
+					{ index: 4, from: '(c)', to: '©' }
+				] );
+				expect( plugin.findReplacements( 'Foo (c)', position, position.nodeBefore, [ 'trademark' ] ) ).to.deep.equal( [] );
+			} );
+
+			it( 'should use the current definitions of the named transformations', () => {
+				expect( plugin.findReplacements( 'Foo (c)', position, position.nodeBefore, [ 'copyright' ] ) ).to.have.length( 1 );
+
+				plugin.add( 'copyright', { from: '(c)', to: 'Copyright' } );
+
+				expect( plugin.findReplacements( 'Foo (c)', position, position.nodeBefore, [ 'copyright' ] ) ).to.deep.equal( [
+					{ index: 4, from: '(c)', to: 'Copyright' }
+				] );
+
+				plugin.remove( 'copyright' );
+
+				expect( plugin.findReplacements( 'Foo (c)', position, position.nodeBefore, [ 'copyright' ] ) ).to.deep.equal( [] );
+			} );
+
+			it( 'should skip the transformations which change the model with a callback', () => {
+				plugin.add( 'callback', { from: /(c\))$/, to: () => () => {}, priority: 'high' } );
+
+				expect( plugin.findReplacements( 'Foo (c)', position, position.nodeBefore ) ).to.deep.equal( [
+					{ index: 4, from: '(c)', to: '©' }
+				] );
+			} );
+
+			it( 'should check the context of the transformations', () => {
+				setData( model, '<paragraph><$text code="true">Foo (c)[]</$text></paragraph>' );
+
+				position = doc.selection.focus;
+
+				expect( plugin.findReplacements( 'Foo (c)', position, position.nodeBefore ) ).to.deep.equal( [] );
+			} );
+		} );
+	} );
+
+	describe( 'many transformations', () => {
+		let getTextSpy;
+
+		beforeEach( () => {
+			const extra = [];
+
+			for ( let i = 0; i < 500; i++ ) {
+				extra.push( { from: `:word${ i }`, to: `Word${ i }` } );
+			}
+
+			return createEditorInstance( {
+				typing: {
+					transformations: { extra }
+				}
+			} ).then( () => {
+				getTextSpy = sinon.spy( TextWatcher.prototype, '_getText' );
+			} );
+		} );
+
+		afterEach( () => {
+			getTextSpy.restore();
+		} );
+
+		it( 'should read the text before the selection once per change', () => {
+			setData( model, '<paragraph>Foo []</paragraph>' );
+			getTextSpy.resetHistory();
+
+			simulateTyping( 'bar' );
+
+			sinon.assert.calledThrice( getTextSpy );
+		} );
+
+		it( 'should apply all kinds of transformations', () => {
+			setData( model, '<paragraph>Foo []</paragraph>' );
+
+			simulateTyping( ':word321 (c) -- "bar"' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo Word321 © – “bar”</paragraph>' );
+		} );
+	} );
+
+	describe( 'long paragraphs', () => {
+		const longText = 'Foo bar. '.repeat( 200 );
+
+		beforeEach( createEditorInstance );
+
+		it( 'should apply the transformations at the end of a long paragraph', () => {
+			setData( model, `<paragraph>${ longText }[]</paragraph>` );
+
+			simulateTyping( '(c) -- "baz"' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( `<paragraph>${ longText }© – “baz”</paragraph>` );
+		} );
+
+		it( 'should match the transformations only against the end of a long paragraph', () => {
+			const plugin = editor.plugins.get( TextTransformation );
+
+			plugin.add( 'foo', { from: /(foo)$/, to: 'bar' } );
+
+			const execSpy = sinon.spy( plugin.transformations.get( 'foo' ).from, 'exec' );
+
+			setData( model, `<paragraph>${ longText }[]</paragraph>` );
+
+			simulateTyping( 'foo' );
+
+			expect( execSpy.lastCall.args[ 0 ] ).to.have.length( 1000 );
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( `<paragraph>${ longText }bar</paragraph>` );
+		} );
+	} );
+
+	function createEditorInstance( additionalConfig = {} ) {
+		return ClassicTestEditor
+			.create( editorElement, Object.assign( {
+				plugins: [ Typing, Paragraph, Bold, Code, TextTransformation ]
+			}, additionalConfig ) )
+			.then( newEditor => {
+				editor = newEditor;
+
+				model = editor.model;
+				doc = model.document;
+			} );
+	}
+
+	function testTransformation( transformFrom, transformTo, textInParagraph = 'A foo' ) {
+		it( `should transform "${ transformFrom }" to "${ transformTo }"`, () => {
+			setData( model, `<paragraph>${ textInParagraph }[]</paragraph>` );
+
+			simulateTyping( transformFrom );
+
+			expect( getData( model, { withoutSelection: true } ) )
+				.to.equal( `<paragraph>${ textInParagraph }${ transformTo }</paragraph>` );
+		} );
+
+		it( `should not transform "${ transformFrom }" to "${ transformTo }" inside text`, () => {
+			setData( model, '<paragraph>[]</paragraph>' );
+
+			// Insert text - should not be transformed.
+			model.enqueueChange( model.createBatch(), writer => {
+				writer.insertText( `${ textInParagraph }${ transformFrom } bar`, doc.selection.focus );
+			} );
+
+			// Enforce text watcher check after insertion.
+			model.enqueueChange( model.createBatch(), writer => {
+				writer.insertText( ' ', doc.selection.focus );
+			} );
+
+			expect( getData( model, { withoutSelection: true } ) )
+				.to.equal( `<paragraph>${ textInParagraph }${ transformFrom } bar </paragraph>` );
+		} );
 	}
 
 	function simulateTyping( transformFrom ) {
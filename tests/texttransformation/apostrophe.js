@@ -0,0 +1,52 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { createApostropheTransformation } from '../../src/texttransformation/apostrophe';
+import transform from '../_utils/transform';
+
+describe( 'apostrophe', () => {
+	describe( 'createApostropheTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createApostropheTransformation();
+		} );
+
+		it( 'should replace an apostrophe between letters', () => {
+			expect( transform( transformation, 'don\'t' ) ).to.equal( 'don’t' );
+			expect( transform( transformation, 'Foo l\'é' ) ).to.equal( 'Foo l’é' );
+		} );
+
+		it( 'should replace an apostrophe after a trailing "s"', () => {
+			expect( transform( transformation, 'the boss\' ' ) ).to.equal( 'the boss’ ' );
+			expect( transform( transformation, 'the BOSS\'.' ) ).to.equal( 'the BOSS’.' );
+		} );
+
+		it( 'should not replace an apostrophe before the next character is typed', () => {
+			expect( transform( transformation, 'don\'' ) ).to.be.null;
+		} );
+
+		it( 'should not replace a quotation mark after other letters', () => {
+			expect( transform( transformation, 'foo\' ' ) ).to.be.null;
+			expect( transform( transformation, 'foo\'1' ) ).to.be.null;
+			expect( transform( transformation, '1\'s' ) ).to.be.null;
+		} );
+
+		it( 'should replace a closing quotation mark followed by a letter', () => {
+			expect( transform( transformation, '‚Ich don‘t' ) ).to.equal( '‚Ich don’t' );
+			expect( transform( transformation, '‹Ich don›t' ) ).to.equal( '‹Ich don’t' );
+		} );
+
+		it( 'should not replace a closing quotation mark followed by a space', () => {
+			expect( transform( transformation, '‚Ich bin‘ ' ) ).to.be.null;
+			expect( transform( transformation, '‚Ich bins‘ ' ) ).to.be.null;
+		} );
+
+		it( 'should not change the double quotation marks', () => {
+			expect( transform( transformation, ' “Foo”s' ) ).to.be.null;
+			expect( transform( transformation, ' „Foo“s' ) ).to.be.null;
+		} );
+	} );
+} );
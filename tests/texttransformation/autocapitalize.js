@@ -0,0 +1,108 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import {
+	DEFAULT_CAPITALIZATION_EXCEPTIONS,
+	createBlockCapitalizationTransformation,
+	createSentenceCapitalizationTransformation
+} from '../../src/texttransformation/autocapitalize';
+import transform from '../_utils/transform';
+
+describe( 'autocapitalize', () => {
+	describe( 'DEFAULT_CAPITALIZATION_EXCEPTIONS', () => {
+		it( 'should contain the common English abbreviations', () => {
+			expect( DEFAULT_CAPITALIZATION_EXCEPTIONS.en ).to.include.members( [ 'e.g.', 'i.e.', 'dr.' ] );
+		} );
+	} );
+
+	describe( 'createBlockCapitalizationTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createBlockCapitalizationTransformation();
+		} );
+
+		it( 'should capitalize the first letter of a block', () => {
+			expect( transform( transformation, 'f' ) ).to.equal( 'F' );
+			expect( transform( transformation, 'ż' ) ).to.equal( 'Ż' );
+		} );
+
+		it( 'should capitalize the first letter after an opening quotation mark or bracket', () => {
+			expect( transform( transformation, '"f' ) ).to.equal( '"F' );
+			expect( transform( transformation, '(„f' ) ).to.equal( '(„F' );
+		} );
+
+		it( 'should not capitalize other letters', () => {
+			expect( transform( transformation, 'Fo' ) ).to.be.null;
+			expect( transform( transformation, ' f' ) ).to.be.null;
+			expect( transform( transformation, '1f' ) ).to.be.null;
+		} );
+
+		it( 'should not replace a capital letter', () => {
+			expect( transform( transformation, 'F' ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'createSentenceCapitalizationTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createSentenceCapitalizationTransformation( {
+				en: [ 'e.g.', 'Dr.' ],
+				pl: [ 'np.' ]
+			} );
+		} );
+
+		it( 'should capitalize the first letter after the end of a sentence', () => {
+			expect( transform( transformation, 'Foo. b' ) ).to.equal( 'Foo. B' );
+			expect( transform( transformation, 'Foo! b' ) ).to.equal( 'Foo! B' );
+			expect( transform( transformation, 'Foo? b' ) ).to.equal( 'Foo? B' );
+			expect( transform( transformation, 'Foo?! b' ) ).to.equal( 'Foo?! B' );
+			expect( transform( transformation, 'Foo.  b' ) ).to.equal( 'Foo.  B' );
+		} );
+
+		it( 'should capitalize the first letter after closing and opening quotation marks', () => {
+			expect( transform( transformation, '"Foo." b' ) ).to.equal( '"Foo." B' );
+			expect( transform( transformation, 'Foo. "b' ) ).to.equal( 'Foo. "B' );
+			expect( transform( transformation, '(Foo.) (b' ) ).to.equal( '(Foo.) (B' );
+		} );
+
+		it( 'should not capitalize the letters which do not start a sentence', () => {
+			expect( transform( transformation, 'Foo b' ) ).to.be.null;
+			expect( transform( transformation, 'Foo, b' ) ).to.be.null;
+			expect( transform( transformation, 'Foo.b' ) ).to.be.null;
+			expect( transform( transformation, 'Foo. Bar b' ) ).to.be.null;
+		} );
+
+		it( 'should not capitalize after the abbreviations from the exceptions', () => {
+			expect( transform( transformation, 'Foo e.g. b' ) ).to.be.null;
+			expect( transform( transformation, 'Foo (e.g. b' ) ).to.be.null;
+			expect( transform( transformation, 'Foo dr. b' ) ).to.be.null;
+			expect( transform( transformation, 'Foo DR. b' ) ).to.be.null;
+		} );
+
+		it( 'should use the exceptions for the content language', () => {
+			expect( transform( transformation, 'Foo np. b', 'pl' ) ).to.be.null;
+			expect( transform( transformation, 'Foo np. b', 'pl-pl' ) ).to.be.null;
+			expect( transform( transformation, 'Foo e.g. b', 'pl' ) ).to.equal( 'Foo e.g. B' );
+			expect( transform( transformation, 'Foo np. b' ) ).to.equal( 'Foo np. B' );
+		} );
+
+		it( 'should not capitalize after numbers', () => {
+			expect( transform( transformation, 'The 3. b' ) ).to.be.null;
+			expect( transform( transformation, '1. b' ) ).to.be.null;
+		} );
+
+		it( 'should not capitalize after URLs and e-mail addresses', () => {
+			expect( transform( transformation, 'See https://example.com. b' ) ).to.be.null;
+			expect( transform( transformation, 'See www.example.com. b' ) ).to.be.null;
+			expect( transform( transformation, 'Write to foo@example.com. b' ) ).to.be.null;
+		} );
+
+		it( 'should not replace a capital letter', () => {
+			expect( transform( transformation, 'Foo. B' ) ).to.be.null;
+		} );
+	} );
+} );
@@ -0,0 +1,97 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { DEFAULT_AUTOCORRECT_DICTIONARIES, createAutocorrectTransformation } from '../../src/texttransformation/autocorrect';
+import transform from '../_utils/transform';
+
+describe( 'autocorrect', () => {
+	describe( 'DEFAULT_AUTOCORRECT_DICTIONARIES', () => {
+		it( 'should contain the English dictionary with lowercase words', () => {
+			const words = Object.keys( DEFAULT_AUTOCORRECT_DICTIONARIES.en );
+
+			expect( words ).to.include( 'teh' );
+			expect( words ).to.include( 'recieve' );
+
+			for ( const word of words ) {
+				expect( word ).to.equal( word.toLowerCase() );
+			}
+		} );
+
+		it( 'should use the typographic apostrophe in the English corrections', () => {
+			const corrections = Object.values( DEFAULT_AUTOCORRECT_DICTIONARIES.en );
+
+			expect( DEFAULT_AUTOCORRECT_DICTIONARIES.en.dont ).to.equal( 'don’t' );
+
+			for ( const correction of corrections ) {
+				expect( correction ).to.not.include( '\'' );
+			}
+		} );
+	} );
+
+	describe( 'createAutocorrectTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createAutocorrectTransformation( {
+				en: { teh: 'the', dont: 'don\'t', Recieve: 'receive', alot: null },
+				'EN-GB': { color: 'colour' },
+				pl: { wogle: 'w ogóle' }
+			} );
+		} );
+
+		it( 'should correct a word when a word boundary is typed after it', () => {
+			expect( transform( transformation, 'Foo teh ' ) ).to.equal( 'Foo the ' );
+			expect( transform( transformation, 'Foo teh.' ) ).to.equal( 'Foo the.' );
+			expect( transform( transformation, 'Foo teh,' ) ).to.equal( 'Foo the,' );
+			expect( transform( transformation, 'Foo teh?' ) ).to.equal( 'Foo the?' );
+			expect( transform( transformation, '(teh)' ) ).to.equal( '(the)' );
+			expect( transform( transformation, 'teh ' ) ).to.equal( 'the ' );
+		} );
+
+		it( 'should not correct a word before a word boundary is typed', () => {
+			expect( transform( transformation, 'Foo teh' ) ).to.be.null;
+		} );
+
+		it( 'should not correct a part of a word', () => {
+			expect( transform( transformation, 'Foo ateh ' ) ).to.be.null;
+			expect( transform( transformation, 'Foo 1teh ' ) ).to.be.null;
+			expect( transform( transformation, 'Foo tehs ' ) ).to.be.null;
+		} );
+
+		it( 'should correct the words with apostrophes', () => {
+			expect( transform( transformation, 'I dont ' ) ).to.equal( 'I don\'t ' );
+			expect( transform( transformation, 'I \'dont\'' ) ).to.equal( 'I \'don\'t\'' );
+		} );
+
+		it( 'should keep the case of the typed word', () => {
+			expect( transform( transformation, 'Teh ' ) ).to.equal( 'The ' );
+			expect( transform( transformation, 'TEH ' ) ).to.equal( 'THE ' );
+			expect( transform( transformation, 'DONT ' ) ).to.equal( 'DON\'T ' );
+		} );
+
+		it( 'should match the words case-insensitively', () => {
+			expect( transform( transformation, 'recieve ' ) ).to.equal( 'receive ' );
+		} );
+
+		it( 'should skip the words without a correction', () => {
+			expect( transform( transformation, 'alot ' ) ).to.be.null;
+		} );
+
+		it( 'should use the dictionary of the content language', () => {
+			expect( transform( transformation, 'wogle ', 'pl' ) ).to.equal( 'w ogóle ' );
+			expect( transform( transformation, 'teh ', 'pl' ) ).to.be.null;
+		} );
+
+		it( 'should use the dictionary of the primary language subtag', () => {
+			expect( transform( transformation, 'teh ', 'en-us' ) ).to.equal( 'the ' );
+			expect( transform( transformation, 'color ', 'en-gb' ) ).to.equal( 'colour ' );
+			expect( transform( transformation, 'color ', 'en' ) ).to.be.null;
+		} );
+
+		it( 'should not correct words in the content in other languages', () => {
+			expect( transform( transformation, 'teh ', 'de' ) ).to.be.null;
+		} );
+	} );
+} );
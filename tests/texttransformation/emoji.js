@@ -0,0 +1,79 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import {
+	DEFAULT_EMOJI_SHORTCODES,
+	DEFAULT_EMOTICONS,
+	createEmojiShortcodesTransformation,
+	createEmoticonsTransformation
+} from '../../src/texttransformation/emoji';
+import transform from '../_utils/transform';
+
+describe( 'emoji', () => {
+	describe( 'DEFAULT_EMOJI_SHORTCODES', () => {
+		it( 'should contain the common shortcodes', () => {
+			expect( DEFAULT_EMOJI_SHORTCODES ).to.include( { smile: '😄', '+1': '👍', tada: '🎉' } );
+		} );
+	} );
+
+	describe( 'DEFAULT_EMOTICONS', () => {
+		it( 'should contain the common emoticons', () => {
+			expect( DEFAULT_EMOTICONS ).to.include( { ':)': '🙂', ';)': '😉', '<3': '❤️' } );
+		} );
+	} );
+
+	describe( 'createEmojiShortcodesTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createEmojiShortcodesTransformation( { smile: '😄', '+1': '👍' } );
+		} );
+
+		it( 'should replace a shortcode when the closing colon is typed', () => {
+			expect( transform( transformation, 'Foo :smile:' ) ).to.equal( 'Foo 😄' );
+			expect( transform( transformation, ':+1:' ) ).to.equal( '👍' );
+		} );
+
+		it( 'should not replace a shortcode before the closing colon is typed', () => {
+			expect( transform( transformation, 'Foo :smile' ) ).to.be.null;
+		} );
+
+		it( 'should not replace unknown shortcodes', () => {
+			expect( transform( transformation, 'Foo :smiles:' ) ).to.be.null;
+			expect( transform( transformation, 'At 10:30:' ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'createEmoticonsTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createEmoticonsTransformation( { ':)': '🙂', ':-)': '🙂', '<3': '❤️', '-)': '😶' } );
+		} );
+
+		it( 'should replace an emoticon typed as a separate word', () => {
+			expect( transform( transformation, 'Foo :) ' ) ).to.equal( 'Foo 🙂 ' );
+			expect( transform( transformation, ':) ' ) ).to.equal( '🙂 ' );
+			expect( transform( transformation, 'Foo <3!' ) ).to.equal( 'Foo ❤️!' );
+			expect( transform( transformation, 'Foo :-).' ) ).to.equal( 'Foo 🙂.' );
+		} );
+
+		it( 'should not replace an emoticon before a word boundary is typed', () => {
+			expect( transform( transformation, 'Foo :)' ) ).to.be.null;
+			expect( transform( transformation, 'Foo :)b' ) ).to.be.null;
+		} );
+
+		it( 'should not replace an emoticon inside a word', () => {
+			expect( transform( transformation, 'a:) ' ) ).to.be.null;
+			expect( transform( transformation, 'Foo:-) ' ) ).to.be.null;
+		} );
+
+		it( 'should not match anything when there are no emoticons', () => {
+			transformation = createEmoticonsTransformation( {} );
+
+			expect( transform( transformation, 'Foo :) ' ) ).to.be.null;
+		} );
+	} );
+} );
@@ -0,0 +1,92 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import {
+	createSpaceAfterGuillemetTransformation,
+	createSpaceBeforePunctuationTransformation
+} from '../../src/texttransformation/frenchspacing';
+import transform from '../_utils/transform';
+
+describe( 'frenchspacing', () => {
+	describe( 'createSpaceBeforePunctuationTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createSpaceBeforePunctuationTransformation();
+		} );
+
+		it( 'should insert the narrow no-break space before the punctuation mark', () => {
+			expect( transform( transformation, 'Quoi?' ) ).to.equal( 'Quoi\u202f?' );
+			expect( transform( transformation, 'Bonjour!' ) ).to.equal( 'Bonjour\u202f!' );
+			expect( transform( transformation, 'Foo;' ) ).to.equal( 'Foo\u202f;' );
+			expect( transform( transformation, 'Attention:' ) ).to.equal( 'Attention\u202f:' );
+			expect( transform( transformation, '«\u202fFoo»' ) ).to.equal( '«\u202fFoo\u202f»' );
+		} );
+
+		it( 'should replace the space typed before the punctuation mark', () => {
+			expect( transform( transformation, 'Quoi ?' ) ).to.equal( 'Quoi\u202f?' );
+			expect( transform( transformation, 'Quoi\u00a0?' ) ).to.equal( 'Quoi\u202f?' );
+		} );
+
+		it( 'should not change the existing narrow no-break space', () => {
+			expect( transform( transformation, 'Quoi\u202f?' ) ).to.be.null;
+		} );
+
+		it( 'should not transform the punctuation mark at the beginning of the text', () => {
+			expect( transform( transformation, '?' ) ).to.be.null;
+			expect( transform( transformation, ' ?' ) ).to.be.null;
+		} );
+
+		it( 'should not transform the punctuation marks typed one after another', () => {
+			expect( transform( transformation, 'Quoi\u202f?!' ) ).to.be.null;
+			expect( transform( transformation, 'Quoi\u202f!!' ) ).to.be.null;
+		} );
+
+		it( 'should transform the punctuation mark after the closing guillemet', () => {
+			expect( transform( transformation, '«\u202fOui\u202f» !' ) ).to.equal( '«\u202fOui\u202f»\u202f!' );
+		} );
+
+		it( 'should not transform the colon after a digit', () => {
+			expect( transform( transformation, 'À 12:' ) ).to.be.null;
+		} );
+
+		it( 'should not transform the punctuation marks in addresses', () => {
+			expect( transform( transformation, 'Voir http:' ) ).to.be.null;
+			expect( transform( transformation, 'Voir mailto:' ) ).to.be.null;
+			expect( transform( transformation, 'Voir https://example.com/?' ) ).to.be.null;
+			expect( transform( transformation, 'Voir www.example.com?' ) ).to.be.null;
+			expect( transform( transformation, 'Voir foo@example.com?' ) ).to.be.null;
+		} );
+
+		it( 'should be applied only to the French content', () => {
+			expect( transformation.language ).to.equal( 'fr' );
+		} );
+	} );
+
+	describe( 'createSpaceAfterGuillemetTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createSpaceAfterGuillemetTransformation();
+		} );
+
+		it( 'should replace the space typed after the guillemet', () => {
+			expect( transform( transformation, 'Il dit « ' ) ).to.equal( 'Il dit «\u202f' );
+			expect( transform( transformation, 'Il dit «\u00a0' ) ).to.equal( 'Il dit «\u202f' );
+		} );
+
+		it( 'should insert the narrow no-break space after the guillemet', () => {
+			expect( transform( transformation, 'Il dit «F' ) ).to.equal( 'Il dit «\u202fF' );
+		} );
+
+		it( 'should not change the existing narrow no-break space', () => {
+			expect( transform( transformation, 'Il dit «\u202f' ) ).to.be.null;
+		} );
+
+		it( 'should be applied only to the French content', () => {
+			expect( transformation.language ).to.equal( 'fr' );
+		} );
+	} );
+} );
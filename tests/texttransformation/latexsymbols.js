@@ -0,0 +1,61 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { DEFAULT_LATEX_SYMBOLS, createLatexSymbolsTransformation } from '../../src/texttransformation/latexsymbols';
+import transform from '../_utils/transform';
+
+describe( 'latexsymbols', () => {
+	describe( 'DEFAULT_LATEX_SYMBOLS', () => {
+		it( 'should contain the common symbols', () => {
+			expect( DEFAULT_LATEX_SYMBOLS ).to.include( {
+				alpha: 'α',
+				Omega: 'Ω',
+				sum: '∑',
+				infty: '∞',
+				rightarrow: '→',
+				leq: '≤'
+			} );
+		} );
+	} );
+
+	describe( 'createLatexSymbolsTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createLatexSymbolsTransformation( { alpha: 'α', delta: 'δ', Delta: 'Δ', to: '→', pi: null } );
+		} );
+
+		it( 'should replace a command when a space or a punctuation mark is typed after it', () => {
+			expect( transform( transformation, 'Foo \\alpha ' ) ).to.equal( 'Foo α ' );
+			expect( transform( transformation, '\\alpha.' ) ).to.equal( 'α.' );
+			expect( transform( transformation, 'f(\\alpha)' ) ).to.equal( 'f(α)' );
+			expect( transform( transformation, 'x \\to\u00a0' ) ).to.equal( 'x →\u00a0' );
+		} );
+
+		it( 'should replace a command when another command is started after it', () => {
+			expect( transform( transformation, '\\alpha\\' ) ).to.equal( 'α\\' );
+		} );
+
+		it( 'should replace a command typed right after other text', () => {
+			expect( transform( transformation, 'x=\\alpha ' ) ).to.equal( 'x=α ' );
+		} );
+
+		it( 'should not replace a command before a terminator is typed', () => {
+			expect( transform( transformation, 'Foo \\alpha' ) ).to.be.null;
+			expect( transform( transformation, 'Foo \\alpha2' ) ).to.be.null;
+		} );
+
+		it( 'should be case-sensitive', () => {
+			expect( transform( transformation, '\\delta ' ) ).to.equal( 'δ ' );
+			expect( transform( transformation, '\\Delta ' ) ).to.equal( 'Δ ' );
+			expect( transform( transformation, '\\ALPHA ' ) ).to.be.null;
+		} );
+
+		it( 'should not replace unknown or disabled commands', () => {
+			expect( transform( transformation, '\\alphabet ' ) ).to.be.null;
+			expect( transform( transformation, '\\pi ' ) ).to.be.null;
+		} );
+	} );
+} );
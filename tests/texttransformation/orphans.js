@@ -0,0 +1,66 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { DEFAULT_ORPHANS, createOrphansTransformation } from '../../src/texttransformation/orphans';
+import transform from '../_utils/transform';
+
+describe( 'orphans', () => {
+	describe( 'DEFAULT_ORPHANS', () => {
+		it( 'should contain the Polish and Czech single-letter words', () => {
+			expect( DEFAULT_ORPHANS.pl ).to.include.members( [ 'w', 'z', 'i', 'a' ] );
+			expect( DEFAULT_ORPHANS.cs ).to.include.members( [ 'v', 'k', 's', 'z' ] );
+		} );
+	} );
+
+	describe( 'createOrphansTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createOrphansTransformation( DEFAULT_ORPHANS );
+		} );
+
+		it( 'should replace the space typed after a short word with the no-break space', () => {
+			expect( transform( transformation, 'Foo w ', 'pl' ) ).to.equal( 'Foo w\u00A0' );
+			expect( transform( transformation, 'Foo i ', 'pl' ) ).to.equal( 'Foo i\u00A0' );
+			expect( transform( transformation, 'Foo v ', 'cs' ) ).to.equal( 'Foo v\u00A0' );
+		} );
+
+		it( 'should replace the space after a short word at the beginning of the text', () => {
+			expect( transform( transformation, 'w ', 'pl' ) ).to.equal( 'w\u00A0' );
+		} );
+
+		it( 'should replace the space after a short word following a bracket, a quote or another short word', () => {
+			expect( transform( transformation, '(w ', 'pl' ) ).to.equal( '(w\u00A0' );
+			expect( transform( transformation, '„w ', 'pl' ) ).to.equal( '„w\u00A0' );
+			expect( transform( transformation, 'i\u00A0w ', 'pl' ) ).to.equal( 'i\u00A0w\u00A0' );
+		} );
+
+		it( 'should match the words case-insensitively', () => {
+			expect( transform( transformation, 'W ', 'pl' ) ).to.equal( 'W\u00A0' );
+		} );
+
+		it( 'should use the list of the primary language', () => {
+			expect( transform( transformation, 'Foo w ', 'pl-pl' ) ).to.equal( 'Foo w\u00A0' );
+		} );
+
+		it( 'should not replace the space after other words', () => {
+			expect( transform( transformation, 'Foo we ', 'pl' ) ).to.be.null;
+			expect( transform( transformation, 'Foo b ', 'pl' ) ).to.be.null;
+			expect( transform( transformation, 'Foo 2w ', 'pl' ) ).to.be.null;
+		} );
+
+		it( 'should not replace the space for the languages without the list', () => {
+			expect( transform( transformation, 'Foo a ', 'en' ) ).to.be.null;
+		} );
+
+		it( 'should use the given lists', () => {
+			const custom = createOrphansTransformation( { PL: [ 'We' ], en: null } );
+
+			expect( transform( custom, 'Foo we ', 'pl' ) ).to.equal( 'Foo we\u00A0' );
+			expect( transform( custom, 'Foo w ', 'pl' ) ).to.be.null;
+			expect( transform( custom, 'Foo a ', 'en' ) ).to.be.null;
+		} );
+	} );
+} );
@@ -0,0 +1,120 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { createQuotesTransformation } from '../../src/texttransformation/quotes';
+import transform from '../_utils/transform';
+
+describe( 'quotes', () => {
+	describe( 'createQuotesTransformation()', () => {
+		let primary, secondary;
+
+		beforeEach( () => {
+			primary = createQuotesTransformation( '"', [ '“', '”' ], [ '‘', '’' ] );
+			secondary = createQuotesTransformation( '\'', [ '‘', '’' ], [ '“', '”' ] );
+		} );
+
+		it( 'should open a quotation at the beginning of the text', () => {
+			expect( transform( primary, '"' ) ).to.equal( '“' );
+			expect( transform( secondary, '\'' ) ).to.equal( '‘' );
+		} );
+
+		it( 'should open a quotation after a space, an opening bracket or a dash', () => {
+			expect( transform( primary, 'Foo "' ) ).to.equal( 'Foo “' );
+			expect( transform( primary, 'Foo\u00a0"' ) ).to.equal( 'Foo\u00a0“' );
+			expect( transform( primary, 'Foo ("' ) ).to.equal( 'Foo (“' );
+			expect( transform( primary, 'Foo ["' ) ).to.equal( 'Foo [“' );
+			expect( transform( primary, 'Foo —"' ) ).to.equal( 'Foo —“' );
+		} );
+
+		it( 'should open a quotation after the opening mark of the other quotation', () => {
+			expect( transform( secondary, 'Foo “\'' ) ).to.equal( 'Foo “‘' );
+			expect( transform( primary, 'Foo ‘"' ) ).to.equal( 'Foo ‘“' );
+		} );
+
+		it( 'should close a quotation after a word or a punctuation mark', () => {
+			expect( transform( primary, 'Foo “bar"' ) ).to.equal( 'Foo “bar”' );
+			expect( transform( primary, 'Foo “bar."' ) ).to.equal( 'Foo “bar.”' );
+		} );
+
+		it( 'should close an empty quotation', () => {
+			expect( transform( primary, 'Foo “"' ) ).to.equal( 'Foo “”' );
+			expect( transform( secondary, 'Foo ‘\'' ) ).to.equal( 'Foo ‘’' );
+		} );
+
+		it( 'should close a quotation which was not opened in the text', () => {
+			expect( transform( primary, 'bar"' ) ).to.equal( 'bar”' );
+		} );
+
+		it( 'should open or close a quotation depending on whether it is open after other characters', () => {
+			expect( transform( primary, 'x = “a”+"' ) ).to.equal( 'x = “a”+“' );
+			expect( transform( primary, 'x = “a”+“b"' ) ).to.equal( 'x = “a”+“b”' );
+			expect( transform( primary, 'x = “a+"' ) ).to.equal( 'x = “a+”' );
+		} );
+
+		it( 'should open the nested quotation inside an open quotation of the same style', () => {
+			expect( transform( primary, '“He said "' ) ).to.equal( '“He said ‘' );
+		} );
+
+		it( 'should close the innermost quotation', () => {
+			expect( transform( primary, '“He said ‘hi"' ) ).to.equal( '“He said ‘hi’' );
+			expect( transform( primary, '“He said ‘hi’."' ) ).to.equal( '“He said ‘hi’.”' );
+			expect( transform( secondary, 'Foo ‘bar “baz”\'' ) ).to.equal( 'Foo ‘bar “baz”’' );
+		} );
+
+		it( 'should turn the single quote typed after a word outside of a secondary quotation into an apostrophe', () => {
+			expect( transform( secondary, 'don\'' ) ).to.equal( 'don’' );
+			expect( transform( secondary, '“I don\'' ) ).to.equal( '“I don’' );
+		} );
+
+		it( 'should leave the single quote typed after a colon or a semicolon unchanged', () => {
+			expect( transform( secondary, 'Foo :\'' ) ).to.be.null;
+			expect( transform( secondary, 'Foo ;\'' ) ).to.be.null;
+			expect( transform( primary, 'Foo:"' ) ).to.equal( 'Foo:”' );
+		} );
+
+		it( 'should ignore the apostrophes when looking for the open quotations', () => {
+			expect( transform( secondary, '‘I don’t know\'' ) ).to.equal( '‘I don’t know’' );
+			expect( transform( secondary, '‘I don’t know, won’t\'' ) ).to.equal( '‘I don’t know, won’t’' );
+		} );
+
+		it( 'should use the marks of the given style', () => {
+			const german = createQuotesTransformation( '\'', [ '‚', '‘' ], [ '„', '“' ] );
+
+			expect( transform( german, 'Foo \'' ) ).to.equal( 'Foo ‚' );
+			expect( transform( german, 'Foo ‚bar\'' ) ).to.equal( 'Foo ‚bar‘' );
+			expect( transform( german, 'Foo don\'' ) ).to.equal( 'Foo don’' );
+		} );
+
+		it( 'should support the marks longer than one character', () => {
+			const french = createQuotesTransformation( '"', [ '« ', ' »' ], [ '“', '”' ] );
+
+			expect( transform( french, 'Foo "' ) ).to.equal( 'Foo « ' );
+			expect( transform( french, 'Foo « bar"' ) ).to.equal( 'Foo « bar »' );
+			expect( transform( french, 'Foo « bar » baz "' ) ).to.equal( 'Foo « bar » baz « ' );
+		} );
+
+		it( 'should open or close a quotation depending only on whether it is open in the CJK languages', () => {
+			const japanese = createQuotesTransformation( '"', [ '「', '」' ], [ '『', '』' ] );
+			const japaneseSecondary = createQuotesTransformation( '\'', [ '『', '』' ], [ '「', '」' ] );
+
+			expect( transform( japanese, '彼は"', 'ja' ) ).to.equal( '彼は「' );
+			expect( transform( japanese, '彼は「こんにちは"', 'ja' ) ).to.equal( '彼は「こんにちは」' );
+			expect( transform( japanese, '彼は「こんにちは」と"', 'ja' ) ).to.equal( '彼は「こんにちは」と「' );
+			expect( transform( japanese, 'Foo "', 'ja' ) ).to.equal( 'Foo 「' );
+			expect( transform( japaneseSecondary, '「彼はdon\'', 'ja-jp' ) ).to.equal( '「彼はdon『' );
+			expect( transform( japaneseSecondary, '「彼は『A\'', 'ja' ) ).to.equal( '「彼は『A』' );
+			expect( transform( japanese, '「彼は "', 'ja' ) ).to.equal( '「彼は 」' );
+		} );
+
+		it( 'should support the same opening and closing marks', () => {
+			const swedish = createQuotesTransformation( '"', [ '”', '”' ], [ '’', '’' ] );
+
+			expect( transform( swedish, 'Foo "' ) ).to.equal( 'Foo ”' );
+			expect( transform( swedish, 'Foo ”bar"' ) ).to.equal( 'Foo ”bar”' );
+			expect( transform( swedish, 'Foo ”bar” "' ) ).to.equal( 'Foo ”bar” ”' );
+			expect( transform( swedish, 'Foo ”bar” ”baz said "' ) ).to.equal( 'Foo ”bar” ”baz said ’' );
+		} );
+	} );
+} );
@@ -0,0 +1,44 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { getLanguageValue, normalizeWordLists, resolveLanguage } from '../../src/texttransformation/utils';
+
+describe( 'texttransformation utils', () => {
+	describe( 'resolveLanguage()', () => {
+		it( 'should match the language in full first', () => {
+			expect( resolveLanguage( 'en-gb', [ 'en', 'en-gb' ] ) ).to.equal( 'en-gb' );
+			expect( resolveLanguage( 'en', [ 'en', 'en-gb' ] ) ).to.equal( 'en' );
+		} );
+
+		it( 'should match the primary language subtag', () => {
+			expect( resolveLanguage( 'en-us', [ 'en', 'en-gb' ] ) ).to.equal( 'en' );
+		} );
+
+		it( 'should return undefined if the language does not match', () => {
+			expect( resolveLanguage( 'de', [ 'en', 'en-gb' ] ) ).to.be.undefined;
+			expect( resolveLanguage( 'en', [ 'en-gb' ] ) ).to.be.undefined;
+		} );
+	} );
+
+	describe( 'getLanguageValue()', () => {
+		it( 'should return the value for the matching language', () => {
+			const values = new Map( [ [ 'en', 1 ], [ 'en-gb', 2 ] ] );
+
+			expect( getLanguageValue( values, 'en-gb' ) ).to.equal( 2 );
+			expect( getLanguageValue( values, 'en-us' ) ).to.equal( 1 );
+			expect( getLanguageValue( values, 'pl' ) ).to.be.undefined;
+		} );
+	} );
+
+	describe( 'normalizeWordLists()', () => {
+		it( 'should convert the lists to the sets of lowercase words by the lowercase language codes', () => {
+			const wordLists = normalizeWordLists( { 'EN-GB': [ 'Dr.', 'e.g.' ], pl: null } );
+
+			expect( Array.from( wordLists.keys() ) ).to.deep.equal( [ 'en-gb', 'pl' ] );
+			expect( Array.from( wordLists.get( 'en-gb' ) ) ).to.deep.equal( [ 'dr.', 'e.g.' ] );
+			expect( wordLists.get( 'pl' ).size ).to.equal( 0 );
+		} );
+	} );
+} );
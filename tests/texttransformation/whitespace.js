@@ -0,0 +1,104 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import {
+	createAddSpaceAfterPunctuationTransformation,
+	createCollapseSpacesTransformation,
+	createRemoveSpaceBeforePunctuationTransformation
+} from '../../src/texttransformation/whitespace';
+import transform from '../_utils/transform';
+
+describe( 'whitespace', () => {
+	describe( 'createCollapseSpacesTransformation()', () => {
+		it( 'should turn two spaces into one by default', () => {
+			const transformation = createCollapseSpacesTransformation();
+
+			expect( transform( transformation, 'Foo  ' ) ).to.equal( 'Foo ' );
+			expect( transform( transformation, 'Foo.  ' ) ).to.equal( 'Foo. ' );
+		} );
+
+		it( 'should turn two spaces into the em space', () => {
+			const transformation = createCollapseSpacesTransformation( { doubleSpace: 'emSpace' } );
+
+			expect( transform( transformation, 'Foo  ' ) ).to.equal( 'Foo\u2003' );
+			expect( transform( transformation, 'Foo.  ' ) ).to.equal( 'Foo.\u2003' );
+		} );
+
+		it( 'should turn two spaces after a full stop into one when configured', () => {
+			const transformation = createCollapseSpacesTransformation( { doubleSpace: 'emSpace', singleSpaceAfterFullStop: true } );
+
+			expect( transform( transformation, 'Foo  ' ) ).to.equal( 'Foo\u2003' );
+			expect( transform( transformation, 'Foo.  ' ) ).to.equal( 'Foo. ' );
+		} );
+
+		it( 'should not change the spaces at the beginning of the text or after another space', () => {
+			const transformation = createCollapseSpacesTransformation( { doubleSpace: 'emSpace' } );
+
+			expect( transform( transformation, '  ' ) ).to.be.null;
+			expect( transform( transformation, 'Foo   ' ) ).to.be.null;
+			expect( transform( transformation, 'Foo\u2003  ' ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'createRemoveSpaceBeforePunctuationTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createRemoveSpaceBeforePunctuationTransformation();
+		} );
+
+		it( 'should remove the space typed before the punctuation mark', () => {
+			expect( transform( transformation, 'Foo ,' ) ).to.equal( 'Foo,' );
+			expect( transform( transformation, 'Foo .' ) ).to.equal( 'Foo.' );
+			expect( transform( transformation, 'Foo ;' ) ).to.equal( 'Foo;' );
+			expect( transform( transformation, 'Foo :' ) ).to.equal( 'Foo:' );
+		} );
+
+		it( 'should not remove the space at the beginning of the text or the no-break space', () => {
+			expect( transform( transformation, ' ,' ) ).to.be.null;
+			expect( transform( transformation, 'Foo\u00A0:' ) ).to.be.null;
+		} );
+
+		it( 'should not remove the space before other characters', () => {
+			expect( transform( transformation, 'Foo !' ) ).to.be.null;
+			expect( transform( transformation, 'Foo -' ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'createAddSpaceAfterPunctuationTransformation()', () => {
+		let transformation;
+
+		beforeEach( () => {
+			transformation = createAddSpaceAfterPunctuationTransformation();
+		} );
+
+		it( 'should add the space after a comma and a semicolon', () => {
+			expect( transform( transformation, 'Foo,b' ) ).to.equal( 'Foo, b' );
+			expect( transform( transformation, 'Foo;B' ) ).to.equal( 'Foo; B' );
+			expect( transform( transformation, '12,b' ) ).to.equal( '12, b' );
+		} );
+
+		it( 'should add the space after a full stop, a colon and an exclamation or question mark before an uppercase letter', () => {
+			expect( transform( transformation, 'Foo.B' ) ).to.equal( 'Foo. B' );
+			expect( transform( transformation, 'Foo:B' ) ).to.equal( 'Foo: B' );
+			expect( transform( transformation, 'Foo!B' ) ).to.equal( 'Foo! B' );
+			expect( transform( transformation, 'Foo?Ż' ) ).to.equal( 'Foo? Ż' );
+		} );
+
+		it( 'should not add the space after a full stop or a colon before a lowercase letter', () => {
+			expect( transform( transformation, 'example.c' ) ).to.be.null;
+			expect( transform( transformation, 'mailto:f' ) ).to.be.null;
+		} );
+
+		it( 'should not add the space in the initials', () => {
+			expect( transform( transformation, 'J.R' ) ).to.be.null;
+		} );
+
+		it( 'should not add the space between digits or after other characters', () => {
+			expect( transform( transformation, '1,5' ) ).to.be.null;
+			expect( transform( transformation, 'Foo...B' ) ).to.be.null;
+		} );
+	} );
+} );
@@ -0,0 +1,327 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+/* global document */
+
+import ClassicTestEditor from '@ckeditor/ckeditor5-core/tests/_utils/classictesteditor';
+import Paragraph from '@ckeditor/ckeditor5-paragraph/src/paragraph';
+import Bold from '@ckeditor/ckeditor5-basic-styles/src/bold';
+import Code from '@ckeditor/ckeditor5-basic-styles/src/code';
+import UndoEditing from '@ckeditor/ckeditor5-undo/src/undoediting';
+import { getData, setData } from '@ckeditor/ckeditor5-engine/src/dev-utils/model';
+
+import TextTransformation from '../src/texttransformation';
+import TextTransformationCommand from '../src/texttransformationcommand';
+import Typing from '../src/typing';
+
+describe( 'TextTransformationCommand', () => {
+	let editorElement, editor, model, doc, command;
+
+	beforeEach( () => {
+		editorElement = document.createElement( 'div' );
+		document.body.appendChild( editorElement );
+
+		return ClassicTestEditor
+			.create( editorElement, {
+				plugins: [ Typing, Paragraph, Bold, Code, TextTransformation, UndoEditing ]
+			} )
+			.then( newEditor => {
+				editor = newEditor;
+				model = editor.model;
+				doc = model.document;
+				command = editor.commands.get( 'transformText' );
+			} );
+	} );
+
+	afterEach( () => {
+		editorElement.remove();
+
+		return editor.destroy();
+	} );
+
+	it( 'should be registered by the text transformation feature', () => {
+		expect( command ).to.be.instanceOf( TextTransformationCommand );
+		expect( command.isEnabled ).to.be.true;
+	} );
+
+	describe( 'execute()', () => {
+		it( 'should transform the whole document when the selection is collapsed', () => {
+			setData( model, '<paragraph>[]Foo (c) bar...</paragraph><paragraph>"Baz" -- qux</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>Foo © bar…</paragraph><paragraph>“Baz” – qux</paragraph>'
+			);
+		} );
+
+		it( 'should transform only the selected content when the selection is not collapsed', () => {
+			setData( model, '<paragraph>Foo (c) [bar (c)</paragraph><paragraph>(tm)] baz (tm)</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>Foo (c) bar ©</paragraph><paragraph>™ baz (tm)</paragraph>'
+			);
+		} );
+
+		it( 'should transform the text the same way as it is transformed while typing', () => {
+			setData( model, '<paragraph>[]"Foo (c)" and \'bar\' 1/2 cup</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>“Foo ©” and ‘bar’ ½ cup</paragraph>' );
+		} );
+
+		it( 'should keep the attributes of the replaced text', () => {
+			setData( model, '<paragraph>[]Foo <$text bold="true">"bar"</$text> (c)</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>Foo <$text bold="true">“bar”</$text> ©</paragraph>'
+			);
+		} );
+
+		it( 'should not transform the text in disallowed contexts', () => {
+			setData( model, '<paragraph>[]<$text code="true">a -> b</$text> -> c</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph><$text code="true">a -> b</$text> → c</paragraph>'
+			);
+		} );
+
+		it( 'should use only the active transformations', () => {
+			editor.plugins.get( 'TextTransformation' ).disable( 'copyright' );
+
+			setData( model, '<paragraph>[]Foo (c) (tm)</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo (c) ™</paragraph>' );
+		} );
+
+		it( 'should merge the overlapping replacements into one', () => {
+			editor.plugins.get( 'TextTransformation' ).add( 'doubleArrow', { from: '→>', to: '⇒' } );
+
+			setData( model, '<paragraph>[]Foo ->> bar</paragraph>' );
+
+			const replacements = command.getReplacements();
+
+			expect( replacements.map( ( { from, to } ) => ( { from, to } ) ) ).to.deep.equal( [
+				{ from: '->>', to: '⇒' }
+			] );
+		} );
+
+		it( 'should remove the text replaced with an empty string', () => {
+			editor.plugins.get( 'TextTransformation' ).enable( 'whitespace' );
+
+			setData( model, '<paragraph>[]Foo , <$text bold="true">bar</$text> ;baz</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>Foo, <$text bold="true">bar</$text>; baz</paragraph>'
+			);
+		} );
+
+		it( 'should set the attributes from the descriptors returned by the transformations', () => {
+			const textTransformation = editor.plugins.get( 'TextTransformation' );
+
+			model.schema.extend( '$text', { allowAttributes: 'superscript' } );
+
+			textTransformation.add( 'superscript', { from: /(\^)(\d)$/, to: [ '', { attributes: { superscript: true } } ] } );
+			textTransformation.add( 'strong', { from: /(\*\*)([^*]+)(\*\*)$/, to: [ '', { attributes: { bold: true } }, '' ] } );
+
+			setData( model, '<paragraph>[]x^2 is **foo** (c)</paragraph>' );
+
+			const replacements = command.getReplacements();
+
+			expect( replacements.map( ( { from, to, attributes } ) => ( { from, to, attributes } ) ) ).to.deep.equal( [
+				{ from: '^2', to: '2', attributes: { superscript: true } },
+				{ from: '**foo**', to: 'foo', attributes: { bold: true } },
+				{ from: '(c)', to: '©', attributes: undefined }
+			] );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>x<$text superscript="true">2</$text> is <$text bold="true">foo</$text> ©</paragraph>'
+			);
+		} );
+
+		it( 'should split the replacement where the attributes change', () => {
+			editor.plugins.get( 'TextTransformation' ).add( 'strongArrow', {
+				from: /(=)(>)$/,
+				to: [ { text: '—', attributes: { bold: true } }, '>' ]
+			} );
+
+			setData( model, '<paragraph>[]a => b</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>a <$text bold="true">—</$text>> b</paragraph>'
+			);
+		} );
+
+		it( 'should skip the transformations which return a callback', () => {
+			const textTransformation = editor.plugins.get( 'TextTransformation' );
+			const callback = sinon.spy();
+
+			textTransformation.add( 'callback', { from: /(Foo)$/, to: () => callback } );
+
+			setData( model, '<paragraph>[]Foo (c)</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			sinon.assert.notCalled( callback );
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo ©</paragraph>' );
+		} );
+
+		it( 'should apply only the transformation with the longest match', () => {
+			editor.plugins.get( 'TextTransformation' ).add( 'longArrowRight', { from: '-->', to: '⟶' } );
+
+			setData( model, '<paragraph>[]a -> b --> c</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a → b ⟶ c</paragraph>' );
+		} );
+
+		it( 'should apply the transformation with the higher priority before the one with the longer match', () => {
+			const textTransformation = editor.plugins.get( 'TextTransformation' );
+
+			textTransformation.add( 'longArrowRight', { from: '-->', to: '⟶' } );
+			textTransformation.add( 'arrowRight', Object.assign( {}, textTransformation._definitions.get( 'arrowRight' ), {
+				priority: 'high'
+			} ) );
+
+			setData( model, '<paragraph>[]a --> b</paragraph>' );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>a -→ b</paragraph>' );
+		} );
+
+		it( 'should transform a long paragraph', () => {
+			const longText = 'Foo bar. '.repeat( 200 );
+
+			setData( model, `<paragraph>[]${ longText }(c) ${ longText }"baz" -- ${ longText }end</paragraph>` );
+
+			editor.execute( 'transformText' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				`<paragraph>${ longText }© ${ longText }“baz” – ${ longText }end</paragraph>`
+			);
+		} );
+
+		it( 'should apply all replacements in one undo step', () => {
+			setData( model, '<paragraph>[]Foo (c)</paragraph><paragraph>Bar (tm)</paragraph>' );
+
+			editor.execute( 'transformText' );
+			editor.execute( 'undo' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph>Foo (c)</paragraph><paragraph>Bar (tm)</paragraph>'
+			);
+		} );
+	} );
+
+	describe( 'getReplacements()', () => {
+		it( 'should return the replacements sorted by their position', () => {
+			setData( model, '<paragraph>[]Foo (c) -- bar</paragraph>' );
+
+			const root = doc.getRoot();
+			const replacements = command.getReplacements();
+
+			expect( replacements.map( ( { from, to } ) => ( { from, to } ) ) ).to.deep.equal( [
+				{ from: '(c)', to: '©' },
+				{ from: '--', to: '–' }
+			] );
+
+			expect( replacements[ 0 ].range.isEqual( model.createRange(
+				model.createPositionFromPath( root, [ 0, 4 ] ),
+				model.createPositionFromPath( root, [ 0, 7 ] )
+			) ) ).to.be.true;
+
+			expect( replacements[ 1 ].range.isEqual( model.createRange(
+				model.createPositionFromPath( root, [ 0, 8 ] ),
+				model.createPositionFromPath( root, [ 0, 10 ] )
+			) ) ).to.be.true;
+		} );
+
+		it( 'should not change the content', () => {
+			setData( model, '<paragraph>[]Foo (c)</paragraph>' );
+
+			const replacements = command.getReplacements();
+
+			expect( replacements ).to.have.length( 1 );
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>Foo (c)</paragraph>' );
+		} );
+
+		it( 'should return an empty array when there is nothing to transform', () => {
+			setData( model, '<paragraph>[]Foo bar</paragraph>' );
+
+			const spy = sinon.spy();
+
+			model.document.on( 'change', spy );
+
+			expect( command.getReplacements() ).to.deep.equal( [] );
+
+			command.execute();
+
+			sinon.assert.notCalled( spy );
+		} );
+	} );
+
+	describe( 'preventOrphans command', () => {
+		let preventOrphansCommand;
+
+		beforeEach( () => {
+			preventOrphansCommand = editor.commands.get( 'preventOrphans' );
+
+			model.schema.extend( 'paragraph', { allowAttributes: 'language' } );
+		} );
+
+		it( 'should be registered by the text transformation feature', () => {
+			expect( preventOrphansCommand ).to.be.instanceOf( TextTransformationCommand );
+		} );
+
+		it( 'should put the no-break spaces after the short words even if the orphans group is not enabled', () => {
+			setData( model, '<paragraph language="pl">[]Kot i w domu (c)</paragraph><paragraph>Foo a bar</paragraph>' );
+
+			editor.execute( 'preventOrphans' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal(
+				'<paragraph language="pl">Kot i\u00A0w\u00A0domu (c)</paragraph><paragraph>Foo a bar</paragraph>'
+			);
+		} );
+
+		it( 'should use the current definition of the orphanWords transformation', () => {
+			editor.plugins.get( 'TextTransformation' ).add( 'orphanWords', { from: /(foo)( )$/, to: [ null, '\u00A0' ] } );
+
+			setData( model, '<paragraph>[]foo bar</paragraph>' );
+
+			editor.execute( 'preventOrphans' );
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph>foo\u00A0bar</paragraph>' );
+		} );
+
+		it( 'should do nothing when the orphanWords transformation was removed', () => {
+			editor.plugins.get( 'TextTransformation' ).remove( 'orphanWords' );
+
+			setData( model, '<paragraph language="pl">[]Kot w domu</paragraph>' );
+
+			expect( preventOrphansCommand.getReplacements() ).to.deep.equal( [] );
+
+			preventOrphansCommand.execute();
+
+			expect( getData( model, { withoutSelection: true } ) ).to.equal( '<paragraph language="pl">Kot w domu</paragraph>' );
+		} );
+	} );
+} );
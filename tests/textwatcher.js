@@ -99,6 +99,22 @@ describe( 'TextWatcher', () => {
 		} );
 	} );
 
+	describe( 'destroy()', () => {
+		it( 'should stop evaluating text', () => {
+			watcher.destroy();
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			model.change( writer => {
+				writer.setSelection( doc.getRoot().getChild( 0 ), 1 );
+			} );
+
+			sinon.assert.notCalled( testCallbackStub );
+		} );
+	} );
+
 	describe( 'events', () => {
 		it( 'should fire "matched:data" event when test callback returns true for model data changes', () => {
 			testCallbackStub.returns( true );
@@ -113,6 +129,21 @@ describe( 'TextWatcher', () => {
 			sinon.assert.notCalled( unmatchedSpy );
 		} );
 
+		it( 'should pass the object returned by the test callback in the "matched:data" event data', () => {
+			testCallbackStub.returns( { matched: [ 'foo' ] } );
+
+			model.change( writer => {
+				writer.insertText( '@', doc.selection.getFirstPosition() );
+			} );
+
+			sinon.assert.calledOnce( matchedDataSpy );
+
+			const data = matchedDataSpy.firstCall.args[ 1 ];
+
+			expect( data.text ).to.equal( 'foo @' );
+			expect( data.matched ).to.deep.equal( [ 'foo' ] );
+		} );
+
 		it( 'should fire "matched:selection" event when test callback returns true for model data changes', () => {
 			testCallbackStub.returns( true );
 
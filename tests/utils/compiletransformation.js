@@ -0,0 +1,232 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import compileTransformation from '../../src/utils/compiletransformation';
+import validateTransformation from '../../src/utils/validatetransformation';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+
+describe( 'compileTransformation()', () => {
+	it( 'returns a copy of the transformation written in the basic form', () => {
+		const transformation = { from: '(c)', to: '©', priority: 'high' };
+		const compiled = compileTransformation( transformation, null );
+
+		expect( compiled ).to.not.equal( transformation );
+		expect( compiled ).to.deep.equal( transformation );
+	} );
+
+	it( 'removes the wordBoundary and caseSensitive properties from the compiled transformation', () => {
+		const compiled = compileTransformation( { from: /(foo)$/, to: 'bar', wordBoundary: false, caseSensitive: true }, null );
+
+		expect( compiled ).to.deep.equal( { from: /(foo)$/, to: 'bar' } );
+	} );
+
+	describe( 'string alternatives', () => {
+		it( 'compiles the alternatives into a RegExp with one group', () => {
+			const compiled = compileTransformation( { from: [ 'teh', 'hte', 'a.b' ], to: 'the' }, null );
+
+			expect( compiled.from ).to.deep.equal( /(teh|hte|a\.b)$/ );
+			expect( apply( compiled, 'foo hte' ) ).to.equal( 'foo the' );
+			expect( apply( compiled, 'foo a.b' ) ).to.equal( 'foo the' );
+			expect( apply( compiled, 'foo axb' ) ).to.be.null;
+		} );
+
+		it( 'matches the longest alternative', () => {
+			const compiled = compileTransformation( { from: [ '->', '-->' ], to: '$&!' }, null );
+
+			expect( apply( compiled, 'a -->' ) ).to.equal( 'a -->!' );
+		} );
+	} );
+
+	describe( 'templates', () => {
+		it( 'keeps the groups used in the template in order and replaces the text between them', () => {
+			const compiled = compileTransformation( { from: /(\w)(--)(\w)$/, to: '$1—$3' }, null );
+
+			expect( compiled.to( [ 'a', '--', 'b' ] ) ).to.deep.equal( [ null, '—', null ] );
+			expect( apply( compiled, 'a--b' ) ).to.equal( 'a—b' );
+		} );
+
+		it( 'puts the text before and after the kept groups into the other groups', () => {
+			const compiled = compileTransformation( { from: /(\()(c)(\))$/, to: '[$2]' }, null );
+
+			expect( compiled.to( [ '(', 'c', ')' ] ) ).to.deep.equal( [ '[', null, ']' ] );
+		} );
+
+		it( 'replaces a kept group if there is no other group for the text around it', () => {
+			const compiled = compileTransformation( { from: /(a)(b)$/, to: '<$1-$2>' }, null );
+
+			expect( compiled.to( [ 'a', 'b' ] ) ).to.deep.equal( [ '<a', '-b>' ] );
+			expect( apply( compiled, 'xab' ) ).to.equal( 'x<a-b>' );
+		} );
+
+		it( 'replaces the whole match if the groups are used in a different order', () => {
+			const compiled = compileTransformation( { from: /(\d+)(\/)(\d+)$/, to: '$3$2$1' }, null );
+
+			expect( compiled.to( [ '1', '/', '2' ] ) ).to.deep.equal( [ '2/1', '', '' ] );
+			expect( apply( compiled, 'x 1/2' ) ).to.equal( 'x 2/1' );
+		} );
+
+		it( 'replaces the whole match if the group is used many times', () => {
+			const compiled = compileTransformation( { from: /(a)(!)$/, to: '$1$1' }, null );
+
+			expect( apply( compiled, 'a!' ) ).to.equal( 'aa' );
+		} );
+
+		it( 'supports the whole match reference and the escaped dollar', () => {
+			const compiled = compileTransformation( { from: 'USD', to: '$$ ($&)' }, null );
+
+			expect( apply( compiled, '5 USD' ) ).to.equal( '5 $ (USD)' );
+		} );
+
+		it( 'does not treat a string without the group references as a template', () => {
+			const compiled = compileTransformation( { from: 'USD', to: '$$' }, null );
+
+			expect( compiled.to ).to.equal( '$$' );
+		} );
+
+		it( 'skips the optional groups which did not take part in the match', () => {
+			const compiled = compileTransformation( { from: /( )?(--)(>)$/, to: '$1⟶' }, null );
+
+			expect( apply( compiled, 'a -->' ) ).to.equal( 'a ⟶' );
+			expect( apply( compiled, '-->' ) ).to.equal( '⟶' );
+		} );
+
+		it( 'throws if the template refers to a missing group', () => {
+			expect( () => {
+				compileTransformation( { from: /(a)(b)$/, to: '$1$3' }, null );
+			} ).to.throw( CKEditorError, /^text-transformation-template-unknown-group:/ );
+
+			expect( () => {
+				compileTransformation( { from: 'ab', to: '$2' }, null );
+			} ).to.throw( CKEditorError, /^text-transformation-template-unknown-group:/ );
+		} );
+	} );
+
+	describe( 'wordBoundary', () => {
+		it( 'adds the groups matching the characters around the word', () => {
+			const compiled = compileTransformation( { from: 'teh', to: 'the', wordBoundary: true }, null );
+
+			expect( compiled.to ).to.deep.equal( [ null, 'the', null ] );
+			expect( apply( compiled, 'teh ' ) ).to.equal( 'the ' );
+			expect( apply( compiled, 'foo (teh,' ) ).to.equal( 'foo (the,' );
+			expect( apply( compiled, 'foo ateh ' ) ).to.be.null;
+			expect( apply( compiled, 'foo tehran' ) ).to.be.null;
+			expect( apply( compiled, 'foo teh1' ) ).to.be.null;
+			expect( apply( compiled, 'foo teh' ) ).to.be.null;
+		} );
+
+		it( 'works with the RegExp patterns and the arrays', () => {
+			const compiled = compileTransformation( { from: /(a)(b)$/, to: [ 'A', null ], wordBoundary: true }, null );
+
+			expect( compiled.to ).to.deep.equal( [ null, 'A', null, null ] );
+			expect( apply( compiled, 'ab.' ) ).to.equal( 'Ab.' );
+			expect( apply( compiled, 'cab.' ) ).to.be.null;
+		} );
+
+		it( 'does not add the group before the word to the pattern starting with "^"', () => {
+			const compiled = compileTransformation( { from: /^(ab)$/, to: 'AB', wordBoundary: true }, null );
+
+			expect( compiled.to ).to.deep.equal( [ 'AB', null ] );
+			expect( apply( compiled, 'ab ' ) ).to.equal( 'AB ' );
+		} );
+
+		it( 'passes only the groups of the word to the function and keeps the boundaries', () => {
+			const to = sinon.stub().returns( [ 'the' ] );
+			const compiled = compileTransformation( { from: [ 'teh' ], to, wordBoundary: true }, null );
+
+			expect( apply( compiled, 'a teh!', { language: 'en' } ) ).to.equal( 'a the!' );
+			sinon.assert.calledWithExactly( to, [ 'teh' ], { language: 'en' } );
+		} );
+
+		it( 'keeps the null result of the function', () => {
+			const compiled = compileTransformation( { from: 'teh', to: () => null, wordBoundary: true }, null );
+
+			expect( apply( compiled, 'teh ' ) ).to.be.null;
+		} );
+
+		it( 'passes only the ranges of the word to the callback', () => {
+			const callback = sinon.spy();
+			const compiled = compileTransformation( { from: 'teh', to: () => callback, wordBoundary: true }, null );
+			const writer = {};
+
+			compiled.to( [ ' ', 'teh', ' ' ] )( writer, [ 'before', 'word', 'after' ] );
+
+			sinon.assert.calledWithExactly( callback, writer, [ 'word' ] );
+		} );
+
+		it( 'works with the templates', () => {
+			const compiled = compileTransformation( { from: /(\d+)(x)(\d+)$/, to: '$1×$3', wordBoundary: true }, null );
+
+			expect( apply( compiled, '2x3 ' ) ).to.equal( '2×3 ' );
+			expect( apply( compiled, 'a2x3 ' ) ).to.be.null;
+		} );
+	} );
+
+	describe( 'caseSensitive', () => {
+		it( 'makes the string pattern ignore the case', () => {
+			const compiled = compileTransformation( { from: 'ckeditor', to: 'CKEditor', caseSensitive: false }, null );
+
+			expect( compiled.from ).to.deep.equal( /(ckeditor)$/i );
+			expect( apply( compiled, 'CkEditor' ) ).to.equal( 'CKEditor' );
+		} );
+
+		it( 'makes the RegExp pattern and the alternatives ignore the case', () => {
+			expect( compileTransformation( { from: /(a)$/u, to: 'b', caseSensitive: false }, null ).from ).to.deep.equal( /(a)$/iu );
+			expect( compileTransformation( { from: [ 'a', 'b' ], to: 'c', caseSensitive: false }, null ).from ).to.deep.equal( /(a|b)$/i );
+		} );
+
+		it( 'keeps the typed case in the templates', () => {
+			const compiled = compileTransformation( { from: [ 'teh' ], to: '$1!', caseSensitive: false }, null );
+
+			expect( apply( compiled, 'TEH' ) ).to.equal( 'TEH!' );
+		} );
+	} );
+
+	it( 'leaves the invalid patterns to the validation', () => {
+		const compiled = compileTransformation( { from: /(foo)/, to: 'bar', wordBoundary: true, caseSensitive: false }, null );
+
+		expect( compiled.from ).to.deep.equal( /(foo)/ );
+		expect( () => validateTransformation( compiled, null ) ).to.throw( CKEditorError, /^text-transformation-unanchored-pattern:/ );
+	} );
+
+	it( 'creates the transformations which pass the validation', () => {
+		const transformations = [
+			{ from: [ 'a', 'b' ], to: 'c' },
+			{ from: [ 'a', 'b' ], to: 'c', wordBoundary: true, caseSensitive: false },
+			{ from: /(\w)(--)(\w)$/, to: '$1—$3', wordBoundary: true },
+			{ from: '(c)', to: [ '©' ], wordBoundary: true }
+		];
+
+		for ( const transformation of transformations ) {
+			expect( () => validateTransformation( compileTransformation( transformation, null ), null ) ).to.not.throw();
+		}
+	} );
+
+	// Applies the compiled transformation to the end of the text the same way as the text transformation feature does.
+	// Returns `null` if nothing is replaced.
+	function apply( { from, to }, text, context = {} ) {
+		const matches = typeof from == 'string' ? ( text.endsWith( from ) && [ from, from ] ) : from.exec( text );
+
+		if ( !matches ) {
+			return null;
+		}
+
+		const groups = matches.slice( 1 );
+		const replaces = typeof to == 'function' ? to( groups, context ) : [].concat( to );
+
+		if ( !replaces ) {
+			return null;
+		}
+
+		const replaced = groups.map( ( group, index ) => {
+			if ( group === undefined ) {
+				return '';
+			}
+
+			return replaces[ index ] == null ? group : replaces[ index ];
+		} );
+
+		return text.slice( 0, text.length - matches[ 0 ].length ) + replaced.join( '' );
+	}
+} );
@@ -0,0 +1,201 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import TransformationMatcher from '../../src/utils/transformationmatcher';
+
+describe( 'TransformationMatcher', () => {
+	let matcher;
+
+	beforeEach( () => {
+		matcher = new TransformationMatcher();
+	} );
+
+	describe( 'constructor()', () => {
+		it( 'creates an empty matcher', () => {
+			expect( matcher.size ).to.equal( 0 );
+			expect( matcher.match( 'foo' ) ).to.deep.equal( [] );
+		} );
+	} );
+
+	describe( 'add()', () => {
+		it( 'adds transformations with string and RegExp patterns', () => {
+			matcher.add( { from: '(c)', to: '©' } );
+			matcher.add( { from: /(^| )(--)( )$/, to: [ null, '–', null ] } );
+
+			expect( matcher.size ).to.equal( 2 );
+		} );
+	} );
+
+	describe( 'remove()', () => {
+		it( 'removes a transformation with a string pattern', () => {
+			const transformation = { from: '(c)', to: '©' };
+
+			matcher.add( transformation );
+			matcher.remove( transformation );
+
+			expect( matcher.size ).to.equal( 0 );
+			expect( matcher.match( 'foo (c)' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'removes a transformation with a RegExp pattern', () => {
+			const transformation = { from: /(^| )(--)( )$/, to: [ null, '–', null ] };
+
+			matcher.add( transformation );
+			matcher.remove( transformation );
+
+			expect( matcher.size ).to.equal( 0 );
+			expect( matcher.match( 'foo -- ' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'keeps other transformations with the same pattern', () => {
+			const first = { from: '(c)', to: '©' };
+			const second = { from: '(c)', to: 'C' };
+
+			matcher.add( first );
+			matcher.add( second );
+			matcher.remove( first );
+
+			expect( matcher.match( 'foo (c)' ).map( item => item.transformation ) ).to.deep.equal( [ second ] );
+		} );
+
+		it( 'does nothing for a transformation which was not added', () => {
+			matcher.add( { from: '(c)', to: '©' } );
+
+			expect( () => {
+				matcher.remove( { from: '(tm)', to: '™' } );
+				matcher.remove( { from: /(x)$/, to: 'y' } );
+			} ).to.not.throw();
+
+			expect( matcher.size ).to.equal( 1 );
+		} );
+	} );
+
+	describe( 'match()', () => {
+		it( 'matches a string pattern at the end of the text', () => {
+			const transformation = { from: '(c)', to: '©' };
+
+			matcher.add( transformation );
+
+			const result = matcher.match( 'foo (c)' );
+
+			expect( result ).to.have.length( 1 );
+			expect( result[ 0 ].transformation ).to.equal( transformation );
+			expect( Array.from( result[ 0 ].matches ) ).to.deep.equal( [ '(c)', '(c)' ] );
+			expect( result[ 0 ].matches.index ).to.equal( 4 );
+		} );
+
+		it( 'does not match a string pattern which is not at the end of the text', () => {
+			matcher.add( { from: '(c)', to: '©' } );
+
+			expect( matcher.match( 'foo (c) ' ) ).to.deep.equal( [] );
+			expect( matcher.match( 'c)' ) ).to.deep.equal( [] );
+		} );
+
+		it( 'matches a string pattern which is the whole text', () => {
+			matcher.add( { from: '(c)', to: '©' } );
+
+			const result = matcher.match( '(c)' );
+
+			expect( result ).to.have.length( 1 );
+			expect( result[ 0 ].matches.index ).to.equal( 0 );
+		} );
+
+		it( 'matches a RegExp pattern', () => {
+			const transformation = { from: /(^| )(--)( )$/, to: [ null, '–', null ] };
+
+			matcher.add( transformation );
+
+			const result = matcher.match( 'foo -- ' );
+
+			expect( result ).to.have.length( 1 );
+			expect( result[ 0 ].transformation ).to.equal( transformation );
+			expect( Array.from( result[ 0 ].matches ) ).to.deep.equal( [ ' -- ', ' ', '--', ' ' ] );
+			expect( result[ 0 ].matches.index ).to.equal( 3 );
+		} );
+
+		it( 'matches all string patterns which are suffixes of the text', () => {
+			const short = { from: '->', to: '→' };
+			const long = { from: '-->', to: '⟶' };
+
+			matcher.add( short );
+			matcher.add( long );
+
+			const result = matcher.match( 'foo -->' );
+
+			expect( result.map( item => item.transformation ) ).to.deep.equal( [ long, short ] );
+			expect( result[ 0 ].matches[ 1 ] ).to.equal( '-->' );
+			expect( result[ 1 ].matches[ 1 ] ).to.equal( '->' );
+		} );
+
+		it( 'returns the matches with the same priority and length in the order in which the transformations were added', () => {
+			const first = { from: /(\.\.\.)$/, to: '…' };
+			const second = { from: '...', to: '…' };
+			const third = { from: /(\.)(\.\.)$/, to: [ null, '…' ] };
+
+			matcher.add( first );
+			matcher.add( second );
+			matcher.add( third );
+
+			expect( matcher.match( 'foo ...' ).map( item => item.transformation ) ).to.deep.equal( [ first, second, third ] );
+		} );
+
+		it( 'returns a transformation added again after the others', () => {
+			const first = { from: '...', to: '…' };
+			const second = { from: /(\.\.\.)$/, to: '…' };
+
+			matcher.add( first );
+			matcher.add( second );
+			matcher.remove( first );
+			matcher.add( first );
+
+			expect( matcher.match( 'foo ...' ).map( item => item.transformation ) ).to.deep.equal( [ second, first ] );
+		} );
+
+		it( 'returns the longest match first', () => {
+			const short = { from: /(--)$/, to: '–' };
+			const long = { from: /(^| )(---)$/, to: [ null, '—' ] };
+			const string = { from: '->', to: '→' };
+
+			matcher.add( short );
+			matcher.add( string );
+			matcher.add( long );
+
+			expect( matcher.match( 'foo ---' ).map( item => item.transformation ) ).to.deep.equal( [ long, short ] );
+		} );
+
+		it( 'returns the match of the transformation with the higher priority first', () => {
+			const long = { from: '-->', to: '⟶' };
+			const short = { from: '->', to: '→', priority: 'high' };
+			const numeric = { from: /(>)$/, to: '', priority: 10 };
+
+			matcher.add( long );
+			matcher.add( short );
+			matcher.add( numeric );
+
+			expect( matcher.match( 'foo -->' ).map( item => item.transformation ) ).to.deep.equal( [ short, numeric, long ] );
+		} );
+
+		it( 'returns the match of the transformation with the lower priority last', () => {
+			const low = { from: /^([\s\S]*)(")$/, to: [ null, '”' ], priority: 'low' };
+			const normal = { from: /(\d)(")$/, to: [ null, '″' ] };
+
+			matcher.add( low );
+			matcher.add( normal );
+
+			expect( matcher.match( 'foo 5"' ).map( item => item.transformation ) ).to.deep.equal( [ normal, low ] );
+		} );
+
+		it( 'checks many string patterns at once', () => {
+			for ( let i = 0; i < 1000; i++ ) {
+				matcher.add( { from: `word${ i }`, to: `Word${ i }` } );
+			}
+
+			const result = matcher.match( 'foo word123' );
+
+			expect( result ).to.have.length( 1 );
+			expect( result[ 0 ].transformation.to ).to.equal( 'Word123' );
+		} );
+	} );
+} );
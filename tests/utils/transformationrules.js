@@ -0,0 +1,150 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import { parseTransformationRules, serializeTransformation } from '../../src/utils/transformationrules';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+
+describe( 'transformationrules', () => {
+	describe( 'parseTransformationRules()', () => {
+		it( 'turns the pattern objects into RegExps', () => {
+			const transformations = parseTransformationRules( [
+				{ from: { pattern: '(\\d)(x)(\\d)$', flags: 'u' }, to: '$1×$3' },
+				{ from: { pattern: '(\\.\\.\\.)$' }, to: '…' }
+			], null );
+
+			expect( transformations ).to.deep.equal( [
+				{ from: /(\d)(x)(\d)$/u, to: '$1×$3' },
+				{ from: /(\.\.\.)$/, to: '…' }
+			] );
+		} );
+
+		it( 'keeps the strings, the alternatives and the other properties', () => {
+			const rules = [
+				{ name: 'copyright', description: 'The copyright sign.', from: '(c)', to: '©', priority: 'high' },
+				{ language: [ 'en' ], from: [ 'teh', 'hte' ], to: 'the', wordBoundary: true, caseSensitive: false },
+				{ from: '**', to: [ { text: '', attributes: { bold: true } } ], allowIn: [ 'paragraph' ] }
+			];
+
+			expect( parseTransformationRules( rules, null ) ).to.deep.equal( rules );
+		} );
+
+		it( 'does not change the rules', () => {
+			const rule = { from: { pattern: '(a)$' }, to: 'b' };
+
+			parseTransformationRules( [ rule ], null );
+
+			expect( rule ).to.deep.equal( { from: { pattern: '(a)$' }, to: 'b' } );
+		} );
+
+		it( 'parses the rules given as a JSON string', () => {
+			const json = '[ { "from": { "pattern": "(\\\\w)(--)(\\\\w)$" }, "to": "$1—$3" }, { "from": "(c)", "to": "©" } ]';
+
+			expect( parseTransformationRules( json, null ) ).to.deep.equal( [
+				{ from: /(\w)(--)(\w)$/, to: '$1—$3' },
+				{ from: '(c)', to: '©' }
+			] );
+		} );
+
+		it( 'throws if the rules are not an array', () => {
+			for ( const rules of [ '{ "from": "(c)", "to": "©" }', '[ {', { from: '(c)', to: '©' }, null ] ) {
+				expect( () => parseTransformationRules( rules, null ) ).to.throw( CKEditorError, /^text-transformation-invalid-rules:/ );
+			}
+		} );
+
+		it( 'throws if a rule is invalid', () => {
+			const rules = [
+				null,
+				'(c)',
+				{ to: '©' },
+				{ from: 5, to: '©' },
+				{ from: [], to: '©' },
+				{ from: [ 'a', 5 ], to: '©' },
+				{ from: { flags: 'i' }, to: '©' },
+				{ from: { pattern: '(a' }, to: '©' },
+				{ from: { pattern: '(a)$', flags: 'x' }, to: '©' },
+				{ from: '(c)' },
+				{ from: '(c)', to: 5 },
+				{ from: '(c)', to: [ 5 ] }
+			];
+
+			for ( const rule of rules ) {
+				expect( () => parseTransformationRules( [ rule ], null ) ).to.throw( CKEditorError, /^text-transformation-invalid-rule:/ );
+			}
+		} );
+
+		it( 'passes the context and the invalid rule to the error', () => {
+			const context = {};
+			const rule = { from: '(c)', to: () => '©' };
+
+			try {
+				parseTransformationRules( [ rule ], context );
+			} catch ( error ) {
+				expect( error.context ).to.equal( context );
+				expect( error.data ).to.deep.equal( { rule } );
+
+				return;
+			}
+
+			throw new Error( 'Expected to throw.' );
+		} );
+	} );
+
+	describe( 'serializeTransformation()', () => {
+		it( 'turns the RegExp into the pattern object', () => {
+			expect( serializeTransformation( { from: /(\d)(x)(\d)$/iu, to: [ null, '×', null ] } ) ).to.deep.equal( {
+				from: { pattern: '(\\d)(x)(\\d)$', flags: 'iu' },
+				to: [ null, '×', null ]
+			} );
+		} );
+
+		it( 'keeps only the properties of the rule', () => {
+			const transformation = {
+				name: 'misspelledThe',
+				description: 'Corrects "teh".',
+				language: 'en',
+				from: [ 'teh' ],
+				to: 'the',
+				wordBoundary: true,
+				caseSensitive: false,
+				priority: 'low',
+				disallowIn: [ 'codeBlock' ],
+				foo: 'bar'
+			};
+
+			const rule = serializeTransformation( transformation );
+
+			expect( rule ).to.deep.equal( {
+				name: 'misspelledThe',
+				description: 'Corrects "teh".',
+				language: 'en',
+				from: [ 'teh' ],
+				to: 'the',
+				wordBoundary: true,
+				caseSensitive: false,
+				priority: 'low',
+				disallowIn: [ 'codeBlock' ]
+			} );
+
+			expect( rule.from ).to.not.equal( transformation.from );
+		} );
+
+		it( 'returns null if the transformation cannot be serialized', () => {
+			expect( serializeTransformation( { from: '(c)', to: () => [ '©' ] } ) ).to.be.null;
+			expect( serializeTransformation( { from: /(a)$/, to: [ () => 'b' ] } ) ).to.be.null;
+		} );
+
+		it( 'creates the rules which are parsed back to the same transformations', () => {
+			const transformations = [
+				{ from: /(^| )(--)( )$/, to: [ null, '–', null ] },
+				{ from: /(\\)(alpha)$/u, to: [ '', 'α' ], language: [ 'el', 'en' ] },
+				{ from: '(c)', to: '©' }
+			];
+
+			const json = JSON.stringify( transformations.map( serializeTransformation ) );
+
+			expect( parseTransformationRules( json, null ) ).to.deep.equal( transformations );
+		} );
+	} );
+} );
@@ -0,0 +1,112 @@
+/**
+ * @license Copyright (c) 2003-2019, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md or https://ckeditor.com/legal/ckeditor-oss-license
+ */
+
+import validateTransformation from '../../src/utils/validatetransformation';
+import CKEditorError from '@ckeditor/ckeditor5-utils/src/ckeditorerror';
+
+describe( 'validateTransformation()', () => {
+	it( 'accepts the string patterns', () => {
+		expectValid( { from: '(c)', to: '©' } );
+		expectValid( { from: '(c)', to: [ '©' ] } );
+		expectValid( { from: '(c)', to: () => [ '©' ] } );
+	} );
+
+	it( 'accepts the RegExp patterns with the capturing groups covering the whole match', () => {
+		expectValid( { from: /(^| )(--)( )$/, to: [ null, '–', null ] } );
+		expectValid( { from: /^([\s\S]*)(")$/, to: [ null, '”' ] } );
+		expectValid( { from: /(\d ?)(x)( ?\d)$/, to: [ null, '×', null ] } );
+		expectValid( { from: /(<->|←>)$/, to: [ '↔' ] } );
+		expectValid( { from: /(\\[A-Za-z]+)([ .,;:!?)\]}])$/, to: () => null } );
+		expectValid( { from: /(^|\s)(:\)|(?!))([\s.])$/, to: () => null } );
+	} );
+
+	it( 'accepts a string replacement with the RegExp pattern with one capturing group', () => {
+		expectValid( { from: /(\.\.\.)$/, to: '…' } );
+	} );
+
+	it( 'accepts the optional groups, the named groups and the zero-width assertions', () => {
+		expectValid( { from: /( )?(--)$/, to: [ null, '–' ] } );
+		expectValid( { from: /(?<dashes>--)$/, to: [ '–' ] } );
+		expectValid( { from: /\b(teh)(?= )( )$/, to: [ 'the', null ] } );
+		expectValid( { from: /(?<=\d)(x)$/, to: [ '×' ] } );
+	} );
+
+	it( 'accepts the capturing groups inside the non-capturing ones', () => {
+		expectValid( { from: /(?:(foo)(bar))?(baz)$/, to: [ null, null, 'qux' ] } );
+		expectValid( { from: /(?:(?:( )(-))?(-))$/, to: [ null, null, '–' ] } );
+	} );
+
+	it( 'accepts the escaped characters inside the groups and the character classes', () => {
+		expectValid( { from: /(\()(c)(\))$/, to: [ '', '©', '' ] } );
+		expectValid( { from: /([(\]])(c)$/, to: [ null, '©' ] } );
+	} );
+
+	it( 'throws if the RegExp pattern does not match the end of the text', () => {
+		expectError( { from: /(foo)/, to: 'bar' }, 'text-transformation-unanchored-pattern' );
+		expectError( { from: /(foo)\$/, to: 'bar' }, 'text-transformation-unanchored-pattern' );
+		expectError( { from: /(foo$)/, to: 'bar' }, 'text-transformation-unanchored-pattern' );
+	} );
+
+	it( 'throws if the pattern is neither a string nor a RegExp', () => {
+		expectError( { from: 5, to: 'bar' }, 'text-transformation-unanchored-pattern' );
+		expectError( { to: 'bar' }, 'text-transformation-unanchored-pattern' );
+	} );
+
+	it( 'accepts the RegExp pattern ending with the escaped backslash', () => {
+		expectValid( { from: /(\\)$/, to: '/' } );
+	} );
+
+	it( 'throws if the capturing groups do not cover the whole match', () => {
+		const patterns = [
+			/ (--) $/,
+			/(--)\s$/,
+			/(--)[ ]$/,
+			/(?:-)(-)$/,
+			/(-)+$/,
+			/(-)|(=)$/,
+			/((-)(-))$/,
+			/(?:(-)|(=))$/,
+			/(?:(-)(-))+$/
+		];
+
+		for ( const from of patterns ) {
+			expectError( { from, to: () => null }, 'text-transformation-groups-not-covering-match' );
+		}
+	} );
+
+	it( 'throws if a string replacement is used with the RegExp pattern with many capturing groups', () => {
+		expectError( { from: /(\d)(x)$/, to: '×' }, 'text-transformation-string-to-with-regexp-from' );
+	} );
+
+	it( 'throws if the length of the replacement array differs from the number of the capturing groups', () => {
+		expectError( { from: /(^| )(--)( )$/, to: [ null, '–' ] }, 'text-transformation-to-length-mismatch' );
+		expectError( { from: /(--)$/, to: [ '–', null ] }, 'text-transformation-to-length-mismatch' );
+		expectError( { from: '--', to: [] }, 'text-transformation-to-length-mismatch' );
+	} );
+
+	it( 'passes the context and the invalid pattern to the error', () => {
+		const context = {};
+
+		try {
+			validateTransformation( { from: /(foo)/, to: 'bar' }, context );
+		} catch ( error ) {
+			expect( error ).to.be.instanceOf( CKEditorError );
+			expect( error.context ).to.equal( context );
+			expect( error.data ).to.deep.equal( { from: '/(foo)/' } );
+
+			return;
+		}
+
+		throw new Error( 'Expected to throw.' );
+	} );
+
+	function expectValid( transformation ) {
+		expect( () => validateTransformation( transformation, null ) ).to.not.throw();
+	}
+
+	function expectError( transformation, errorName ) {
+		expect( () => validateTransformation( transformation, null ) ).to.throw( CKEditorError, new RegExp( `^${ errorName }:` ) );
+	}
+} );